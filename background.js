@@ -0,0 +1,26 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// Background worker holding the venue tables and looking up paper venues on dblp, pages ask it
+// for both (see js/rankService.js).
+// Firefox loads the scripts listed in manifest.json instead of importing them here.
+if (typeof importScripts == "function") {
+  importScripts(
+    "js/provider.js",
+    "js/venueMatcher.js",
+    "js/rankService.js",
+    "js/ccf.js",
+    "js/core.js",
+    "js/apiCache.js",
+    "js/mirrors.js",
+    "js/scheduler.js",
+    "js/titleIndex.js",
+    "js/overrides.js",
+    "js/resolver.js",
+  );
+}
+
+rankService.listen();
@@ -1,652 +0,0 @@
-/**
- * MIT License
- *
- * WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
- * Copyright (c) 2019-2024 All Rights Reserved.
- * ------------------------------------------------------
- * Generated by dataGen.js
- * Last updated: 2024-12-04
- */
-
-ccf.abbrFull = {
-  TOCS: "ACM TRANSACTIONS ON COMPUTER SYSTEMS",
-  TOS: "ACM TRANSACTIONS ON STORAGE",
-  TCAD: "IEEE TRANSACTIONS ON COMPUTER-AIDED DESIGN OF INTEGRATED CIRCUITS AND SYSTEM",
-  TC: "IEEE TRANSACTIONS ON COMPUTERS",
-  TPDS: "IEEE TRANSACTIONS ON PARALLEL AND DISTRIBUTED SYSTEMS",
-  TACO: "ACM TRANSACTIONS ON ARCHITECTURE AND CODE OPTIMIZATION",
-  TAAS: "ACM TRANSACTIONS ON AUTONOMOUS AND ADAPTIVE SYSTEMS",
-  TODAES: "ACM TRANSACTIONS ON DESIGN AUTOMATION OF ELECTRONIC SYSTEMS",
-  TECS: "ACM TRANSACTIONS ON EMBEDDED COMPUTING SYSTEMS",
-  TRETS: "ACM TRANSACTIONS ON RECONFIGURABLE TECHNOLOGY AND SYSTEMS",
-  TVLSI: "IEEE TRANSACTIONS ON VERY LARGE SCALE INTEGRATION (VLSI) SYSTEMS",
-  JPDC: "JOURNAL OF PARALLEL AND DISTRIBUTED COMPUTING",
-  JSA: "JOURNAL OF SYSTEMS ARCHITECTURE: EMBEDDED SOFTWARE DESIGN",
-  PARCO: "PARALLEL COMPUTING",
-  "": "ARXIV",
-  JETC: "ACM JOURNAL ON EMERGING TECHNOLOGIES IN COMPUTING SYSTEMS",
-  DC: "DISTRIBUTED COMPUTING",
-  FGCS: "FUTURE GENERATION COMPUTER SYSTEMS",
-  TCC: "THEORY OF CRYPTOGRAPHY CONFERENCE",
-  Integration: "INTEGRATION, THE VLSI JOURNAL",
-  JETTA: "JOURNAL OF ELECTRONIC TESTING-THEORY AND APPLICATIONS",
-  JGC: "THE JOURNAL OF GRID COMPUTING",
-  RTS: "REAL-TIME SYSTEMS",
-  TJSC: "THE JOURNAL OF SUPERCOMPUTING",
-  TCASI: "IEEE TRANSACTIONS ON CIRCUITS AND SYSTEMS I: REGULAR PAPERS",
-  "CCF-THPC": "CCF TRANSACTIONS ON HIGH PERFORMANCE COMPUTING",
-  TSUSC: "IEEE TRANSACTIONS ON SUSTAINABLE COMPUTING",
-  PPoPP:
-    "ACM SIGPLAN SYMPOSIUM ON PRINCIPLES & PRACTICE OF PARALLEL PROGRAMMING",
-  FAST: "CONFERENCE ON FILE AND STORAGE TECHNOLOGIES",
-  DAC: "DESIGN AUTOMATION CONFERENCE",
-  HPCA: "HIGH-PERFORMANCE COMPUTER ARCHITECTURE",
-  MICRO: "IEEE/ACM INTERNATIONAL SYMPOSIUM ON MICROARCHITECTURE",
-  SC: "INTERNATIONAL CONFERENCE FOR HIGH PERFORMANCE COMPUTING, NETWORKING, STORAGE, AND ANALYSIS",
-  ASPLOS:
-    "INTERNATIONAL CONFERENCE ON ARCHITECTURAL SUPPORT FOR PROGRAMMING LANGUAGES AND OPERATING SYSTEMS",
-  ISCA: "INTERNATIONAL SYMPOSIUM ON COMPUTER ARCHITECTURE",
-  "USENIX ATC": "USENIX ANNUAL TECHNICAL CONFERENCE",
-  EuroSys: "EUROPEAN CONFERENCE ON COMPUTER SYSTEMS",
-  SOCC: "ACM SYMPOSIUM ON CLOUD COMPUTING",
-  SPAA: "ACM SYMPOSIUM ON PARALLELISM IN ALGORITHMS AND ARCHITECTURES",
-  PODC: "ACM SYMPOSIUM ON PRINCIPLES OF DISTRIBUTED COMPUTING",
-  FPGA: "ACM/SIGDA INTERNATIONAL SYMPOSIUM ON FIELD-PROGRAMMABLE GATE ARRAYS",
-  CGO: "CODE GENERATION AND OPTIMIZATION",
-  DATE: "DESIGN, AUTOMATION & TEST IN EUROPE",
-  "HOT CHIPS": "ACM SYMPOSIUM ON HIGH PERFORMANCE CHIPS",
-  CLUSTER: "IEEE INTERNATIONAL CONFERENCE ON CLUSTER COMPUTING",
-  ICCD: "INTERNATIONAL CONFERENCE ON COMPUTER DESIGN",
-  ICCAD: "INTERNATIONAL CONFERENCE ON COMPUTER-AIDED DESIGN",
-  ICDCS: "INTERNATIONAL CONFERENCE ON DISTRIBUTED COMPUTING SYSTEMS",
-  "CODES+ISSS":
-    "INTERNATIONAL CONFERENCE ON HARDWARE/SOFTWARE CO-DESIGN AND SYSTEM SYNTHESIS",
-  HiPEAC:
-    "INTERNATIONAL CONFERENCE ON HIGH PERFORMANCE AND EMBEDDED ARCHITECTURES AND COMPILERS",
-  SIGMETRICS:
-    "INTERNATIONAL CONFERENCE ON MEASUREMENT AND MODELING OF COMPUTER SYSTEMS",
-  PACT: "INTERNATIONAL CONFERENCE ON PARALLEL ARCHITECTURES AND COMPILATION TECHNIQUES",
-  ICPP: "INTERNATIONAL CONFERENCE ON PARALLEL PROCESSING",
-  ICS: "INTERNATIONAL CONFERENCE ON SUPERCOMPUTING",
-  VEE: "INTERNATIONAL CONFERENCE ON VIRTUAL EXECUTION ENVIRONMENTS",
-  IPDPS: "INTERNATIONAL PARALLEL & DISTRIBUTED PROCESSING SYMPOSIUM",
-  Performance:
-    "INTERNATIONAL SYMPOSIUM ON COMPUTER PERFORMANCE, MODELING, MEASUREMENTS AND EVALUATION",
-  HPDC: "INTERNATIONAL SYMPOSIUM ON HIGH PERFORMANCE DISTRIBUTED COMPUTING",
-  ITC: "INTERNATIONAL TEST CONFERENCE",
-  LISA: "LARGE INSTALLATION SYSTEM ADMINISTRATION CONFERENCE",
-  MSST: "MASS STORAGE SYSTEMS AND TECHNOLOGIES",
-  RTAS: "REAL-TIME AND EMBEDDED TECHNOLOGY AND APPLICATIONS SYMPOSIUM",
-  "Euro-Par": "EUROPEAN CONFERENCE ON PARALLEL AND DISTRIBUTED COMPUTING",
-  CF: "ACM INTERNATIONAL CONFERENCE ON COMPUTING FRONTIERS",
-  SYSTOR: "ACM INTERNATIONAL SYSTEMS AND STORAGE CONFERENCE",
-  NOCS: "ACM/IEEE INTERNATIONAL SYMPOSIUM ON NETWORKS-ON-CHIP",
-  ASAP: "APPLICATION-SPECIFIC SYSTEMS, ARCHITECTURES, AND PROCESSORS",
-  "ASP-DAC": "ASIA AND SOUTH PACIFIC DESIGN AUTOMATION CONFERENCE",
-  ETS: "EUROPEAN TEST SYMPOSIUM",
-  FPL: "FIELD PROGRAMMABLE LOGIC AND APPLICATIONS",
-  FCCM: "FIELD-PROGRAMMABLE CUSTOM COMPUTING MACHINES",
-  GLSVLSI: "GREAT LAKES SYMPOSIUM ON VLSI",
-  ATS: "IEEE ASIAN TEST SYMPOSIUM",
-  HPCC: "IEEE INTERNATIONAL CONFERENCE ON HIGH PERFORMANCE COMPUTING AND COMMUNICATIONS",
-  HiPC: "IEEE INTERNATIONAL CONFERENCE ON HIGH PERFORMANCE COMPUTING, DATA AND ANALYTICS",
-  MASCOTS:
-    "IEEE INTERNATIONAL SYMPOSIUM ON MODELING, ANALYSIS, AND SIMULATION OF COMPUTER AND TELECOMMUNICATION SYSTEMS",
-  ISPA: "IEEE INTERNATIONAL SYMPOSIUM ON PARALLEL AND DISTRIBUTED PROCESSING WITH APPLICATIONS",
-  CCGRID:
-    "IEEE/ACM INTERNATIONAL SYMPOSIUM ON CLUSTER, CLOUD AND GRID COMPUTING",
-  NPC: "IFIP INTERNATIONAL CONFERENCE ON NETWORK AND PARALLEL COMPUTING",
-  ICA3PP:
-    "INTERNATIONAL CONFERENCE ON ALGORITHMS AND ARCHITECTURES FOR PARALLEL PROCESSING",
-  CASES:
-    "INTERNATIONAL CONFERENCE ON COMPILERS, ARCHITECTURES, AND SYNTHESIS FOR EMBEDDED SYSTEMS",
-  FPT: "INTERNATIONAL CONFERENCE ON FIELD-PROGRAMMABLE TECHNOLOGY",
-  ICPADS: "INTERNATIONAL CONFERENCE ON PARALLEL AND DISTRIBUTED SYSTEMS",
-  ISCAS: "INTERNATIONAL SYMPOSIUM ON CIRCUITS AND SYSTEMS",
-  ISLPED: "INTERNATIONAL SYMPOSIUM ON LOW POWER ELECTRONICS AND DESIGN",
-  ISPD: "INTERNATIONAL SYMPOSIUM ON PHYSICAL DESIGN",
-  HotI: "SYMPOSIUM ON HIGH-PERFORMANCE INTERCONNECTS",
-  VTS: "VLSI TEST SYMPOSIUM",
-  "ITC-Asia": "INTERNATIONAL TEST CONFERENCE IN ASIA",
-  JSAC: "IEEE JOURNAL OF SELECTED AREAS IN COMMUNICATIONS",
-  TMC: "IEEE TRANSACTIONS ON MOBILE COMPUTING",
-  TON: "IEEE/ACM TRANSACTIONS ON NETWORKING",
-  TOIT: "ACM TRANSACTIONS ON INTERNET TECHNOLOGY",
-  TOMCCAP:
-    "ACM TRANSACTIONS ON MULTIMEDIA COMPUTING,COMMUNICATIONS AND APPLICATION",
-  TOSN: "ACM TRANSACTIONS ON SENSOR NETWORKS",
-  CN: "COMPUTER NETWORKS",
-  TCOM: "IEEE TRANSACTIONS ON COMMUNICATIONS",
-  TWC: "IEEE TRANSACTIONS ON WIRELESS COMMUNICATIONS",
-  CC: "COMPUTATIONAL COMPLEXITY",
-  TNSM: "IEEE TRANSACTIONS ON NETWORK AND SERVICE MANAGEMENT",
-  JNCA: "JOURNAL OF NETWORK AND COMPUTER APPLICATIONS",
-  MONET: "MOBILE NETWORKS & APPLICATIONS",
-  PPNA: "PEER-TO-PEER NETWORKING AND APPLICATIONS",
-  WCMC: "WIRELESS COMMUNICATIONS & MOBILE COMPUTING",
-  IOT: "IEEE INTERNET OF THINGS JOURNAL",
-  SIGCOMM:
-    "ACM INTERNATIONAL CONFERENCE ON APPLICATIONS, TECHNOLOGIES, ARCHITECTURES, AND PROTOCOLS FOR COMPUTER COMMUNICATION",
-  MobiCom: "ACM INTERNATIONAL CONFERENCE ON MOBILE COMPUTING AND NETWORKING",
-  INFOCOM: "IEEE INTERNATIONAL CONFERENCE ON COMPUTER COMMUNICATIONS",
-  NSDI: "SYMPOSIUM ON NETWORK SYSTEM DESIGN AND IMPLEMENTATION",
-  SenSys: "ACM CONFERENCE ON EMBEDDED NETWORKED SENSOR SYSTEMS",
-  CoNEXT:
-    "ACM INTERNATIONAL CONFERENCE ON EMERGING NETWORKING EXPERIMENTS AND TECHNOLOGIES",
-  SECON:
-    "IEEE COMMUNICATIONS SOCIETY CONFERENCE ON SENSOR AND AD HOC COMMUNICATIONS AND NETWORKS",
-  IPSN: "INTERNATIONAL CONFERENCE ON INFORMATION PROCESSING IN SENSOR NETWORKS",
-  MobiSys:
-    "INTERNATIONAL CONFERENCE ON MOBILE SYSTEMS, APPLICATIONS, AND SERVICES",
-  ICNP: "INTERNATIONAL CONFERENCE ON NETWORK PROTOCOLS",
-  MobiHoc: "INTERNATIONAL SYMPOSIUM ON MOBILE AD HOC NETWORKING AND COMPUTING",
-  NOSSDAV:
-    "INTERNATIONAL WORKSHOP ON NETWORK AND OPERATING SYSTEM SUPPORT FOR DIGITAL AUDIO AND VIDEO",
-  IWQoS: "INTERNATIONAL WORKSHOP ON QUALITY OF SERVICE",
-  IMC: "INTERNET MEASUREMENT CONFERENCE",
-  ANCS: "ARCHITECTURES FOR NETWORKING AND COMMUNICATIONS SYSTEMS",
-  APNOMS: "ASIA-PACIFIC NETWORK OPERATIONS AND MANAGEMENT SYMPOSIUM",
-  FORTE: "FORMAL TECHNIQUES FOR NETWORKED AND DISTRIBUTED SYSTEMS",
-  LCN: "IEEE CONFERENCE ON LOCAL COMPUTER NETWORKS",
-  GLOBECOM: "IEEE GLOBAL COMMUNICATIONS CONFERENCE",
-  ICC: "IEEE INTERNATIONAL CONFERENCE ON COMMUNICATIONS",
-  ICCCN:
-    "IEEE INTERNATIONAL CONFERENCE ON COMPUTER COMMUNICATIONS AND NETWORKS",
-  MASS: "IEEE INTERNATIONAL CONFERENCE ON MOBILE AD-HOC AND SENSOR SYSTEMS",
-  P2P: "IEEE INTERNATIONAL CONFERENCE ON P2P COMPUTING",
-  IPCCC:
-    "IEEE INTERNATIONAL PERFORMANCE COMPUTING AND COMMUNICATIONS CONFERENCE",
-  WoWMoM:
-    "IEEE INTERNATIONAL SYMPOSIUM ON A WORLD OF WIRELESS MOBILE AND MULTIMEDIA NETWORKS",
-  ISCC: "IEEE SYMPOSIUM ON COMPUTERS AND COMMUNICATIONS",
-  WCNC: "IEEE WIRELESS COMMUNICATIONS & NETWORKING CONFERENCE",
-  Networking: "IFIP INTERNATIONAL CONFERENCES ON NETWORKING",
-  IM: "IFIP/IEEE INTERNATIONAL SYMPOSIUM ON INTEGRATED NETWORK MANAGEMENT",
-  MSN: "INTERNATIONAL CONFERENCE ON MOBILE AD-HOC AND SENSOR NETWORKS",
-  MSWiM:
-    "INTERNATIONAL CONFERENCE ON MODELING, ANALYSIS AND SIMULATION OF WIRELESS AND MOBILE SYSTEMS",
-  WASA: "INTERNATIONAL CONFERENCE ON WIRELESS ALGORITHMS, SYSTEMS, AND APPLICATIONS",
-  HotNets: "THE WORKSHOP ON HOT TOPICS IN NETWORKS",
-  APNet: "ASIA-PACIFIC WORKSHOP ON NETWORKING",
-  TDSC: "IEEE TRANSACTIONS ON DEPENDABLE AND SECURE COMPUTING",
-  TIFS: "IEEE TRANSACTIONS ON INFORMATION FORENSICS AND SECURITY",
-  TOPS: "ACM TRANSACTIONS ON PRIVACY AND SECURITY",
-  JCS: "JOURNAL OF COMPUTER SECURITY",
-  CLSR: "COMPUTER LAW AND SECURITY REVIEW",
-  IMCS: "INFORMATION MANAGEMENT & COMPUTER SECURITY",
-  IJICS: "INTERNATIONAL JOURNAL OF INFORMATION AND COMPUTER SECURITY",
-  IJISP: "INTERNATIONAL JOURNAL OF INFORMATION SECURITY AND PRIVACY",
-  JISA: "JOURNAL OF INFORMATION SECURITY AND APPLICATION",
-  SCN: "SECURITY AND COMMUNICATION NETWORKS",
-  CCS: "ACM CONFERENCE ON COMPUTER AND COMMUNICATIONS SECURITY",
-  EUROCRYPT: "EUROPEAN CRYPTOLOGY CONFERENCE",
-  "S&P": "IEEE SYMPOSIUM ON SECURITY AND PRIVACY",
-  CRYPTO: "INTERNATIONAL CRYPTOLOGY CONFERENCE",
-  "USENIX Security": "USENIX SECURITY SYMPOSIUM",
-  NDSS: "ISOC NETWORK AND DISTRIBUTED SYSTEM SECURITY SYMPOSIUM",
-  ACSAC: "ANNUAL COMPUTER SECURITY APPLICATIONS CONFERENCE",
-  ASIACRYPT:
-    "ANNUAL INTERNATIONAL CONFERENCE ON THE THEORY AND APPLICATION OF CRYPTOLOGY AND INFORMATION SECURITY",
-  ESORICS: "EUROPEAN SYMPOSIUM ON RESEARCH IN COMPUTER SECURITY",
-  FSE: "ACM INTERNATIONAL CONFERENCE ON THE FOUNDATIONS OF SOFTWARE ENGINEERING",
-  CSFW: "IEEE COMPUTER SECURITY FOUNDATIONS WORKSHOP",
-  SRDS: "IEEE INTERNATIONAL SYMPOSIUM ON RELIABLE DISTRIBUTED SYSTEMS",
-  CHES: "INTERNATIONAL CONFERENCE ON CRYPTOGRAPHIC HARDWARE AND EMBEDDED SYSTEMS",
-  DSN: "INTERNATIONAL CONFERENCE ON DEPENDABLE SYSTEMS AND NETWORKS",
-  RAID: "INTERNATIONAL SYMPOSIUM ON RECENT ADVANCES IN INTRUSION DETECTION",
-  PKC: "INTERNATIONAL WORKSHOP ON PRACTICE AND THEORY IN PUBLIC KEY CRYPTOGRAPHY",
-  WiSec:
-    "ACM CONFERENCE ON SECURITY AND PRIVACY IN WIRELESS AND MOBILE NETWORKS",
-  SACMAT: "ACM SYMPOSIUM ON ACCESS CONTROL MODELS AND TECHNOLOGIES",
-  DRM: "ACM WORKSHOP ON DIGITAL RIGHTS MANAGEMENT",
-  "IH&MMSec": "ACM WORKSHOP ON INFORMATION HIDING AND MULTIMEDIA SECURITY",
-  ACNS: "APPLIED CRYPTOGRAPHY AND NETWORK SECURITY",
-  AsiaCCS: "ASIA CONFERENCE ON COMPUTER AND COMMUNICATIONS SECURITY",
-  ACISP: "AUSTRALASIACONFERENCEONINFORMATION SECURITYANDPRIVACY",
-  "CT-RSA": "RSA CONFERENCE, CRYPTOGRAPHERS' TRACK",
-  DIMVA: "DETECTION OF INTRUSIONS AND MALWARE &VULNERABILITY ASSESSMENT",
-  DFRWS: "DIGITAL FORENSIC RESEARCH WORKSHOP",
-  FC: "FINANCIAL CRYPTOGRAPHY AND DATA SECURITY",
-  TrustCom:
-    "IEEE INTERNATIONAL CONFERENCE ON TRUST,SECURITY AND PRIVACY IN COMPUTING AND COMMUNICATIONS",
-  SEC: "IFIP INTERNATIONAL INFORMATION SECURITY CONFERENCE",
-  "IFIP WG 11.9": "IFIP WG 11.9 INTERNATIONAL CONFERENCE ON DIGITAL FORENSICS",
-  ISC: "INFORMATION SECURITY CONFERENCE",
-  ICDF2C: "INTERNATIONAL CONFERENCE ON DIGITAL FORENSICS & CYBER CRIME",
-  ICICS: "INTERNATIONAL CONFERENCE ON INFORMATION AND COMMUNICATIONS SECURITY",
-  SecureComm:
-    "INTERNATIONAL CONFERENCE ON SECURITY AND PRIVACY IN COMMUNICATION NETWORKS",
-  NSPW: "NEW SECURITY PARADIGMS WORKSHOP",
-  PAM: "PASSIVE AND ACTIVE MEASUREMENT CONFERENCE",
-  PETS: "PRIVACY ENHANCING TECHNOLOGIES SYMPOSIUM",
-  SAC: "SELECTED AREAS IN CRYPTOGRAPHY",
-  SOUPS: "SYMPOSIUM ON USABLE PRIVACY AND SECURITY",
-  HotSec: "USENIX WORKSHOP ON HOT TOPICS IN SECURITY",
-  "EuroS&P": "IEEE EUROPEAN SYMPOSIUM ON SECURITY AND PRIVACY",
-  Inscrypt: "INTERNATIONAL CONFERENCE ON INFORMATION SECURITY AND CRYPTOLOGY",
-  TOPLAS: "ACM TRANSACTIONS ON PROGRAMMING LANGUAGES & SYSTEMS",
-  TOSEM: "ACM TRANSACTIONS ON SOFTWARE ENGINEERING AND METHODOLOGY",
-  TSE: "IEEE TRANSACTIONS ON SOFTWARE ENGINEERING",
-  TSC: "IEEE TRANSACTIONS ON SERVICE COMPUTING",
-  ASE: "INTERNATIONAL CONFERENCE ON AUTOMATED SOFTWARE ENGINEERING",
-  ESE: "EMPIRICAL SOFTWARE ENGINEERING",
-  IETS: "IET SOFTWARE",
-  IST: "INFORMATION AND SOFTWARE TECHNOLOGY",
-  JFP: "JOURNAL OF FUNCTIONAL PROGRAMMING",
-  JSS: "JOURNAL OF SYSTEMS AND SOFTWARE",
-  RE: "IEEE INTERNATIONAL REQUIREMENT ENGINEERING CONFERENCE",
-  SCP: "SCIENCE OF COMPUTER PROGRAMMING",
-  SoSyM: "SOFTWARE AND SYSTEM MODELING",
-  STVR: "SOFTWARE TESTING, VERIFICATION AND RELIABILITY",
-  SPE: "SOFTWARE: PRACTICE AND EXPERIENCE",
-  CL: "COMPUTER LANGUAGES, SYSTEMS AND STRUCTURES",
-  IJSEKE:
-    "INTERNATIONAL JOURNAL ON SOFTWARE ENGINEERING AND KNOWLEDGE ENGINEERING",
-  STTT: "INTERNATIONAL JOURNAL ON SOFTWARE TOOLS FOR TECHNOLOGY TRANSFER",
-  JLAP: "JOURNAL OF LOGIC AND ALGEBRAIC PROGRAMMING",
-  JWE: "JOURNAL OF WEB ENGINEERING",
-  SOCA: "SERVICE ORIENTED COMPUTING AND APPLICATIONS",
-  SQJ: "SOFTWARE QUALITY JOURNAL",
-  TPLP: "THEORY AND PRACTICE OF LOGIC PROGRAMMING",
-  "PACM PL": "PROCEEDINGS OF THE ACM ON PROGRAMMING LANGUAGES",
-  PLDI: "ACM SIGPLAN SYMPOSIUM ON PROGRAMMING LANGUAGE DESIGN & IMPLEMENTATION",
-  POPL: "ACM SIGPLAN-SIGACT SYMPOSIUM ON PRINCIPLES OF PROGRAMMING LANGUAGES",
-  "FSE/ESEC":
-    "ACM SIGSOFT SYMPOSIUM ON THE FOUNDATION OF SOFTWARE ENGINEERING/EUROPEAN SOFTWARE ENGINEERING CONFERENCE",
-  SOSP: "ACM SYMPOSIUM ON OPERATING SYSTEMS PRINCIPLES",
-  OOPSLA:
-    "CONFERENCE ON OBJECT-ORIENTED PROGRAMMING SYSTEMS, LANGUAGES,AND APPLICATIONS",
-  ICSE: "INTERNATIONAL CONFERENCE ON SOFTWARE ENGINEERING",
-  ISSTA: "INTERNATIONAL SYMPOSIUM ON SOFTWARE TESTING AND ANALYSIS",
-  OSDI: "USENIX SYMPOSIUM ON OPERATING SYSTEMS DESIGN AND IMPLEMENTATIONS",
-  FM: "INTERNATIONAL SYMPOSIUM ON FORMAL METHODS",
-  ECOOP: "EUROPEAN CONFERENCE ON OBJECT-ORIENTED PROGRAMMING",
-  ETAPS: "EUROPEAN JOINT CONFERENCES ON THEORY AND PRACTICE OF SOFTWARE",
-  ICPC: "IEEE INTERNATIONAL CONFERENCE ON PROGRAM COMPREHENSION",
-  CAiSE: "INTERNATIONAL CONFERENCE ON ADVANCED INFORMATION SYSTEMS ENGINEERING",
-  ICFP: "INTERNATIONAL CONFERENCE ON FUNCTION PROGRAMMING",
-  LCTES:
-    "INTERNATIONAL CONFERENCE ON LANGUAGES,COMPILERS, TOOLS AND THEORY FOR EMBEDDED SYSTEMS",
-  MoDELS:
-    "INTERNATIONAL CONFERENCE ON MODEL DRIVEN ENGINEERING LANGUAGES AND SYSTEMS",
-  CP: "INTERNATIONAL CONFERENCE ON PRINCIPLES AND PRACTICE OF CONSTRAINT PROGRAMMING",
-  ICSOC: "INTERNATIONAL CONFERENCE ON SERVICE ORIENTED COMPUTING",
-  SANER:
-    "INTERNATIONAL CONFERENCE ON SOFTWARE ANALYSIS, EVOLUTION, AND REENGINEERING",
-  ICSME: "INTERNATIONAL CONFERENCE ON SOFTWARE MAINTENANCE AND EVOLUTION",
-  VMCAI:
-    "INTERNATIONAL CONFERENCE ON VERIFICATION,MODEL CHECKING, AND ABSTRACT INTERPRETATION",
-  ICWS: "INTERNATIONAL CONFERENCE ON WEB SERVICES(RESEARCH TRACK)",
-  Middleware: "INTERNATIONAL MIDDLEWARE CONFERENCE",
-  SAS: "INTERNATIONAL STATIC ANALYSIS SYMPOSIUM",
-  ESEM: "INTERNATIONAL SYMPOSIUM ON EMPIRICAL SOFTWARE ENGINEERING AND MEASUREMENT",
-  ISSRE: "INTERNATIONAL SYMPOSIUM ON SOFTWARE RELIABILITY ENGINEERING",
-  HotOS: "USENIX WORKSHOP ON HOT TOPICS IN OPERATING SYSTEMS",
-  PEPM: "ACM SIGPLAN WORKSHOP ON PARTIAL EVALUATION AND PROGRAM MANIPULATION",
-  PASTE:
-    "ACMSIGPLAN-SIGSOFT WORKSHOP ON PROGRAM ANALYSIS FOR SOFTWARE TOOLS AND ENGINEERING",
-  APLAS: "ASIAN SYMPOSIUM ON PROGRAMMING LANGUAGES AND SYSTEMS",
-  APSEC: "ASIA-PACIFIC SOFTWARE ENGINEERING CONFERENCE",
-  EASE: "EVALUATION AND ASSESSMENT IN SOFTWARE ENGINEERING",
-  ICECCS:
-    "IEEE INTERNATIONAL CONFERENCE ON ENGINEERING OF COMPLEX COMPUTER SYSTEMS",
-  ICST: "IEEE INTERNATIONAL CONFERENCE ON SOFTWARE TESTING, VERIFICATION AND VALIDATION",
-  ISPASS:
-    "IEEE INTERNATIONAL SYMPOSIUM ON PERFORMANCE ANALYSIS OF SYSTEMS AND SOFTWARE",
-  SCAM: "IEEE INTERNATIONAL WORKING CONFERENCE ON SOURCE CODE ANALYSIS AND MANIPULATION",
-  COMPSAC: "INTERNATIONAL COMPUTER SOFTWARE AND APPLICATIONS CONFERENCE",
-  ICFEM: "INTERNATIONAL CONFERENCE ON FORMAL ENGINEERING METHODS",
-  TOOLS: "INTERNATIONAL CONFERENCE ON OBJECTS, MODELS, COMPONENTS, PATTERNS",
-  QSIC: "INTERNATIONAL CONFERENCE ON QUALITY SOFTWARE",
-  SCC: "INTERNATIONAL CONFERENCE ON SERVICE COMPUTING",
-  ICSSP: "INTERNATIONAL CONFERENCE ON SOFTWARE AND SYSTEM PROCESS",
-  SEKE: "INTERNATIONAL CONFERENCE ON SOFTWARE ENGINEERING AND KNOWLEDGE ENGINEERING",
-  QRS: "INTERNATIONAL CONFERENCE ON SOFTWARE QUALITY, RELIABILITY AND SECURITY",
-  ICSR: "INTERNATIONAL CONFERENCE ON SOFTWARE REUSE",
-  ICWE: "INTERNATIONAL CONFERENCE ON WEB ENGINEERING",
-  SPIN: "INTERNATIONAL SPIN WORKSHOP ON MODEL CHECKING OF SOFTWARE",
-  ATVA: "INTERNATIONAL SYMPOSIUM ON AUTOMATED TECHNOLOGY FOR VERIFICATION AND ANALYSIS",
-  LOPSTR:
-    "INTERNATIONAL SYMPOSIUM ON LOGIC-BASED PROGRAM SYNTHESIS AND TRANSFORMATION",
-  TASE: "INTERNATIONAL SYMPOSIUM ON THEORETICAL ASPECTS OF SOFTWARE ENGINEERING",
-  MSR: "MINING SOFTWARE REPOSITORIES",
-  REFSQ: "REQUIREMENTS ENGINEERING: FOUNDATION FOR SOFTWARE QUALITY",
-  WICSA: "WORKING IEEE/IFIP CONFERENCE ON SOFTWARE ARCHITECTURE",
-  Internetware: "THE ASIA-PACIFIC SYMPOSIUM ON INTERNETWARE",
-  RV: "INTERNATIONAL CONFERENCE ON RUNTIME VERIFICATION",
-  TODS: "ACM TRANSACTIONS ON DATABASE SYSTEMS",
-  TOIS: "ACM TRANSACTIONS ON INFORMATION SYSTEMS",
-  TKDE: "IEEE TRANSACTIONS ON KNOWLEDGE AND DATA ENGINEERING",
-  VLDBJ: "THE VLDB JOURNAL",
-  TKDD: "ACM TRANSACTIONS ON KNOWLEDGE DISCOVERY FROM DATA",
-  TWEB: "ACM TRANSACTIONS ON THE WEB",
-  AEI: "ADVANCED ENGINEERING INFORMATICS",
-  DKE: "DATA AND KNOWLEDGE ENGINEERING",
-  DMKD: "DATA MINING AND KNOWLEDGE DISCOVERY",
-  EJIS: "EUROPEAN JOURNAL OF INFORMATION SYSTEMS",
-  IPM: "INFORMATION PROCESSING AND MANAGEMENT",
-  IS: "INFORMATION SYSTEMS",
-  JASIST:
-    "JOURNAL OF THE AMERICAN SOCIETY FOR INFORMATION SCIENCE AND TECHNOLOGY",
-  JWS: "JOURNAL OF WEB SEMANTICS",
-  KAIS: "KNOWLEDGE AND INFORMATION SYSTEMS",
-  DPD: "DISTRIBUTED AND PARALLEL DATABASES",
-  "I&M": "INFORMATION AND MANAGEMENT",
-  IPL: "INFORMATION PROCESSING LETTERS",
-  IR: "INFORMATION RETRIEVAL JOURNAL",
-  IJCIS: "INTERNATIONAL JOURNAL OF COOPERATIVE INFORMATION SYSTEMS",
-  IJGIS: "INTERNATIONAL JOURNAL OF GEOGRAPHICAL INFORMATION SCIENCE",
-  IJIS: "INTERNATIONAL JOURNAL OF INTELLIGENT SYSTEMS",
-  IJKM: "INTERNATIONAL JOURNAL OF KNOWLEDGE MANAGEMENT",
-  IJSWIS: "INTERNATIONAL JOURNAL ON SEMANTIC WEB AND INFORMATION SYSTEMS",
-  JCIS: "JOURNAL OF COMPUTER INFORMATION SYSTEMS",
-  JDM: "JOURNAL OF DATABASE MANAGEMENT",
-  JIIS: "JOURNAL OF INTELLIGENT INFORMATION SYSTEMS",
-  JSIS: "JOURNAL OF STRATEGIC INFORMATION SYSTEMS",
-  DSE: "DATA SCIENCE AND ENGINEERING",
-  SIGMOD: "ACM CONFERENCE ON MANAGEMENT OF DATA",
-  SIGKDD: "ACM KNOWLEDGE DISCOVERY AND DATA MINING",
-  ICDE: "IEEE INTERNATIONAL CONFERENCE ON DATA ENGINEERING",
-  SIGIR:
-    "INTERNATIONAL CONFERENCE ON RESEARCH ON DEVELOPMENT IN INFORMATION RETRIEVAL",
-  VLDB: "INTERNATIONAL CONFERENCE ON VERY LARGE DATA BASES",
-  CIKM: "ACM INTERNATIONAL CONFERENCE ON INFORMATION AND KNOWLEDGE MANAGEMENT",
-  WSDM: "ACM INTERNATIONAL CONFERENCE ON WEB SEARCH AND DATA MINING",
-  PODS: "ACM SYMPOSIUM ON PRINCIPLES OF DATABASE SYSTEMS",
-  DASFAA: "DATABASE SYSTEMS FOR ADVANCED APPLICATIONS",
-  "ECML-PKDD":
-    "EUROPEAN CONFERENCE ON MACHINE LEARNING AND PRINCIPLES AND PRACTICE OF KNOWLEDGE DISCOVERY IN DATABASES",
-  ISWC: "IEEE INTERNATIONAL SEMANTIC WEB CONFERENCE",
-  ICDM: "INTERNATIONAL CONFERENCE ON DATA MINING",
-  ICDT: "INTERNATIONAL CONFERENCE ON DATABASE THEORY",
-  EDBT: "INTERNATIONAL CONFERENCE ON EXTENDING DB TECHNOLOGY",
-  CIDR: "INTERNATIONAL CONFERENCE ON INNOVATIVE DATA SYSTEMS RESEARCH",
-  SDM: "SIAM INTERNATIONAL CONFERENCE ON DATA MINING",
-  RecSys: "ACM CONFERENCE ON RECOMMENDER SYSTEMS",
-  APWeb: "ASIA PACIFIC WEB CONFERENCE",
-  DEXA: "DATABASE AND EXPERT SYSTEM APPLICATIONS",
-  ECIR: "EUROPEAN CONFERENCE ON IR RESEARCH",
-  ESWC: "EXTENDED SEMANTIC WEB CONFERENCE",
-  WebDB: "INTERNATIONAL ACM WORKSHOP ON WEB AND DATABASES",
-  ER: "INTERNATIONAL CONFERENCE ON CONCEPTUAL MODELING",
-  MDM: "INTERNATIONAL CONFERENCE ON MOBILE DATA MANAGEMENT",
-  SSDBM: "INTERNATIONAL CONFERENCE ON SCIENTIFIC AND STATISTICAL DB MANAGEMENT",
-  WAIM: "INTERNATIONAL CONFERENCE ON WEB AGE INFORMATION MANAGEMENT",
-  SSTD: "INTERNATIONAL SYMPOSIUM ON SPATIAL AND TEMPORAL DATABASES",
-  PAKDD: "PACIFIC-ASIA CONFERENCE ON KNOWLEDGE DISCOVERY AND DATA MINING",
-  WISE: "WEB INFORMATION SYSTEMS ENGINEERING",
-  ADMA: "THE INTERNATIONAL CONFERENCE ON ADVANCED DATA MINING AND APPLICATIONS",
-  TIT: "IEEE TRANSACTIONS ON INFORMATION THEORY",
-  IANDC: "INFORMATION AND COMPUTATION",
-  SICOMP: "SIAM JOURNAL ON COMPUTING",
-  TALG: "ACM TRANSACTIONS ON ALGORITHMS",
-  TOCL: "ACM TRANSACTIONS ON COMPUTATIONAL LOGIC",
-  TOMS: "ACM TRANSACTIONS ON MATHEMATICAL SOFTWARE",
-  Algorithmica: "ALGORITHMICA",
-  FAC: "FORMAL ASPECTS OF COMPUTING",
-  FMSD: "FORMAL METHODS IN SYSTEM DESIGN",
-  INFORMS: "INFORMS JOURNAL ON COMPUTING",
-  JCSS: "JOURNAL OF COMPUTER AND SYSTEM SCIENCES",
-  JGO: "JOURNAL OF GLOBAL OPTIMIZATION",
-  JSC: "JOURNAL OF SYMBOLIC COMPUTATION",
-  MSCS: "MATHEMATICAL STRUCTURES IN COMPUTER SCIENCE",
-  TCS: "THEORETICAL COMPUTER SCIENCE",
-  ACTA: "ACTA INFORMATICA",
-  APAL: "ANNALS OF PURE AND APPLIED LOGIC",
-  DAM: "DISCRETE APPLIED MATHEMATICS",
-  FUIN: "FUNDAMENTA INFORMATICAE",
-  LISP: "HIGHER-ORDER AND SYMBOLIC COMPUTATION",
-  JCOMPLEXITY: "JOURNAL OF COMPLEXITY",
-  LOGCOM: "JOURNAL OF LOGIC AND COMPUTATION",
-  JSL: "JOURNAL OF SYMBOLIC LOGIC",
-  LMCS: "LOGICAL METHODS IN COMPUTER SCIENCE",
-  SIDMA: "SIAM JOURNAL ON DISCRETE MATHEMATICS",
-  STOC: "ACM SYMPOSIUM ON THEORY OF COMPUTING",
-  SODA: "ACM-SIAM SYMPOSIUM ON DISCRETE ALGORITHMS",
-  CAV: "COMPUTER AIDED VERIFICATION",
-  FOCS: "IEEE ANNUAL SYMPOSIUM ON FOUNDATIONS OF COMPUTER SCIENCE",
-  LICS: "IEEE SYMPOSIUM ON LOGIC IN COMPUTER SCIENCE",
-  SoCG: "ACM SYMPOSIUM ON COMPUTATIONAL GEOMETRY",
-  ESA: "EUROPEAN SYMPOSIUM ON ALGORITHMS",
-  CCC: "IEEE CONFERENCE ON COMPUTATIONAL COMPLEXITY",
-  ICALP: "INTERNATIONAL COLLOQUIUM ON AUTOMATA, LANGUAGES AND PROGRAMMING",
-  "CADE/IJCAR":
-    "INTERNATIONAL CONFERENCE ON AUTOMATED DEDUCTION/INTERNATIONAL JOINT CONFERENCE ON AUTOMATED REASONING",
-  CONCUR: "INTERNATIONAL CONFERENCE ON CONCURRENCY THEORY",
-  HSCC: "INTERNATIONAL CONFERENCE ON HYBRID SYSTEMS: COMPUTATION AND CONTROL",
-  SAT: "THEORY AND APPLICATIONS OF SATISFIABILITY TESTING",
-  COCOON: "INTERNATIONAL COMPUTING AND COMBINATORICS CONFERENCE",
-  CSL: "COMPUTER SCIENCE LOGIC",
-  FMCAD: "FORMAL METHOD IN COMPUTER-AIDED DESIGN",
-  FSTTCS: "FOUNDATIONS OF SOFTWARE TECHNOLOGY AND THEORETICAL COMPUTER SCIENCE",
-  DSAA: "IEEE INTERNATIONAL CONFERENCE ON DATA SCIENCE AND ADVANCED ANALYTICS",
-  ICTAC: "INTERNATIONAL COLLOQUIUM ON THEORETICAL ASPECTS OF COMPUTING",
-  IPCO: "INTERNATIONAL CONFERENCE ON INTEGER PROGRAMMING AND COMBINATORIAL OPTIMIZATION",
-  RTA: "INTERNATIONAL CONFERENCE ON REWRITING TECHNIQUES AND APPLICATIONS",
-  ISAAC: "INTERNATIONAL SYMPOSIUM ON ALGORITHMS AND COMPUTATION",
-  MFCS: "MATHEMATICAL FOUNDATIONS OF COMPUTER SCIENCE",
-  STACS: "SYMPOSIUM ON THEORETICAL ASPECTS OF COMPUTER SCIENCE",
-  SETTA:
-    "INTERNATIONAL SYMPOSIUM ON DEPENDABLE SOFTWARE ENGINEERING: THEORIES, TOOLS, AND APPLICATIONS",
-  TOG: "ACM TRANSACTIONS ON GRAPHICS",
-  TIP: "IEEE TRANSACTIONS ON IMAGE PROCESSING",
-  TVCG: "IEEE TRANSACTIONS ON VISUALIZATION AND COMPUTER GRAPHICS",
-  CAGD: "COMPUTER AIDED GEOMETRIC DESIGN",
-  CGF: "COMPUTER GRAPHICS FORUM",
-  CAD: "COMPUTER-AIDED DESIGN",
-  GM: "GRAPHICAL MODELS",
-  TCSVT: "IEEE TRANSACTIONS ON CIRCUITS AND SYSTEMS FOR VIDEO TECHNOLOGY",
-  TMM: "IEEE TRANSACTIONS ON MULTIMEDIA",
-  SIIMS: "SIAM JOURNAL ON IMAGING SCIENCES",
-  "Speech Com": "SPEECH COMMUNICATION",
-  CGTA: "COMPUTATIONAL GEOMETRY: THEORY AND APPLICATIONS",
-  CAVW: "COMPUTER ANIMATION AND VIRTUAL WORLDS",
-  "C&G": "COMPUTERS & GRAPHICS",
-  DCG: "DISCRETE & COMPUTATIONAL GEOMETRY",
-  SPL: "IEEE SIGNAL PROCESSING LETTERS",
-  "IET-IPR": "IET IMAGE PROCESSING",
-  JVCIR: "JOURNAL OF VISUAL COMMUNICATION AND IMAGE REPRESENTATION",
-  MS: "MULTIMEDIA SYSTEMS",
-  MTA: "MULTIMEDIA TOOLS AND APPLICATIONS",
-  SPIC: "SIGNAL PROCESSING: IMAGE COMMUNICATION",
-  TVC: "THE VISUAL COMPUTER",
-  CVMJ: "COMPUTATIONAL VISUAL MEDIA",
-  "ACM MM": "ACM INTERNATIONAL CONFERENCE ON MULTIMEDIA",
-  SIGGRAPH: "ACM SIGGRAPH ANNUAL CONFERENCE",
-  VR: "IEEE VIRTUAL REALITY",
-  "IEEE VIS": "IEEE VISUALIZATION CONFERENCE",
-  ICMR: "ACM SIGMM INTERNATIONAL CONFERENCE ON MULTIMEDIA RETRIEVAL",
-  SI3D: "ACM SYMPOSIUM ON INTERACTIVE 3D GRAPHICS",
-  SCA: "ACM/EUROGRAPHICS SYMPOSIUM ON COMPUTER ANIMATION",
-  DCC: "DATA COMPRESSION CONFERENCE",
-  EG: "EUROGRAPHICS",
-  EuroVis: "EUROGRAPHICS CONFERENCE ON VISUALIZATION",
-  SGP: "EUROGRAPHICS SYMPOSIUM ON GEOMETRY PROCESSING",
-  EGSR: "EUROGRAPHICS SYMPOSIUM ON RENDERING",
-  ICASSP: "IEEE INTERNATIONAL CONFERENCE ON ACOUSTICS,SPEECH AND SP",
-  ICME: "IEEE INTERNATIONAL CONFERENCE ON MULTIMEDIA& EXPO",
-  ISMAR: "INTERNATIONAL SYMPOSIUM ON MIXED AND AUGMENTED REALITY",
-  PG: "PACIFIC GRAPHICS: THE PACIFIC CONFERENCE ON COMPUTER GRAPHICS AND APPLICATIONS",
-  SPM: "SYMPOSIUM ON SOLID AND PHYSICAL MODELING",
-  MICCAI:
-    "INTERNATIONAL CONFERENCE ON MEDICAL IMAGE COMPUTING AND COMPUTER-ASSISTED INTERVENTION",
-  CASA: "COMPUTER ANIMATION AND SOCIAL AGENTS",
-  CGI: "COMPUTER GRAPHICS INTERNATIONAL",
-  INTERSPEECH:
-    "CONFERENCE OF THE INTERNATIONAL SPEECHCOMMUNICATION ASSOCIATION",
-  GMP: "GEOMETRIC MODELING AND PROCESSING",
-  PacificVis: "IEEE PACIFIC VISUALIZATION SYMPOSIUM",
-  "3DV": "INTERNATIONAL CONFERENCE ON 3D VISION",
-  "CAD/Graphics":
-    "INTERNATIONAL CONFERENCE ON COMPUTER-AIDED DESIGN AND COMPUTER GRAPHICS",
-  ICIP: "INTERNATIONAL CONFERENCE ON IMAGE PROCESSING",
-  MMM: "INTERNATIONAL CONFERENCE ON MULTIMEDIA MODELING",
-  PCM: "PACIFIC-RIM CONFERENCE ON MULTIMEDIA",
-  SMI: "SHAPE MODELING INTERNATIONAL",
-  CVM: "COMPUTATIONAL VISUAL MEDIA",
-  PRCV: "CHINESE CONFERENCE ON PATTERN RECOGNITION AND COMPUTER VISION",
-  AI: "ARTIFICIAL INTELLIGENCE",
-  TPAMI: "IEEE TRANS ON PATTERN ANALYSIS AND MACHINE INTELLIGENCE",
-  IJCV: "INTERNATIONAL JOURNAL OF COMPUTER VISION",
-  JMLR: "JOURNAL OF MACHINE LEARNING RESEARCH",
-  TAP: "ACM TRANSACTIONS ON APPLIED PERCEPTION",
-  TSLP: "ACM TRANSACTIONS ON SPEECH AND LANGUAGE PROCESSING",
-  AAMAS:
-    "INTERNATIONAL JOINT CONFERENCE ON AUTONOMOUS AGENTS AND MULTI-AGENT SYSTEMS",
-  CVIU: "COMPUTER VISION AND IMAGE UNDERSTANDING",
-  TAC: "IEEE TRANSACTIONS ON AFFECTIVE COMPUTING",
-  TASLP: "IEEE TRANSACTIONS ON AUDIO, SPEECH, AND LANGUAGE PROCESSING",
-  TEC: "IEEE TRANSACTIONS ON EVOLUTIONARY COMPUTATION",
-  TFS: "IEEE TRANSACTIONS ON FUZZY SYSTEMS",
-  TNNLS: "IEEE TRANSACTIONS ON NEURAL NETWORKS AND LEARNING SYSTEMS",
-  IJAR: "INTERNATIONAL JOURNAL OF APPROXIMATE REASONING",
-  JAIR: "JOURNAL OF ARTIFICIAL INTELLIGENCE RESEARCH",
-  TACL: "TRANSACTIONS OF THE ASSOCIATION FOR COMPUTATIONAL LINGUISTICS",
-  TALLIP:
-    "ACM TRANSACTIONS ON ASIAN AND LOW-RESOURCE LANGUAGE INFORMATION PROCESSING",
-  AIM: "ARTIFICIAL INTELLIGENCE IN MEDICINE",
-  DSS: "DECISION SUPPORT SYSTEMS",
-  EAAI: "ENGINEERING APPLICATIONS OF ARTIFICIAL INTELLIGENCE",
-  ESWA: "EXPERT SYSTEMS WITH APPLICATIONS",
-  TG: "IEEE TRANSACTIONS ON GAMES",
-  "IET-CVI": "IET COMPUTER VISION",
-  IVC: "IMAGE AND VISION COMPUTING",
-  IDA: "INTELLIGENT DATA ANALYSIS",
-  IJCIA: "INTERNATIONAL JOURNAL OF COMPUTATIONAL INTELLIGENCE AND APPLICATIONS",
-  IJNS: "INTERNATIONAL JOURNAL OF NEURAL SYSTEMS",
-  IJPRAI:
-    "INTERNATIONAL JOURNAL OF PATTERN RECOGNITION AND ARTIFICIAL INTELLIGENCE",
-  IJUFKS:
-    "INTERNATIONAL JOURNAL OF UNCERTAINTY, FUZZINESS AND KNOWLEDGE-BASED SYSTEM",
-  IJDAR: "INTERNATIONAL JOURNAL ON DOCUMENT ANALYSIS AND RECOGNITION",
-  JETAI: "JOURNAL OF EXPERIMENTAL AND THEORETICAL ARTIFICIAL INTELLIGENCE",
-  KBS: "KNOWLEDGE-BASED SYSTEMS",
-  NLE: "NATURAL LANGUAGE ENGINEERING",
-  NCA: "NEURAL COMPUTING & APPLICATIONS",
-  NPL: "NEURAL PROCESSING LETTERS",
-  PAA: "PATTERN ANALYSIS AND APPLICATIONS",
-  PRL: "PATTERN RECOGNITION LETTERS",
-  WI: "WEB INTELLIGENCE",
-  TIIS: "ACM TRANSACTIONS ON INTERACTIVE INTELLIGENT SYSTEMS",
-  AAAI: "AAAI CONFERENCE ON ARTIFICIAL INTELLIGENCE",
-  NeurIPS: "ANNUAL CONFERENCE ON NEURAL INFORMATION PROCESSING SYSTEMS",
-  ACL: "ANNUAL MEETING OF THE ASSOCIATION FOR COMPUTATIONAL LINGUISTICS",
-  CVPR: "IEEE CONFERENCE ON COMPUTER VISION AND PATTERN RECOGNITION",
-  ICCV: "INTERNATIONAL CONFERENCE ON COMPUTER VISION",
-  ICML: "INTERNATIONAL CONFERENCE ON MACHINE LEARNING",
-  IJCAI: "INTERNATIONAL JOINT CONFERENCE ON ARTIFICIAL INTELLIGENCE",
-  COLT: "ANNUAL CONFERENCE ON COMPUTATIONAL LEARNING THEORY",
-  EMNLP: "CONFERENCE ON EMPIRICAL METHODS IN NATURAL LANGUAGE PROCESSING",
-  ECAI: "EUROPEAN CONFERENCE ON ARTIFICIAL INTELLIGENCE",
-  ECCV: "EUROPEAN CONFERENCE ON COMPUTER VISION",
-  ICRA: "IEEE INTERNATIONAL CONFERENCE ON ROBOTICS AND AUTOMATION",
-  ICAPS: "INTERNATIONAL CONFERENCE ON AUTOMATED PLANNING AND SCHEDULING",
-  ICCBR: "INTERNATIONAL CONFERENCE ON CASE-BASED REASONING AND DEVELOPMENT",
-  COLING: "INTERNATIONAL CONFERENCE ON COMPUTATIONAL LINGUISTICS",
-  KR: "INTERNATIONAL CONFERENCE ON PRINCIPLES OF KNOWLEDGE REPRESENTATION AND REASONING",
-  UAI: "INTERNATIONAL CONFERENCE ON UNCERTAINTY IN ARTIFICIAL INTELLIGENCE",
-  PPSN: "PARALLEL PROBLEM SOLVING FROM NATURE",
-  NAACL:
-    "THE ANNUAL CONFERENCE OF THE NORTH AMERICAN CHAPTER OF THE ASSOCIATION FOR COMPUTATIONAL LINGUISTICS",
-  AISTATS: "ARTIFICIAL INTELLIGENCE AND STATISTICS",
-  ACCV: "ASIAN CONFERENCE ON COMPUTER VISION",
-  ACML: "ASIAN CONFERENCE ON MACHINE LEARNING",
-  BMVC: "BRITISH MACHINE VISION CONFERENCE",
-  NLPCC:
-    "CCF INTERNATIONAL CONFERENCE ON NATURAL LANGUAGE PROCESSING AND CHINESE COMPUTING",
-  CoNLL: "CONFERENCE ON COMPUTATIONAL NATURAL LANGUAGE LEARNING",
-  GECCO: "GENETIC AND EVOLUTIONARY COMPUTATION CONFERENCE",
-  ICTAI: "IEEE INTERNATIONAL CONFERENCE ON TOOLS WITH ARTIFICIAL INTELLIGENCE",
-  IROS: "IEEERSJ INTERNATIONAL CONFERENCE ON INTELLIGENT ROBOTS AND SYSTEMS",
-  ALT: "INTERNATIONAL CONFERENCE ON ALGORITHMIC LEARNING THEORY",
-  ICANN: "INTERNATIONAL CONFERENCE ON ARTIFICIAL NEURAL NETWORKS",
-  FG: "INTERNATIONAL CONFERENCE ON AUTOMATIC FACE AND GESTURE RECOGNITION",
-  ICDAR: "INTERNATIONAL CONFERENCE ON DOCUMENT ANALYSIS AND RECOGNITION",
-  ILP: "INTERNATIONAL CONFERENCE ON INDUCTIVE LOGIC PROGRAMMING",
-  KSEM: "INTERNATIONAL CONFERENCE ON KNOWLEDGE SCIENCE,ENGINEERING AND MANAGEMENT",
-  ICONIP: "INTERNATIONAL CONFERENCE ON NEURAL INFORMATION PROCESSING",
-  ICPR: "INTERNATIONAL CONFERENCE ON PATTERN RECOGNITION",
-  ICB: "INTERNATIONAL JOINT CONFERENCE ON BIOMETRICS",
-  IJCNN: "INTERNATIONAL JOINT CONFERENCE ON NEURAL NETWORKS",
-  PRICAI: "PACIFIC RIM INTERNATIONAL CONFERENCE ON ARTIFICIAL INTELLIGENCE",
-  TOCHI: "ACM TRANSACTIONS ON COMPUTER-HUMAN INTERACTION",
-  IJHCS: "INTERNATIONAL JOURNAL OF HUMAN COMPUTER STUDIES",
-  CSCW: "ACM CONFERENCE ON COMPUTER SUPPORTED COOPERATIVE WORK AND SOCIAL COMPUTING",
-  HCI: "HUMAN COMPUTER INTERACTION",
-  IWC: "INTERACTING WITH COMPUTERS",
-  IJHCI: "INTERNATIONAL JOURNAL OF HUMAN-COMPUTER INTERACTION",
-  UMUAI: "USER MODELING AND USER-ADAPTED INTERACTION",
-  TSMC: "IEEE TRANSACTIONS ON SYSTEMS, MAN, AND CYBERNETICS: SYSTEMS",
-  BIT: "BEHAVIOUR & INFORMATION TECHNOLOGY",
-  PUC: "PERSONAL AND UBIQUITOUS COMPUTING",
-  PMC: "PERVASIVE AND MOBILE COMPUTING",
-  PACMHCI: "PROCEEDINGS OF THE ACM ON HUMAN-COMPUTER INTERACTION",
-  CHI: "ACM CONFERENCE ON HUMAN FACTORS IN COMPUTING SYSTEMS",
-  UbiComp: "ACM INTERNATIONAL CONFERENCE ON UBIQUITOUS COMPUTING",
-  IMWUT:
-    "PROCEEDINGS OF THE ACM ON INTERACTIVE, MOBILE, WEARABLE AND UBIQUITOUS TECHNOLOGIES",
-  UIST: "ACM SYMPOSIUM ON USER INTERFACE SOFTWARE AND TECHNOLOGY",
-  GROUP: "ACM CONFERENCE ON SUPPORTING GROUP WORK",
-  IUI: "ACM INTERNATIONAL CONFERENCE ON INTELLIGENT USER INTERFACES",
-  ITS: "ACM INTERNATIONAL CONFERENCE ON INTERACTIVE TABLETOPS AND SURFACES",
-  ECSCW: "EUROPEAN CONFERENCE ON COMPUTER SUPPORTED COOPERATIVE WORK",
-  PERCOM:
-    "IEEE INTERNATIONAL CONFERENCE ON PERVASIVE COMPUTING AND COMMUNICATIONS",
-  MobileHCI:
-    "INTERNATIONAL CONFERENCE ON HUMAN COMPUTER INTERACTION WITH MOBILE DEVICES AND SERVICES",
-  ICWSM: "THE INTERNATIONAL AAAI CONFERENCE ON WEB AND SOCIAL MEDIA",
-  DIS: "ACM CONFERENCE ON DESIGNING INTERACTIVE SYSTEMS",
-  ICMI: "ACM INTERNATIONAL CONFERENCE ON MULTIMODAL INTERACTION",
-  ASSETS: "ACM SIGACCESS CONFERENCE ON COMPUTERS AND ACCESSIBILITY",
-  GI: "GRAPHICS INTERFACE CONFERENCE",
-  UIC: "IEEE INTERNATIONAL CONFERENCE ON UBIQUITOUS INTELLIGENCE AND COMPUTING",
-  INTERACT: "IFIP TC13 CONFERENCE ON HUMAN-COMPUTER INTERACTION",
-  IDC: "INTERACTION DESIGN AND CHILDREN",
-  CollaborateCom:
-    "INTERNATIONAL CONFERENCE ON COLLABORATIVE COMPUTING: NETWORKING, APPLICATIONS AND WORKSHARING",
-  CSCWD:
-    "INTERNATIONAL CONFERENCE ON COMPUTER SUPPORTED COOPERATIVE WORK IN DESIGN",
-  CoopIS: "INTERNATIONAL CONFERENCE ON COOPERATIVE INFORMATION SYSTEMS",
-  MobiQuitous:
-    "INTERNATIONAL CONFERENCE ON MOBILE AND UBIQUITOUS SYSTEMS: COMPUTING,NETWORKING AND SERVICES",
-  AVI: "INTERNATIONAL WORKING CONFERENCE ON ADVANCED VISUAL INTERFACES",
-  JACM: "JOURNAL OF THE ACM",
-  "Proc. IEEE": "PROCEEDINGS OF THE IEEE",
-  SCIS: "SCIENCE CHINA INFORMATION SCIENCES",
-  TASAE: "IEEE TRANSACTIONS ON AUTOMATION SCIENCE AND ENGINEERING",
-  TGARS: "IEEE TRANSACTIONS ON GEOSCIENCE AND REMOTE SENSING",
-  TITS: "IEEE TRANSACTIONS ON INTELLIGENT TRANSPORTATION SYSTEMS",
-  TMI: "IEEE TRANSACTIONS ON MEDICAL IMAGING",
-  TR: "IEEE TRANSACTIONS ON ROBOTICS",
-  TCBB: "IEEE-ACM TRANSACTIONS ON COMPUTATIONAL BIOLOGY AND BIOINFORMATICS",
-  JCST: "JOURNAL OF COMPUTER SCIENCE AND TECHNOLOGY",
-  JAMIA: "JOURNAL OF THE AMERICAN MEDICAL INFORMATICS ASSOCIATION",
-  FCS: "FRONTIERS OF COMPUTER SCIENCE",
-  JBHI: "IEEE JOURNAL OF BIOMEDICAL AND HEALTH INFORMATICS",
-  TBD: "IEEE TRANSACTIONS ON BIG DATA",
-  JBI: "JOURNAL OF BIOMEDICAL INFORMATICS",
-  TII: "IEEE TRANSACTIONS ON INDUSTRIAL INFORMATICS",
-  TCPS: "ACM TRANSACTIONS ON CYBER-PHYSICAL SYSTEMS",
-  TOCE: "ACM TRANSACTIONS ON COMPUTING EDUCATION",
-  FITEE: "FRONTIERS OF INFORMATION TECHNOLOGY & ELECTRONIC ENGINEERING",
-  TCSS: "IEEE TRANSACTION ON COMPUTATIONAL SOCIAL SYSTEMS",
-  WWW: "INTERNATIONAL WORLD WIDE WEB CONFERENCES",
-  RTSS: "REAL-TIME SYSTEMS SYMPOSIUM",
-  WINE: "CONFERENCE ON WEB AND INTERNET ECONOMICS",
-  CogSci: "COGNITIVE SCIENCE SOCIETY ANNUAL CONFERENCE",
-  BIBM: "IEEE INTERNATIONAL CONFERENCE ON BIOINFORMATICS AND BIOMEDICINE",
-  EMSOFT: "INTERNATIONAL CONFERENCE ON EMBEDDED SOFTWARE",
-  ISMB: "INTERNATIONAL CONFERENCE ON INTELLIGENT SYSTEMS FOR MOLECULAR BIOLOGY",
-  RECOMB:
-    "INTERNATIONAL CONFERENCE ON RESEARCH IN COMPUTATIONAL MOLECULAR BIOLOGY",
-  AMIA: "AMERICAN MEDICAL INFORMATICS ASSOCIATION ANNUAL SYMPOSIUM",
-  APBC: "ASIA PACIFIC BIOINFORMATICS CONFERENCE",
-  SMC: "IEEE INTERNATIONAL CONFERENCE ON SYSTEMS, MAN, AND CYBERNETICS",
-  COSIT: "INTERNATIONAL CONFERENCE ON SPATIAL INFORMATION THEORY",
-  ISBRA: "INTERNATIONAL SYMPOSIUM ON BIOINFORMATICS RESEARCH AND APPLICATIONS",
-  SAGT: "INTERNATIONAL SYMPOSIUM ON ALGORITHMIC GAME THEORY",
-  SIGSPATIAL:
-    "ACM SIGSPATIAL INTERNATIONAL CONFERENCE ON ADVANCES IN GEOGRAPHIC INFORMATION SYSTEMS",
-  ICIC: "INTERNATIONAL CONFERENCE ON INTELLIGENT COMPUTING",
-  ICLR: "INTERNATIONAL CONFERENCE ON LEARNING REPRESENTATIONS",
-};
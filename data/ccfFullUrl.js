@@ -1,867 +0,0 @@
-/**
- * MIT License
- *
- * WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
- * Copyright (c) 2019-2024 All Rights Reserved.
- * ------------------------------------------------------
- * Generated by dataGen.js
- * Last updated: 2024-12-04
- */
-
-ccf.fullUrl = {
-  "ACM TRANSACTIONS ON COMPUTER SYSTEMS": "/journals/tocs/tocs",
-  "ACM TRANSACTIONS ON STORAGE": "/journals/tos/tos",
-  "IEEE TRANSACTIONS ON COMPUTER-AIDED DESIGN OF INTEGRATED CIRCUITS AND SYSTEM":
-    "/journals/tcad/tcad",
-  "IEEE TRANSACTIONS ON COMPUTERS": "/journals/tc/tc",
-  "IEEE TRANSACTIONS ON PARALLEL AND DISTRIBUTED SYSTEMS":
-    "/journals/tpds/tpds",
-  "ACM TRANSACTIONS ON ARCHITECTURE AND CODE OPTIMIZATION":
-    "/journals/taco/taco",
-  "ACM TRANSACTIONS ON AUTONOMOUS AND ADAPTIVE SYSTEMS": "/journals/taas/taas",
-  "ACM TRANSACTIONS ON DESIGN AUTOMATION OF ELECTRONIC SYSTEMS":
-    "/journals/todaes/todaes",
-  "ACM TRANSACTIONS ON EMBEDDED COMPUTING SYSTEMS": "/journals/tecs/tecs",
-  "ACM TRANSACTIONS ON RECONFIGURABLE TECHNOLOGY AND SYSTEMS":
-    "/journals/trets/trets",
-  "IEEE TRANSACTIONS ON VERY LARGE SCALE INTEGRATION (VLSI) SYSTEMS":
-    "/journals/tvlsi/tvlsi",
-  "JOURNAL OF PARALLEL AND DISTRIBUTED COMPUTING": "/journals/jpdc/jpdc",
-  "JOURNAL OF SYSTEMS ARCHITECTURE: EMBEDDED SOFTWARE DESIGN":
-    "/journals/jsa/jsa",
-  "PARALLEL COMPUTING": "/conf/parco/parco",
-  "PERFORMANCE EVALUATION: AN INTERNATIONAL JOURNAL": "/journals/pe/pe",
-  "ACM JOURNAL ON EMERGING TECHNOLOGIES IN COMPUTING SYSTEMS":
-    "/journals/jetc/jetc",
-  "CONCURRENCY AND COMPUTATION: PRACTICE AND EXPERIENCE":
-    "/journals/concurrency/concurrency",
-  "DISTRIBUTED COMPUTING": "/journals/dc/dc",
-  "FUTURE GENERATION COMPUTER SYSTEMS": "/journals/fgcs/fgcs",
-  "IEEE TRANSACTIONS ON CLOUD COMPUTING": "/journals/tcc/tcc",
-  "INTEGRATION, THE VLSI JOURNAL": "/journals/integration/integration",
-  "JOURNAL OF ELECTRONIC TESTING-THEORY AND APPLICATIONS": "/journals/et/et",
-  "THE JOURNAL OF GRID COMPUTING": "/journals/grid/grid",
-  "REAL-TIME SYSTEMS": "/journals/rts/rts",
-  "THE JOURNAL OF SUPERCOMPUTING": "/journals/tjs/tjs",
-  "IEEE TRANSACTIONS ON CIRCUITS AND SYSTEMS I: REGULAR PAPERS":
-    "/journals/tcasI/tcasI",
-  "CCF TRANSACTIONS ON HIGH PERFORMANCE COMPUTING": "/journals/ccfthpc/ccfthpc",
-  "IEEE TRANSACTIONS ON SUSTAINABLE COMPUTING": "/journals/tsusc/tsusc",
-  "ACM SIGPLAN SYMPOSIUM ON PRINCIPLES & PRACTICE OF PARALLEL PROGRAMMING":
-    "/conf/ppopp/ppopp",
-  "CONFERENCE ON FILE AND STORAGE TECHNOLOGIES": "/conf/fast/fast",
-  "DESIGN AUTOMATION CONFERENCE": "/conf/dac/dac",
-  "HIGH-PERFORMANCE COMPUTER ARCHITECTURE": "/conf/hpca/hpca",
-  "IEEE/ACM INTERNATIONAL SYMPOSIUM ON MICROARCHITECTURE": "/conf/micro/micro",
-  "INTERNATIONAL CONFERENCE FOR HIGH PERFORMANCE COMPUTING, NETWORKING, STORAGE, AND ANALYSIS":
-    "/conf/sc/sc",
-  "INTERNATIONAL CONFERENCE ON ARCHITECTURAL SUPPORT FOR PROGRAMMING LANGUAGES AND OPERATING SYSTEMS":
-    "/conf/asplos/asplos",
-  "INTERNATIONAL SYMPOSIUM ON COMPUTER ARCHITECTURE": "/conf/isca/isca",
-  "USENIX ANNUAL TECHNICAL CONFERENCE": "/conf/usenix/usenix",
-  "EUROPEAN CONFERENCE ON COMPUTER SYSTEMS": "/conf/eurosys/eurosys",
-  "ACM SYMPOSIUM ON CLOUD COMPUTING": "/conf/cloud/socc",
-  "ACM SYMPOSIUM ON PARALLELISM IN ALGORITHMS AND ARCHITECTURES":
-    "/conf/spaa/spaa",
-  "ACM SYMPOSIUM ON PRINCIPLES OF DISTRIBUTED COMPUTING": "/conf/podc/podc",
-  "ACM/SIGDA INTERNATIONAL SYMPOSIUM ON FIELD-PROGRAMMABLE GATE ARRAYS":
-    "/conf/fpga/fpga",
-  "CODE GENERATION AND OPTIMIZATION": "/conf/cgo/cgo",
-  "DESIGN, AUTOMATION & TEST IN EUROPE": "/conf/date/date",
-  "ACM SYMPOSIUM ON HIGH PERFORMANCE CHIPS": "/conf/hotchips/hotchips",
-  "IEEE INTERNATIONAL CONFERENCE ON CLUSTER COMPUTING": "/conf/cluster/cluster",
-  "INTERNATIONAL CONFERENCE ON COMPUTER DESIGN": "/conf/iccd/iccd",
-  "INTERNATIONAL CONFERENCE ON COMPUTER-AIDED DESIGN": "/conf/iccad/iccad",
-  "INTERNATIONAL CONFERENCE ON DISTRIBUTED COMPUTING SYSTEMS":
-    "/conf/icdcs/icdcs",
-  "INTERNATIONAL CONFERENCE ON HARDWARE/SOFTWARE CO-DESIGN AND SYSTEM SYNTHESIS":
-    "/conf/codes/codes",
-  "INTERNATIONAL CONFERENCE ON HIGH PERFORMANCE AND EMBEDDED ARCHITECTURES AND COMPILERS":
-    "/conf/hipeac/hipeac",
-  "INTERNATIONAL CONFERENCE ON MEASUREMENT AND MODELING OF COMPUTER SYSTEMS":
-    "/conf/sigmetrics/sigmetrics",
-  "INTERNATIONAL CONFERENCE ON PARALLEL ARCHITECTURES AND COMPILATION TECHNIQUES":
-    "/conf/IEEEpact/IEEEpact",
-  "INTERNATIONAL CONFERENCE ON PARALLEL PROCESSING": "/conf/icpp/icpp",
-  "INTERNATIONAL CONFERENCE ON SUPERCOMPUTING": "/conf/ics/ics",
-  "INTERNATIONAL CONFERENCE ON VIRTUAL EXECUTION ENVIRONMENTS": "/conf/vee/vee",
-  "INTERNATIONAL PARALLEL & DISTRIBUTED PROCESSING SYMPOSIUM":
-    "/conf/ipps/ipdps",
-  "INTERNATIONAL SYMPOSIUM ON COMPUTER PERFORMANCE, MODELING, MEASUREMENTS AND EVALUATION":
-    "/conf/performance/performance",
-  "INTERNATIONAL SYMPOSIUM ON HIGH PERFORMANCE DISTRIBUTED COMPUTING":
-    "/conf/hpdc/hpdc",
-  "INTERNATIONAL TEST CONFERENCE": "/conf/itc/itc",
-  "LARGE INSTALLATION SYSTEM ADMINISTRATION CONFERENCE": "/conf/lisa/lisa",
-  "MASS STORAGE SYSTEMS AND TECHNOLOGIES": "/conf/mss/msst",
-  "REAL-TIME AND EMBEDDED TECHNOLOGY AND APPLICATIONS SYMPOSIUM":
-    "/conf/rtas/rtas",
-  "EUROPEAN CONFERENCE ON PARALLEL AND DISTRIBUTED COMPUTING":
-    "/conf/europar/europar",
-  "ACM INTERNATIONAL CONFERENCE ON COMPUTING FRONTIERS": "/conf/cf/cf",
-  "ACM INTERNATIONAL SYSTEMS AND STORAGE CONFERENCE": "/conf/systor/systor",
-  "ACM/IEEE INTERNATIONAL SYMPOSIUM ON NETWORKS-ON-CHIP": "/conf/nocs/nocs",
-  "APPLICATION-SPECIFIC SYSTEMS, ARCHITECTURES, AND PROCESSORS":
-    "/conf/asap/asap",
-  "ASIA AND SOUTH PACIFIC DESIGN AUTOMATION CONFERENCE": "/conf/aspdac/aspdac",
-  "EUROPEAN TEST SYMPOSIUM": "/conf/ets/ets",
-  "FIELD PROGRAMMABLE LOGIC AND APPLICATIONS": "/conf/fpl/fpl",
-  "FIELD-PROGRAMMABLE CUSTOM COMPUTING MACHINES": "/conf/fccm/fccm",
-  "GREAT LAKES SYMPOSIUM ON VLSI": "/conf/glvlsi/glvlsi",
-  "IEEE ASIAN TEST SYMPOSIUM": "/conf/ats/ats",
-  "IEEE INTERNATIONAL CONFERENCE ON HIGH PERFORMANCE COMPUTING AND COMMUNICATIONS":
-    "/conf/hpcc/hpcc",
-  "IEEE INTERNATIONAL CONFERENCE ON HIGH PERFORMANCE COMPUTING, DATA AND ANALYTICS":
-    "/conf/hipc/hipc",
-  "IEEE INTERNATIONAL SYMPOSIUM ON MODELING, ANALYSIS, AND SIMULATION OF COMPUTER AND TELECOMMUNICATION SYSTEMS":
-    "/conf/mascots/mascots",
-  "IEEE INTERNATIONAL SYMPOSIUM ON PARALLEL AND DISTRIBUTED PROCESSING WITH APPLICATIONS":
-    "/conf/ispa/ispa",
-  "IEEE/ACM INTERNATIONAL SYMPOSIUM ON CLUSTER, CLOUD AND GRID COMPUTING":
-    "/conf/ccgrid/ccgrid",
-  "IFIP INTERNATIONAL CONFERENCE ON NETWORK AND PARALLEL COMPUTING":
-    "/conf/npc/npc",
-  "INTERNATIONAL CONFERENCE ON ALGORITHMS AND ARCHITECTURES FOR PARALLEL PROCESSING":
-    "/conf/ica3pp/ica3pp",
-  "INTERNATIONAL CONFERENCE ON COMPILERS, ARCHITECTURES, AND SYNTHESIS FOR EMBEDDED SYSTEMS":
-    "/conf/cases/cases",
-  "INTERNATIONAL CONFERENCE ON FIELD-PROGRAMMABLE TECHNOLOGY": "/conf/fpt/fpt",
-  "INTERNATIONAL CONFERENCE ON PARALLEL AND DISTRIBUTED SYSTEMS":
-    "/conf/icpads/icpads",
-  "INTERNATIONAL SYMPOSIUM ON CIRCUITS AND SYSTEMS": "/conf/iscas/iscas",
-  "INTERNATIONAL SYMPOSIUM ON LOW POWER ELECTRONICS AND DESIGN":
-    "/conf/islped/islped",
-  "INTERNATIONAL SYMPOSIUM ON PHYSICAL DESIGN": "/conf/ispd/ispd",
-  "SYMPOSIUM ON HIGH-PERFORMANCE INTERCONNECTS": "/conf/hoti/hoti",
-  "VLSI TEST SYMPOSIUM": "/conf/vts/vts",
-  "INTERNATIONAL TEST CONFERENCE IN ASIA": "/conf/itc-asia/itc-asia",
-  "IEEE JOURNAL OF SELECTED AREAS IN COMMUNICATIONS": "/journals/jsac/jsac",
-  "IEEE TRANSACTIONS ON MOBILE COMPUTING": "/journals/tmc/tmc",
-  "IEEE/ACM TRANSACTIONS ON NETWORKING": "/journals/ton/ton",
-  "ACM TRANSACTIONS ON INTERNET TECHNOLOGY": "/journals/toit/toit",
-  "ACM TRANSACTIONS ON MULTIMEDIA COMPUTING, COMMUNICATIONS AND APPLICATIONS":
-    "/journals/tomccap/tomccap",
-  "ACM TRANSACTIONS ON SENSOR NETWORKS": "/journals/tosn/tosn",
-  "COMPUTER NETWORKS": "/journals/cn/cn",
-  "IEEE TRANSACTIONS ON COMMUNICATIONS": "/journals/tcom/tcom",
-  "IEEE TRANSACTIONS ON WIRELESS COMMUNICATIONS": "/journals/twc/twc",
-  "AD HOC NETWORKS": "/journals/adhoc/adhoc",
-  "COMPUTER COMMUNICATIONS": "/journals/comcom/comcom",
-  "IEEE TRANSACTIONS ON NETWORK AND SERVICE MANAGEMENT": "/journals/tnsm/tnsm",
-  "IET COMMUNICATIONS": "/journals/iet-com/iet-com",
-  "JOURNAL OF NETWORK AND COMPUTER APPLICATIONS": "/journals/jnca/jnca",
-  "MOBILE NETWORKS & APPLICATIONS": "/journals/monet/monet",
-  NETWORKS: "/journals/networks/networks",
-  "PEER-TO-PEER NETWORKING AND APPLICATIONS": "/journals/ppna/ppna",
-  "WIRELESS COMMUNICATIONS & MOBILE COMPUTING": "/journals/wicomm/wicomm",
-  "WIRELESS NETWORKS": "/journals/winet/winet",
-  "IEEE INTERNET OF THINGS JOURNAL": "/journals/iotj/iotj",
-  "ACM INTERNATIONAL CONFERENCE ON APPLICATIONS, TECHNOLOGIES, ARCHITECTURES, AND PROTOCOLS FOR COMPUTER COMMUNICATION":
-    "/conf/sigcomm/sigcomm",
-  "ACM INTERNATIONAL CONFERENCE ON MOBILE COMPUTING AND NETWORKING":
-    "/conf/mobicom/mobicom",
-  "IEEE INTERNATIONAL CONFERENCE ON COMPUTER COMMUNICATIONS":
-    "/conf/infocom/infocom",
-  "SYMPOSIUM ON NETWORK SYSTEM DESIGN AND IMPLEMENTATION": "/conf/nsdi/nsdi",
-  "ACM CONFERENCE ON EMBEDDED NETWORKED SENSOR SYSTEMS": "/conf/sensys/sensys",
-  "ACM INTERNATIONAL CONFERENCE ON EMERGING NETWORKING EXPERIMENTS AND TECHNOLOGIES":
-    "/conf/conext/conext",
-  "IEEE COMMUNICATIONS SOCIETY CONFERENCE ON SENSOR AND AD HOC COMMUNICATIONS AND NETWORKS":
-    "/conf/secon/secon",
-  "INTERNATIONAL CONFERENCE ON INFORMATION PROCESSING IN SENSOR NETWORKS":
-    "/conf/ipsn/ipsn",
-  "INTERNATIONAL CONFERENCE ON MOBILE SYSTEMS, APPLICATIONS, AND SERVICES":
-    "/conf/mobisys/mobisys",
-  "INTERNATIONAL CONFERENCE ON NETWORK PROTOCOLS": "/conf/icnp/icnp",
-  "INTERNATIONAL SYMPOSIUM ON MOBILE AD HOC NETWORKING AND COMPUTING":
-    "/conf/mobihoc/mobihoc",
-  "INTERNATIONAL WORKSHOP ON NETWORK AND OPERATING SYSTEM SUPPORT FOR DIGITAL AUDIO AND VIDEO":
-    "/conf/nossdav/nossdav",
-  "INTERNATIONAL WORKSHOP ON QUALITY OF SERVICE": "/conf/iwqos/iwqos",
-  "INTERNET MEASUREMENT CONFERENCE": "/conf/imc/imc",
-  "ARCHITECTURES FOR NETWORKING AND COMMUNICATIONS SYSTEMS": "/conf/ancs/ancs",
-  "ASIA-PACIFIC NETWORK OPERATIONS AND MANAGEMENT SYMPOSIUM":
-    "/conf/apnoms/apnoms",
-  "FORMAL TECHNIQUES FOR NETWORKED AND DISTRIBUTED SYSTEMS":
-    "/conf/forte/forte",
-  "IEEE CONFERENCE ON LOCAL COMPUTER NETWORKS": "/conf/lcn/lcn",
-  "IEEE GLOBAL COMMUNICATIONS CONFERENCE": "/conf/globecom/globecom",
-  "IEEE INTERNATIONAL CONFERENCE ON COMMUNICATIONS": "/conf/icc/icc",
-  "IEEE INTERNATIONAL CONFERENCE ON COMPUTER COMMUNICATIONS AND NETWORKS":
-    "/conf/icccn/icccn",
-  "IEEE INTERNATIONAL CONFERENCE ON MOBILE AD-HOC AND SENSOR SYSTEMS":
-    "/conf/mass/mass",
-  "IEEE INTERNATIONAL CONFERENCE ON P2P COMPUTING": "/conf/p2p/p2p",
-  "IEEE INTERNATIONAL PERFORMANCE COMPUTING AND COMMUNICATIONS CONFERENCE":
-    "/conf/ipccc/ipccc",
-  "IEEE INTERNATIONAL SYMPOSIUM ON A WORLD OF WIRELESS MOBILE AND MULTIMEDIA NETWORKS":
-    "/conf/wowmom/wowmom",
-  "IEEE SYMPOSIUM ON COMPUTERS AND COMMUNICATIONS": "/conf/iscc/iscc",
-  "IEEE WIRELESS COMMUNICATIONS & NETWORKING CONFERENCE": "/conf/wcnc/wcnc",
-  "IFIP INTERNATIONAL CONFERENCES ON NETWORKING": "/conf/networking/networking",
-  "IFIP/IEEE INTERNATIONAL SYMPOSIUM ON INTEGRATED NETWORK MANAGEMENT":
-    "/conf/im/im",
-  "INTERNATIONAL CONFERENCE ON MOBILE AD-HOC AND SENSOR NETWORKS":
-    "/conf/msn/msn",
-  "INTERNATIONAL CONFERENCE ON MODELING, ANALYSIS AND SIMULATION OF WIRELESS AND MOBILE SYSTEMS":
-    "/conf/mswim/mswim",
-  "INTERNATIONAL CONFERENCE ON WIRELESS ALGORITHMS, SYSTEMS, AND APPLICATIONS":
-    "/conf/wasa/wasa",
-  "THE WORKSHOP ON HOT TOPICS IN NETWORKS": "/conf/hotnets/hotnets",
-  "ASIA-PACIFIC WORKSHOP ON NETWORKING": "/conf/apnet/apnet",
-  "IEEE TRANSACTIONS ON DEPENDABLE AND SECURE COMPUTING": "/journals/tdsc/tdsc",
-  "IEEE TRANSACTIONS ON INFORMATION FORENSICS AND SECURITY":
-    "/journals/tifs/tifs",
-  "JOURNAL OF CRYPTOLOGY": "/journals/joc/joc",
-  "ACM TRANSACTIONS ON PRIVACY AND SECURITY": "/journals/tissec/tissec",
-  "COMPUTERS & SECURITY": "/journals/compsec/compsec",
-  "DESIGNS, CODES AND CRYPTOGRAPHY": "/journals/dcc/dcc",
-  "JOURNAL OF COMPUTER SECURITY": "/journals/jcs/jcs",
-  "COMPUTER LAW AND SECURITY REVIEW": "/journals/clsr/clsr",
-  "EURASIP JOURNAL ON INFORMATION SECURITY": "/journals/ejisec/ejisec",
-  "IET INFORMATION SECURITY": "/journals/iet-ifs/iet-ifs",
-  "INFORMATION MANAGEMENT & COMPUTER SECURITY": "/journals/imcs/imcs",
-  "INTERNATIONAL JOURNAL OF INFORMATION AND COMPUTER SECURITY":
-    "/journals/ijics/ijics",
-  "INTERNATIONAL JOURNAL OF INFORMATION SECURITY AND PRIVACY":
-    "/journals/ijisp/ijisp",
-  "JOURNAL OF INFORMATION SECURITY AND APPLICATION": "/journals/istr/istr",
-  "SECURITY AND COMMUNICATION NETWORKS": "/journals/scn/scn",
-  CYBERSECURITY: "/journals/cybersec/cybersec",
-  "ACM CONFERENCE ON COMPUTER AND COMMUNICATIONS SECURITY": "/conf/ccs/ccs",
-  "EUROPEAN CRYPTOLOGY CONFERENCE": "/conf/eurocrypt/eurocrypt",
-  "IEEE SYMPOSIUM ON SECURITY AND PRIVACY": "/conf/sp/sp",
-  "INTERNATIONAL CRYPTOLOGY CONFERENCE": "/conf/crypto/crypto",
-  "USENIX SECURITY SYMPOSIUM": "/conf/uss/uss",
-  "ISOC NETWORK AND DISTRIBUTED SYSTEM SECURITY SYMPOSIUM": "/conf/ndss/ndss",
-  "ANNUAL COMPUTER SECURITY APPLICATIONS CONFERENCE": "/conf/acsac/acsac",
-  "ANNUAL INTERNATIONAL CONFERENCE ON THE THEORY AND APPLICATION OF CRYPTOLOGY AND INFORMATION SECURITY":
-    "/conf/asiacrypt/asiacrypt",
-  "EUROPEAN SYMPOSIUM ON RESEARCH IN COMPUTER SECURITY":
-    "/conf/esorics/esorics",
-  "FAST SOFTWARE ENCRYPTION": "/conf/fse/fse",
-  "IEEE COMPUTER SECURITY FOUNDATIONS WORKSHOP": "/conf/csfw/csfw",
-  "IEEE INTERNATIONAL SYMPOSIUM ON RELIABLE DISTRIBUTED SYSTEMS":
-    "/conf/srds/srds",
-  "INTERNATIONAL CONFERENCE ON CRYPTOGRAPHIC HARDWARE AND EMBEDDED SYSTEMS":
-    "/conf/ches/ches",
-  "INTERNATIONAL CONFERENCE ON DEPENDABLE SYSTEMS AND NETWORKS":
-    "/conf/dsn/dsn",
-  "INTERNATIONAL SYMPOSIUM ON RECENT ADVANCES IN INTRUSION DETECTION":
-    "/conf/raid/raid",
-  "INTERNATIONAL WORKSHOP ON PRACTICE AND THEORY IN PUBLIC KEY CRYPTOGRAPHY":
-    "/conf/pkc/pkc",
-  "THEORY OF CRYPTOGRAPHY CONFERENCE": "/conf/tcc/tcc",
-  "ACM CONFERENCE ON SECURITY AND PRIVACY IN WIRELESS AND MOBILE NETWORKS":
-    "/conf/wisec/wisec",
-  "ACM SYMPOSIUM ON ACCESS CONTROL MODELS AND TECHNOLOGIES":
-    "/conf/sacmat/sacmat",
-  "ACM WORKSHOP ON DIGITAL RIGHTS MANAGEMENT": "/conf/drm/drm",
-  "ACM WORKSHOP ON INFORMATION HIDING AND MULTIMEDIA SECURITY": "/conf/ih/ih",
-  "APPLIED CRYPTOGRAPHY AND NETWORK SECURITY": "/conf/acns/acns",
-  "ASIA CONFERENCE ON COMPUTER AND COMMUNICATIONS SECURITY":
-    "/conf/asiaccs/asiaccs",
-  "AUSTRALASIACONFERENCEONINFORMATION SECURITYANDPRIVACY": "/conf/acisp/acisp",
-  "RSA CONFERENCE, CRYPTOGRAPHERS' TRACK": "/conf/ctrsa/ctrsa",
-  "DETECTION OF INTRUSIONS AND MALWARE &VULNERABILITY ASSESSMENT":
-    "/conf/dimva/dimva",
-  "DIGITAL FORENSIC RESEARCH WORKSHOP": "/conf/dfrws/dfrws",
-  "FINANCIAL CRYPTOGRAPHY AND DATA SECURITY": "/conf/fc/fc",
-  "IEEE INTERNATIONAL CONFERENCE ON TRUST,SECURITY AND PRIVACY IN COMPUTING AND COMMUNICATIONS":
-    "/conf/trustcom/trustcom",
-  "IFIP INTERNATIONAL INFORMATION SECURITY CONFERENCE": "/conf/sec/sec",
-  "IFIP WG 11.9 INTERNATIONAL CONFERENCE ON DIGITAL FORENSICS":
-    "/conf/ifip11-9/df",
-  "INFORMATION SECURITY CONFERENCE": "/conf/isw/isw",
-  "INTERNATIONAL CONFERENCE ON DIGITAL FORENSICS & CYBER CRIME":
-    "/conf/icdf2c/icdf2c",
-  "INTERNATIONAL CONFERENCE ON INFORMATION AND COMMUNICATIONS SECURITY":
-    "/conf/icics/icics",
-  "INTERNATIONAL CONFERENCE ON SECURITY AND PRIVACY IN COMMUNICATION NETWORKS":
-    "/conf/securecomm/securecomm",
-  "NEW SECURITY PARADIGMS WORKSHOP": "/conf/nspw/nspw",
-  "PASSIVE AND ACTIVE MEASUREMENT CONFERENCE": "/conf/pam/pam",
-  "PRIVACY ENHANCING TECHNOLOGIES SYMPOSIUM": "/conf/pet/pet",
-  "SELECTED AREAS IN CRYPTOGRAPHY": "/conf/sacrypt/sacrypt",
-  "SYMPOSIUM ON USABLE PRIVACY AND SECURITY": "/conf/soups/soups",
-  "USENIX WORKSHOP ON HOT TOPICS IN SECURITY": "/conf/uss/hotsec",
-  "IEEE EUROPEAN SYMPOSIUM ON SECURITY AND PRIVACY": "/conf/eurosp/eurosp",
-  "INTERNATIONAL CONFERENCE ON INFORMATION SECURITY AND CRYPTOLOGY":
-    "/conf/icisc/icisc",
-  "ACM TRANSACTIONS ON PROGRAMMING LANGUAGES & SYSTEMS":
-    "/journals/toplas/toplas",
-  "ACM TRANSACTIONS ON SOFTWARE ENGINEERING AND METHODOLOGY":
-    "/journals/tosem/tosem",
-  "IEEE TRANSACTIONS ON SOFTWARE ENGINEERING": "/journals/tse/tse",
-  "IEEE TRANSACTIONS ON SERVICE COMPUTING": "/journals/tsc/tsc",
-  "AUTOMATED SOFTWARE ENGINEERING": "/journals/ase/ase",
-  "EMPIRICAL SOFTWARE ENGINEERING": "/journals/ese/ese",
-  "IET SOFTWARE": "/journals/iee/iee-s",
-  "INFORMATION AND SOFTWARE TECHNOLOGY": "/journals/infsof/infsof",
-  "JOURNAL OF FUNCTIONAL PROGRAMMING": "/journals/jfp/jfp",
-  "JOURNAL OF SOFTWARE: EVOLUTION AND PROCESS": "/journals/smr/smr",
-  "JOURNAL OF SYSTEMS AND SOFTWARE": "/journals/jss/jss",
-  "REQUIREMENTS ENGINEERING": "/journals/re/re",
-  "SCIENCE OF COMPUTER PROGRAMMING": "/journals/scp/scp",
-  "SOFTWARE AND SYSTEM MODELING": "/journals/sosym/sosym",
-  "SOFTWARE TESTING, VERIFICATION AND RELIABILITY": "/journals/stvr/stvr",
-  "SOFTWARE: PRACTICE AND EXPERIENCE": "/journals/spe/spe",
-  "COMPUTER LANGUAGES, SYSTEMS AND STRUCTURES": "/journals/cl/cl",
-  "INTERNATIONAL JOURNAL ON SOFTWARE ENGINEERING AND KNOWLEDGE ENGINEERING":
-    "/journals/ijseke/ijseke",
-  "INTERNATIONAL JOURNAL ON SOFTWARE TOOLS FOR TECHNOLOGY TRANSFER":
-    "/journals/sttt/sttt",
-  "JOURNAL OF LOGIC AND ALGEBRAIC PROGRAMMING": "/journals/jlp/jlp",
-  "JOURNAL OF WEB ENGINEERING": "/journals/jwe/jwe",
-  "SERVICE ORIENTED COMPUTING AND APPLICATIONS": "/journals/soca/soca",
-  "SOFTWARE QUALITY JOURNAL": "/journals/sqj/sqj",
-  "THEORY AND PRACTICE OF LOGIC PROGRAMMING": "/journals/tplp/tplp",
-  "PROCEEDINGS OF THE ACM ON PROGRAMMING LANGUAGES": "/journals/pacmpl/pacmpl",
-  "ACM SIGPLAN SYMPOSIUM ON PROGRAMMING LANGUAGE DESIGN & IMPLEMENTATION":
-    "/conf/pldi/pldi",
-  "ACM SIGPLAN-SIGACT SYMPOSIUM ON PRINCIPLES OF PROGRAMMING LANGUAGES":
-    "/conf/popl/popl",
-  "ACM SIGSOFT SYMPOSIUM ON THE FOUNDATION OF SOFTWARE ENGINEERING/EUROPEAN SOFTWARE ENGINEERING CONFERENCE":
-    "/conf/sigsoft/fse",
-  "ACM SYMPOSIUM ON OPERATING SYSTEMS PRINCIPLES": "/conf/sosp/sosp",
-  "CONFERENCE ON OBJECT-ORIENTED PROGRAMMING SYSTEMS, LANGUAGES,AND APPLICATIONS":
-    "/conf/oopsla/oopsla",
-  "INTERNATIONAL CONFERENCE ON AUTOMATED SOFTWARE ENGINEERING":
-    "/conf/kbse/kbse",
-  "INTERNATIONAL CONFERENCE ON SOFTWARE ENGINEERING": "/conf/icse/icse",
-  "INTERNATIONAL SYMPOSIUM ON SOFTWARE TESTING AND ANALYSIS":
-    "/conf/issta/issta",
-  "USENIX SYMPOSIUM ON OPERATING SYSTEMS DESIGN AND IMPLEMENTATIONS":
-    "/conf/osdi/osdi",
-  "INTERNATIONAL SYMPOSIUM ON FORMAL METHODS": "/conf/fm/fm",
-  "EUROPEAN CONFERENCE ON OBJECT-ORIENTED PROGRAMMING": "/conf/ecoop/ecoop",
-  "EUROPEAN JOINT CONFERENCES ON THEORY AND PRACTICE OF SOFTWARE":
-    "/conf/spin/spin",
-  "IEEE INTERNATIONAL CONFERENCE ON PROGRAM COMPREHENSION": "/conf/iwpc/iwpc",
-  "IEEE INTERNATIONAL REQUIREMENT ENGINEERING CONFERENCE": "/conf/icre/icre",
-  "INTERNATIONAL CONFERENCE ON ADVANCED INFORMATION SYSTEMS ENGINEERING":
-    "/conf/caise/caise",
-  "INTERNATIONAL CONFERENCE ON FUNCTION PROGRAMMING": "/conf/icfp/icfp",
-  "INTERNATIONAL CONFERENCE ON LANGUAGES,COMPILERS, TOOLS AND THEORY FOR EMBEDDED SYSTEMS":
-    "/conf/lctrts/lctes",
-  "INTERNATIONAL CONFERENCE ON MODEL DRIVEN ENGINEERING LANGUAGES AND SYSTEMS":
-    "/conf/models/models",
-  "INTERNATIONAL CONFERENCE ON PRINCIPLES AND PRACTICE OF CONSTRAINT PROGRAMMING":
-    "/conf/cp/cp",
-  "INTERNATIONAL CONFERENCE ON SERVICE ORIENTED COMPUTING": "/conf/icsoc/icsoc",
-  "INTERNATIONAL CONFERENCE ON SOFTWARE ANALYSIS, EVOLUTION, AND REENGINEERING":
-    "/conf/wcre/wcre",
-  "INTERNATIONAL CONFERENCE ON SOFTWARE MAINTENANCE AND EVOLUTION":
-    "/conf/icsm/icsm",
-  "INTERNATIONAL CONFERENCE ON VERIFICATION,MODEL CHECKING, AND ABSTRACT INTERPRETATION":
-    "/conf/vmcai/vmcai",
-  "INTERNATIONAL CONFERENCE ON WEB SERVICES(RESEARCH TRACK)": "/conf/icws/icws",
-  "INTERNATIONAL MIDDLEWARE CONFERENCE": "/conf/middleware/middleware",
-  "INTERNATIONAL STATIC ANALYSIS SYMPOSIUM": "/conf/sas/sas",
-  "INTERNATIONAL SYMPOSIUM ON EMPIRICAL SOFTWARE ENGINEERING AND MEASUREMENT":
-    "/conf/esem/esem",
-  "INTERNATIONAL SYMPOSIUM ON SOFTWARE RELIABILITY ENGINEERING":
-    "/conf/issre/issre",
-  "USENIX WORKSHOP ON HOT TOPICS IN OPERATING SYSTEMS": "/conf/hotos/hotos",
-  "ACM SIGPLAN WORKSHOP ON PARTIAL EVALUATION AND PROGRAM MANIPULATION":
-    "/conf/pepm/pepm",
-  "ACMSIGPLAN-SIGSOFT WORKSHOP ON PROGRAM ANALYSIS FOR SOFTWARE TOOLS AND ENGINEERING":
-    "/conf/paste/paste",
-  "ASIAN SYMPOSIUM ON PROGRAMMING LANGUAGES AND SYSTEMS": "/conf/aplas/aplas",
-  "ASIA-PACIFIC SOFTWARE ENGINEERING CONFERENCE": "/conf/apsec/apsec",
-  "EVALUATION AND ASSESSMENT IN SOFTWARE ENGINEERING": "/conf/ease/ease",
-  "IEEE INTERNATIONAL CONFERENCE ON ENGINEERING OF COMPLEX COMPUTER SYSTEMS":
-    "/conf/iceccs/iceccs",
-  "IEEE INTERNATIONAL CONFERENCE ON SOFTWARE TESTING, VERIFICATION AND VALIDATION":
-    "/conf/icst/icst",
-  "IEEE INTERNATIONAL SYMPOSIUM ON PERFORMANCE ANALYSIS OF SYSTEMS AND SOFTWARE":
-    "/conf/ispass/ispass",
-  "IEEE INTERNATIONAL WORKING CONFERENCE ON SOURCE CODE ANALYSIS AND MANIPULATION":
-    "/conf/scam/scam",
-  "INTERNATIONAL COMPUTER SOFTWARE AND APPLICATIONS CONFERENCE":
-    "/conf/compsac/compsac",
-  "INTERNATIONAL CONFERENCE ON FORMAL ENGINEERING METHODS": "/conf/icfem/icfem",
-  "INTERNATIONAL CONFERENCE ON OBJECTS, MODELS, COMPONENTS, PATTERNS":
-    "/conf/tools/tools",
-  "INTERNATIONAL CONFERENCE ON QUALITY SOFTWARE": "/conf/qsic/qsic",
-  "INTERNATIONAL CONFERENCE ON SERVICE COMPUTING": "/conf/IEEEscc/scc",
-  "INTERNATIONAL CONFERENCE ON SOFTWARE AND SYSTEM PROCESS": "/conf/ispw/icsp",
-  "INTERNATIONAL CONFERENCE ON SOFTWARE ENGINEERING AND KNOWLEDGE ENGINEERING":
-    "/conf/seke/seke",
-  "INTERNATIONAL CONFERENCE ON SOFTWARE QUALITY, RELIABILITY AND SECURITY":
-    "/conf/qrs/qrs",
-  "INTERNATIONAL CONFERENCE ON SOFTWARE REUSE": "/conf/icsr/icsr",
-  "INTERNATIONAL CONFERENCE ON WEB ENGINEERING": "/conf/icwe/icwe",
-  "INTERNATIONAL SPIN WORKSHOP ON MODEL CHECKING OF SOFTWARE":
-    "/conf/spin/spin",
-  "INTERNATIONAL SYMPOSIUM ON AUTOMATED TECHNOLOGY FOR VERIFICATION AND ANALYSIS":
-    "/conf/atva/atva",
-  "INTERNATIONAL SYMPOSIUM ON LOGIC-BASED PROGRAM SYNTHESIS AND TRANSFORMATION":
-    "/conf/lopstr/lopstr",
-  "INTERNATIONAL SYMPOSIUM ON THEORETICAL ASPECTS OF SOFTWARE ENGINEERING":
-    "/conf/tase/tase",
-  "MINING SOFTWARE REPOSITORIES": "/conf/msr/msr",
-  "REQUIREMENTS ENGINEERING: FOUNDATION FOR SOFTWARE QUALITY":
-    "/conf/refsq/refsq",
-  "WORKING IEEE/IFIP CONFERENCE ON SOFTWARE ARCHITECTURE": "/conf/wicsa/wicsa",
-  "THE ASIA-PACIFIC SYMPOSIUM ON INTERNETWARE":
-    "/conf/internetware/internetware",
-  "INTERNATIONAL CONFERENCE ON RUNTIME VERIFICATION": "/conf/rv/rv",
-  "ACM TRANSACTIONS ON DATABASE SYSTEMS": "/journals/tods/tods",
-  "ACM TRANSACTIONS ON INFORMATION SYSTEMS": "/journals/tois/tois",
-  "IEEE TRANSACTIONS ON KNOWLEDGE AND DATA ENGINEERING": "/journals/tkde/tkde",
-  "THE VLDB JOURNAL": "/journals/vldb/vldb",
-  "ACM TRANSACTIONS ON KNOWLEDGE DISCOVERY FROM DATA": "/journals/tkdd/tkdd",
-  "ACM TRANSACTIONS ON THE WEB": "/journals/tweb",
-  "ADVANCED ENGINEERING INFORMATICS": "/journals/aei/aei",
-  "DATA AND KNOWLEDGE ENGINEERING": "/journals/dke/dke",
-  "DATA MINING AND KNOWLEDGE DISCOVERY": "/journals/datamine/datamine",
-  "EUROPEAN JOURNAL OF INFORMATION SYSTEMS": "/journals/ejis/ejis",
-  GEOINFORMATICA: "/journals/geoinformatica/geoinformatica",
-  "INFORMATION PROCESSING AND MANAGEMENT": "/journals/ipm/ipm",
-  "INFORMATION SCIENCES": "/journals/isci/isci",
-  "INFORMATION SYSTEMS": "/journals/is/is",
-  "JOURNAL OF THE AMERICAN SOCIETY FOR INFORMATION SCIENCE AND TECHNOLOGY":
-    "/journals/jasis/jasis",
-  "JOURNAL OF WEB SEMANTICS": "/journals/ws/ws",
-  "KNOWLEDGE AND INFORMATION SYSTEMS": "/journals/kais/kais",
-  "DISTRIBUTED AND PARALLEL DATABASES": "/journals/dpd/dpd",
-  "INFORMATION AND MANAGEMENT": "/journals/iam/iam",
-  "INFORMATION PROCESSING LETTERS": "/journals/ipl/ipl",
-  "INFORMATION RETRIEVAL JOURNAL": "/journals/ir/ir",
-  "INTERNATIONAL JOURNAL OF COOPERATIVE INFORMATION SYSTEMS":
-    "/journals/ijcis/ijcis",
-  "INTERNATIONAL JOURNAL OF GEOGRAPHICAL INFORMATION SCIENCE":
-    "/journals/gis/gis",
-  "INTERNATIONAL JOURNAL OF INTELLIGENT SYSTEMS": "/journals/ijis/ijis",
-  "INTERNATIONAL JOURNAL OF KNOWLEDGE MANAGEMENT": "/journals/ijkm/ijkm",
-  "INTERNATIONAL JOURNAL ON SEMANTIC WEB AND INFORMATION SYSTEMS":
-    "/journals/ijswis/ijswis",
-  "JOURNAL OF COMPUTER INFORMATION SYSTEMS": "/journals/jcis/jcis",
-  "JOURNAL OF DATABASE MANAGEMENT": "/journals/jdm/jdm",
-  "JOURNAL OF GLOBAL INFORMATION TECHNOLOGY MANAGEMENT": "",
-  "JOURNAL OF INTELLIGENT INFORMATION SYSTEMS": "/journals/jiis/jiis",
-  "JOURNAL OF STRATEGIC INFORMATION SYSTEMS": "/journals/jsis/jsis",
-  "DATA SCIENCE AND ENGINEERING": "/journals/dase/dase",
-  "ACM CONFERENCE ON MANAGEMENT OF DATA": "/conf/sigmod/sigmod",
-  "ACM KNOWLEDGE DISCOVERY AND DATA MINING": "/conf/kdd/kdd",
-  "IEEE INTERNATIONAL CONFERENCE ON DATA ENGINEERING": "/conf/icde/icde",
-  "INTERNATIONAL CONFERENCE ON RESEARCH ON DEVELOPMENT IN INFORMATION RETRIEVAL":
-    "/conf/sigir/sigir",
-  "INTERNATIONAL CONFERENCE ON VERY LARGE DATA BASES": "/journals/pvldb/pvldb",
-  "ACM INTERNATIONAL CONFERENCE ON INFORMATION AND KNOWLEDGE MANAGEMENT":
-    "/conf/cikm/cikm",
-  "ACM INTERNATIONAL CONFERENCE ON WEB SEARCH AND DATA MINING":
-    "/conf/wsdm/wsdm",
-  "ACM SYMPOSIUM ON PRINCIPLES OF DATABASE SYSTEMS": "/conf/pods/pods",
-  "DATABASE SYSTEMS FOR ADVANCED APPLICATIONS": "/conf/dasfaa/dasfaa",
-  "EUROPEAN CONFERENCE ON MACHINE LEARNING AND PRINCIPLES AND PRACTICE OF KNOWLEDGE DISCOVERY IN DATABASES":
-    "/conf/pkdd/pkdd",
-  "IEEE INTERNATIONAL SEMANTIC WEB CONFERENCE": "/conf/semweb/iswc",
-  "INTERNATIONAL CONFERENCE ON DATA MINING": "/conf/icdm/icdm",
-  "INTERNATIONAL CONFERENCE ON DATABASE THEORY": "/conf/icdt/icdt",
-  "INTERNATIONAL CONFERENCE ON EXTENDING DB TECHNOLOGY": "/conf/edbt/edbt",
-  "INTERNATIONAL CONFERENCE ON INNOVATIVE DATA SYSTEMS RESEARCH":
-    "/conf/cidr/cidr",
-  "SIAM INTERNATIONAL CONFERENCE ON DATA MINING": "/conf/sdm/sdm",
-  "ACM CONFERENCE ON RECOMMENDER SYSTEMS": "/conf/recsys/recsys",
-  "ASIA PACIFIC WEB CONFERENCE": "/conf/apweb/apweb",
-  "DATABASE AND EXPERT SYSTEM APPLICATIONS": "/conf/dexa/dexa",
-  "EUROPEAN CONFERENCE ON IR RESEARCH": "/conf/ecir/ecir",
-  "EXTENDED SEMANTIC WEB CONFERENCE": "/conf/esws/eswc",
-  "INTERNATIONAL ACM WORKSHOP ON WEB AND DATABASES": "/conf/webdb/webdb",
-  "INTERNATIONAL CONFERENCE ON CONCEPTUAL MODELING": "/conf/er/er",
-  "INTERNATIONAL CONFERENCE ON MOBILE DATA MANAGEMENT": "/conf/mdm/mdm",
-  "INTERNATIONAL CONFERENCE ON SCIENTIFIC AND STATISTICAL DB MANAGEMENT":
-    "/conf/ssdbm/ssdbm",
-  "INTERNATIONAL CONFERENCE ON WEB AGE INFORMATION MANAGEMENT":
-    "/conf/waim/waim",
-  "INTERNATIONAL SYMPOSIUM ON SPATIAL AND TEMPORAL DATABASES": "/conf/ssd/sstd",
-  "PACIFIC-ASIA CONFERENCE ON KNOWLEDGE DISCOVERY AND DATA MINING":
-    "/conf/pakdd/pakdd",
-  "WEB INFORMATION SYSTEMS ENGINEERING": "/conf/wise/wise",
-  "THE INTERNATIONAL CONFERENCE ON ADVANCED DATA MINING AND APPLICATIONS":
-    "/conf/adma/adma",
-  "IEEE TRANSACTIONS ON INFORMATION THEORY": "/journals/tit/tit",
-  "INFORMATION AND COMPUTATION": "/journals/iandc/iandc",
-  "SIAM JOURNAL ON COMPUTING": "/journals/siamcomp/siamcomp",
-  "ACM TRANSACTIONS ON ALGORITHMS": "/journals/talg/talg",
-  "ACM TRANSACTIONS ON COMPUTATIONAL LOGIC": "/journals/tocl/tocl",
-  "ACM TRANSACTIONS ON MATHEMATICAL SOFTWARE": "/journals/toms/toms",
-  ALGORITHMICA: "/journals/algorithmica/algorithmica",
-  "COMPUTATIONAL COMPLEXITY": "/journals/cc/cc",
-  "FORMAL ASPECTS OF COMPUTING": "/journals/fac/fac",
-  "FORMAL METHODS IN SYSTEM DESIGN": "/journals/fmsd/fmsd",
-  "INFORMS JOURNAL ON COMPUTING": "/journals/informs/informs",
-  "JOURNAL OF COMPUTER AND SYSTEM SCIENCES": "/journals/jcss/jcss",
-  "JOURNAL OF GLOBAL OPTIMIZATION": "/journals/jgo/jgo",
-  "JOURNAL OF SYMBOLIC COMPUTATION": "/journals/jsc/jsc",
-  "MATHEMATICAL STRUCTURES IN COMPUTER SCIENCE": "/journals/mscs/mscs",
-  "THEORETICAL COMPUTER SCIENCE": "/journals/tcs/tcs",
-  "ACTA INFORMATICA": "/journals/acta/acta",
-  "ANNALS OF PURE AND APPLIED LOGIC": "/journals/apal/apal",
-  "DISCRETE APPLIED MATHEMATICS": "/journals/dam/dam",
-  "FUNDAMENTA INFORMATICAE": "/journals/fuin/fuin",
-  "HIGHER-ORDER AND SYMBOLIC COMPUTATION": "/journals/lisp/lisp",
-  "JOURNAL OF COMPLEXITY": "/journals/jc/jc",
-  "JOURNAL OF LOGIC AND COMPUTATION": "/journals/logcom/logcom",
-  "JOURNAL OF SYMBOLIC LOGIC": "/journals/jsyml/jsyml",
-  "LOGICAL METHODS IN COMPUTER SCIENCE": "/journals/lmcs/lmcs",
-  "SIAM JOURNAL ON DISCRETE MATHEMATICS": "/journals/siamdm/siamdm",
-  "THEORY OF COMPUTING SYSTEMS": "/journals/mst/mst",
-  "ACM SYMPOSIUM ON THEORY OF COMPUTING": "/conf/stoc/stoc",
-  "ACM-SIAM SYMPOSIUM ON DISCRETE ALGORITHMS": "/conf/soda/soda",
-  "COMPUTER AIDED VERIFICATION": "/conf/cav/cav",
-  "IEEE ANNUAL SYMPOSIUM ON FOUNDATIONS OF COMPUTER SCIENCE": "/conf/focs/focs",
-  "IEEE SYMPOSIUM ON LOGIC IN COMPUTER SCIENCE": "/conf/lics/lics",
-  "ACM SYMPOSIUM ON COMPUTATIONAL GEOMETRY": "/conf/compgeom/compgeom",
-  "EUROPEAN SYMPOSIUM ON ALGORITHMS": "/conf/esa/esa",
-  "IEEE CONFERENCE ON COMPUTATIONAL COMPLEXITY": "/conf/coco/coco",
-  "INTERNATIONAL COLLOQUIUM ON AUTOMATA, LANGUAGES AND PROGRAMMING":
-    "/conf/icalp/icalp",
-  "INTERNATIONAL CONFERENCE ON AUTOMATED DEDUCTION/INTERNATIONAL JOINT CONFERENCE ON AUTOMATED REASONING":
-    "/conf/cade/cade",
-  "INTERNATIONAL CONFERENCE ON CONCURRENCY THEORY": "/conf/concur/concur",
-  "INTERNATIONAL CONFERENCE ON HYBRID SYSTEMS: COMPUTATION AND CONTROL":
-    "/conf/hybrid/hscc",
-  "THEORY AND APPLICATIONS OF SATISFIABILITY TESTING": "/conf/sat/sat",
-  "INTERNATIONAL COMPUTING AND COMBINATORICS CONFERENCE": "/conf/cocoon/cocoon",
-  "COMPUTER SCIENCE LOGIC": "/conf/csl/csl",
-  "FORMAL METHOD IN COMPUTER-AIDED DESIGN": "/conf/fmcad/fmcad",
-  "FOUNDATIONS OF SOFTWARE TECHNOLOGY AND THEORETICAL COMPUTER SCIENCE":
-    "/conf/fsttcs/fsttcs",
-  "IEEE INTERNATIONAL CONFERENCE ON DATA SCIENCE AND ADVANCED ANALYTICS":
-    "/conf/dsaa/dsaa",
-  "INTERNATIONAL COLLOQUIUM ON THEORETICAL ASPECTS OF COMPUTING":
-    "/conf/ictac/ictac",
-  "INTERNATIONAL CONFERENCE ON INTEGER PROGRAMMING AND COMBINATORIAL OPTIMIZATION":
-    "/conf/ipco/ipco",
-  "INTERNATIONAL CONFERENCE ON REWRITING TECHNIQUES AND APPLICATIONS":
-    "/conf/rta/rta",
-  "INTERNATIONAL SYMPOSIUM ON ALGORITHMS AND COMPUTATION": "/conf/isaac/isaac",
-  "MATHEMATICAL FOUNDATIONS OF COMPUTER SCIENCE": "/conf/mfcs/mfcs",
-  "SYMPOSIUM ON THEORETICAL ASPECTS OF COMPUTER SCIENCE": "/conf/stacs/stacs",
-  "INTERNATIONAL SYMPOSIUM ON DEPENDABLE SOFTWARE ENGINEERING: THEORIES, TOOLS, AND APPLICATIONS":
-    "/conf/setta/setta",
-  "ACM TRANSACTIONS ON GRAPHICS": "/journals/tog/tog",
-  "IEEE TRANSACTIONS ON IMAGE PROCESSING": "/journals/tip/tip",
-  "IEEE TRANSACTIONS ON VISUALIZATION AND COMPUTER GRAPHICS":
-    "/journals/tvcg/tvcg",
-  "ACM TRANSACTIONS ON MULTIMEDIA COMPUTING,COMMUNICATIONS AND APPLICATION":
-    "/journals/tomccap/tomccap",
-  "COMPUTER AIDED GEOMETRIC DESIGN": "/journals/cagd/cagd",
-  "COMPUTER GRAPHICS FORUM": "/journals/cgf/cgf",
-  "COMPUTER-AIDED DESIGN": "/journals/cad/cad",
-  "GRAPHICAL MODELS": "/journals/cvgip/cvgip",
-  "IEEE TRANSACTIONS ON CIRCUITS AND SYSTEMS FOR VIDEO TECHNOLOGY":
-    "/journals/tcsv/tcsv",
-  "IEEE TRANSACTIONS ON MULTIMEDIA": "/journals/tmm/tmm",
-  "JOURNAL OF THE ACOUSTICAL SOCIETY OF AMERICA": "",
-  "SIAM JOURNAL ON IMAGING SCIENCES": "/journals/siamis/siamis",
-  "SPEECH COMMUNICATION": "/journals/speech/speech",
-  "COMPUTATIONAL GEOMETRY: THEORY AND APPLICATIONS": "/journals/comgeo/comgeo",
-  "COMPUTER ANIMATION AND VIRTUAL WORLDS": "/journals/jvca/jvca",
-  "COMPUTERS & GRAPHICS": "/journals/cg/cg",
-  "DISCRETE & COMPUTATIONAL GEOMETRY": "/journals/dcg/dcg",
-  "IEEE SIGNAL PROCESSING LETTERS": "/journals/spl/spl",
-  "IET IMAGE PROCESSING": "/journals/iet-ipr/iet-ipr",
-  "JOURNAL OF VISUAL COMMUNICATION AND IMAGE REPRESENTATION":
-    "/journals/jvcir/jvcir",
-  "MULTIMEDIA SYSTEMS": "/journals/mms/mms",
-  "MULTIMEDIA TOOLS AND APPLICATIONS": "/journals/mta/mta",
-  "SIGNAL PROCESSING": "/journals/sigpro/sigpro",
-  "SIGNAL PROCESSING: IMAGE COMMUNICATION": "/journals/spic/spic",
-  "THE VISUAL COMPUTER": "/journals/vc/vc",
-  "COMPUTATIONAL VISUAL MEDIA": "/conf/cvm/cvm",
-  "ACM INTERNATIONAL CONFERENCE ON MULTIMEDIA": "/conf/mm/mm",
-  "ACM SIGGRAPH ANNUAL CONFERENCE": "/conf/siggraph/siggraph",
-  "IEEE VIRTUAL REALITY": "/conf/vr/vr",
-  "IEEE VISUALIZATION CONFERENCE": "/conf/visualization/visualization",
-  "ACM SIGMM INTERNATIONAL CONFERENCE ON MULTIMEDIA RETRIEVAL": "/conf/mir/mir",
-  "ACM SYMPOSIUM ON INTERACTIVE 3D GRAPHICS": "/conf/si3d/si3d",
-  "ACM/EUROGRAPHICS SYMPOSIUM ON COMPUTER ANIMATION": "/conf/sca/sca",
-  "DATA COMPRESSION CONFERENCE": "/conf/dcc/dcc",
-  EUROGRAPHICS: "/journals/cgf/cgf",
-  "EUROGRAPHICS CONFERENCE ON VISUALIZATION": "/journals/cgf/cgf",
-  "EUROGRAPHICS SYMPOSIUM ON GEOMETRY PROCESSING": "/conf/sgp/sgp",
-  "EUROGRAPHICS SYMPOSIUM ON RENDERING": "/conf/rt/eii",
-  "IEEE INTERNATIONAL CONFERENCE ON ACOUSTICS,SPEECH AND SP":
-    "/conf/icassp/icassp",
-  "IEEE INTERNATIONAL CONFERENCE ON MULTIMEDIA& EXPO": "/conf/icmcs/icme",
-  "INTERNATIONAL SYMPOSIUM ON MIXED AND AUGMENTED REALITY": "/conf/ismar/ismar",
-  "PACIFIC GRAPHICS: THE PACIFIC CONFERENCE ON COMPUTER GRAPHICS AND APPLICATIONS":
-    "/conf/pg/pg",
-  "SYMPOSIUM ON SOLID AND PHYSICAL MODELING": "/conf/sma/sma",
-  "INTERNATIONAL CONFERENCE ON MEDICAL IMAGE COMPUTING AND COMPUTER-ASSISTED INTERVENTION":
-    "/conf/miccai/miccai",
-  "ACM SYMPOSIUM ON VIRTUAL REALITY SOFTWARE AND TECHNOLOGY": "/conf/vrst/vrst",
-  "COMPUTER ANIMATION AND SOCIAL AGENTS": "/conf/ca/casa",
-  "COMPUTER GRAPHICS INTERNATIONAL": "/conf/cgi/cgi",
-  "CONFERENCE OF THE INTERNATIONAL SPEECHCOMMUNICATION ASSOCIATION":
-    "/conf/interspeech/interspeech",
-  "GEOMETRIC MODELING AND PROCESSING": "/conf/gmp/gmp",
-  "IEEE PACIFIC VISUALIZATION SYMPOSIUM": "/conf/apvis/apvis",
-  "INTERNATIONAL CONFERENCE ON 3D VISION": "/conf/3dim/3dim",
-  "INTERNATIONAL CONFERENCE ON COMPUTER-AIDED DESIGN AND COMPUTER GRAPHICS":
-    "/conf/cadgraphics/cadgraphics",
-  "INTERNATIONAL CONFERENCE ON IMAGE PROCESSING": "/conf/icip/icip",
-  "INTERNATIONAL CONFERENCE ON MULTIMEDIA MODELING": "/conf/mmm/mmm",
-  "PACIFIC-RIM CONFERENCE ON MULTIMEDIA": "/conf/pcm/pcm",
-  "SHAPE MODELING INTERNATIONAL": "/conf/smi/smi",
-  "INTERNATIONAL CONFERENCE ON VIRTUAL REALITY AND VISUALIZATION": "",
-  "CHINESE CONFERENCE ON PATTERN RECOGNITION AND COMPUTER VISION":
-    "/conf/prcv/prcv",
-  "ARTIFICIAL INTELLIGENCE": "/journals/ai/ai",
-  "IEEE TRANS ON PATTERN ANALYSIS AND MACHINE INTELLIGENCE":
-    "/journals/pami/pami",
-  "INTERNATIONAL JOURNAL OF COMPUTER VISION": "/journals/ijcv/ijcv",
-  "JOURNAL OF MACHINE LEARNING RESEARCH": "/journals/jmlr/jmlr",
-  "ACM TRANSACTIONS ON APPLIED PERCEPTION": "/journals/tap/tap",
-  "ACM TRANSACTIONS ON SPEECH AND LANGUAGE PROCESSING": "/journals/tslp/tslp",
-  "AUTONOMOUS AGENTS AND MULTI-AGENT SYSTEMS": "/journals/aamas/aamas",
-  "COMPUTATIONAL LINGUISTICS": "/journals/coling/coling",
-  "COMPUTER VISION AND IMAGE UNDERSTANDING": "/journals/cviu/cviu",
-  "EVOLUTIONARY COMPUTATION": "/journals/ec/ec",
-  "IEEE TRANSACTIONS ON AFFECTIVE COMPUTING": "/journals/taffco/taffco",
-  "IEEE TRANSACTIONS ON AUDIO, SPEECH, AND LANGUAGE PROCESSING":
-    "/journals/taslp/taslp",
-  "IEEE TRANSACTIONS ON CYBERNETICS": "/journals/tsmc/tsmcb",
-  "IEEE TRANSACTIONS ON EVOLUTIONARY COMPUTATION": "/journals/tec/tec",
-  "IEEE TRANSACTIONS ON FUZZY SYSTEMS": "/journals/tfs/tfs",
-  "IEEE TRANSACTIONS ON NEURAL NETWORKS AND LEARNING SYSTEMS":
-    "/journals/tnn/tnn",
-  "INTERNATIONAL JOURNAL OF APPROXIMATE REASONING": "/journals/ijar/ijar",
-  "JOURNAL OF ARTIFICIAL INTELLIGENCE RESEARCH": "/journals/jair/jair",
-  "JOURNAL OF AUTOMATED REASONING": "/journals/jar/jar",
-  "JOURNAL OF SPEECH, LANGUAGE, AND HEARING RESEARCH": "",
-  "MACHINE LEARNING": "/journals/ml/ml",
-  "NEURAL COMPUTATION": "/journals/neco/neco",
-  "NEURAL NETWORKS": "/journals/nn/nn",
-  "PATTERN RECOGNITION": "/journals/pr/pr",
-  "TRANSACTIONS OF THE ASSOCIATION FOR COMPUTATIONAL LINGUISTICS":
-    "/journals/tacl/tacl",
-  "ACM TRANSACTIONS ON ASIAN AND LOW-RESOURCE LANGUAGE INFORMATION PROCESSING":
-    "/journals/talip/talip",
-  "APPLIED INTELLIGENCE": "/journals/apin/apin",
-  "ARTIFICIAL INTELLIGENCE IN MEDICINE": "/journals/artmed/artmed",
-  "ARTIFICIAL LIFE": "/journals/alife/alife",
-  "COMPUTATIONAL INTELLIGENCE": "/journals/ci/ci",
-  "COMPUTER SPEECH AND LANGUAGE": "/journals/csl/csl",
-  "CONNECTION SCIENCE": "/journals/connection/connection",
-  "DECISION SUPPORT SYSTEMS": "/journals/dss/dss",
-  "ENGINEERING APPLICATIONS OF ARTIFICIAL INTELLIGENCE": "/journals/eaai/eaai",
-  "EXPERT SYSTEMS": "/journals/es/es",
-  "EXPERT SYSTEMS WITH APPLICATIONS": "/journals/eswa/eswa",
-  "FUZZY SETS AND SYSTEMS": "/journals/fss/fss",
-  "IEEE TRANSACTIONS ON GAMES": "/journals/tciaig/tciaig",
-  "IET COMPUTER VISION": "/journals/iet-cvi/iet-cvi",
-  "IET SIGNAL PROCESSING": "/journals/iet-spr/iet-spr",
-  "IMAGE AND VISION COMPUTING": "/journals/ivc/ivc",
-  "INTELLIGENT DATA ANALYSIS": "/journals/ida/ida",
-  "INTERNATIONAL JOURNAL OF COMPUTATIONAL INTELLIGENCE AND APPLICATIONS":
-    "/journals/ijcia/ijcia",
-  "INTERNATIONAL JOURNAL OF NEURAL SYSTEMS": "/journals/ijns/ijns",
-  "INTERNATIONAL JOURNAL OF PATTERN RECOGNITION AND ARTIFICIAL INTELLIGENCE":
-    "/journals/ijprai/ijprai",
-  "INTERNATIONAL JOURNAL OF UNCERTAINTY, FUZZINESS AND KNOWLEDGE-BASED SYSTEM":
-    "/journals/ijufks/ijufks",
-  "INTERNATIONAL JOURNAL ON DOCUMENT ANALYSIS AND RECOGNITION":
-    "/journals/ijdar/ijdar",
-  "JOURNAL OF EXPERIMENTAL AND THEORETICAL ARTIFICIAL INTELLIGENCE":
-    "/journals/jetai/jetai",
-  "KNOWLEDGE-BASED SYSTEMS": "/journals/kbs/kbs",
-  "MACHINE TRANSLATION": "/journals/mt/mt",
-  "MACHINE VISION AND APPLICATIONS": "/journals/mva/mva",
-  "NATURAL COMPUTING": "/journals/nc/nc",
-  "NATURAL LANGUAGE ENGINEERING": "/journals/nle/nle",
-  "NEURAL COMPUTING & APPLICATIONS": "/journals/nca/nca",
-  "NEURAL PROCESSING LETTERS": "/journals/npl/npl",
-  NEUROCOMPUTING: "/journals/ijon/ijon",
-  "PATTERN ANALYSIS AND APPLICATIONS": "/journals/paa/paa",
-  "PATTERN RECOGNITION LETTERS": "/journals/prl/prl",
-  "SOFT COMPUTING": "/journals/soco/soco",
-  "WEB INTELLIGENCE": "/journals/wias/wias",
-  "ACM TRANSACTIONS ON INTERACTIVE INTELLIGENT SYSTEMS": "/journals/tiis/tiis",
-  "AAAI CONFERENCE ON ARTIFICIAL INTELLIGENCE": "/conf/aaai/aaai",
-  "ANNUAL CONFERENCE ON NEURAL INFORMATION PROCESSING SYSTEMS":
-    "/conf/nips/nips",
-  "ANNUAL MEETING OF THE ASSOCIATION FOR COMPUTATIONAL LINGUISTICS":
-    "/conf/acl/acl",
-  "IEEE CONFERENCE ON COMPUTER VISION AND PATTERN RECOGNITION":
-    "/conf/cvpr/cvpr",
-  "INTERNATIONAL CONFERENCE ON COMPUTER VISION": "/conf/iccv/iccv",
-  "INTERNATIONAL CONFERENCE ON MACHINE LEARNING": "/conf/icml/icml",
-  "INTERNATIONAL JOINT CONFERENCE ON ARTIFICIAL INTELLIGENCE":
-    "/conf/ijcai/ijcai",
-  "ANNUAL CONFERENCE ON COMPUTATIONAL LEARNING THEORY": "/conf/colt/colt",
-  "CONFERENCE ON EMPIRICAL METHODS IN NATURAL LANGUAGE PROCESSING":
-    "/conf/emnlp/emnlp",
-  "EUROPEAN CONFERENCE ON ARTIFICIAL INTELLIGENCE": "/conf/ecai/ecai",
-  "EUROPEAN CONFERENCE ON COMPUTER VISION": "/conf/eccv/eccv",
-  "IEEE INTERNATIONAL CONFERENCE ON ROBOTICS AND AUTOMATION": "/conf/icra/icra",
-  "INTERNATIONAL CONFERENCE ON AUTOMATED PLANNING AND SCHEDULING":
-    "/conf/aips/icaps",
-  "INTERNATIONAL CONFERENCE ON CASE-BASED REASONING AND DEVELOPMENT":
-    "/conf/iccbr/iccbr",
-  "INTERNATIONAL CONFERENCE ON COMPUTATIONAL LINGUISTICS":
-    "/conf/coling/coling",
-  "INTERNATIONAL CONFERENCE ON PRINCIPLES OF KNOWLEDGE REPRESENTATION AND REASONING":
-    "/conf/kr/kr",
-  "INTERNATIONAL CONFERENCE ON UNCERTAINTY IN ARTIFICIAL INTELLIGENCE":
-    "/conf/uai/uai",
-  "INTERNATIONAL JOINT CONFERENCE ON AUTONOMOUS AGENTS AND MULTI-AGENT SYSTEMS":
-    "/conf/atal/aamas",
-  "PARALLEL PROBLEM SOLVING FROM NATURE": "/conf/ppsn/ppsn",
-  "THE ANNUAL CONFERENCE OF THE NORTH AMERICAN CHAPTER OF THE ASSOCIATION FOR COMPUTATIONAL LINGUISTICS":
-    "/conf/naacl/naacl",
-  "ARTIFICIAL INTELLIGENCE AND STATISTICS": "/conf/aistats/aistats",
-  "ASIAN CONFERENCE ON COMPUTER VISION": "/conf/accv/accv",
-  "ASIAN CONFERENCE ON MACHINE LEARNING": "/conf/acml/acml",
-  "BRITISH MACHINE VISION CONFERENCE": "/conf/bmvc/bmvc",
-  "CCF INTERNATIONAL CONFERENCE ON NATURAL LANGUAGE PROCESSING AND CHINESE COMPUTING":
-    "/conf/nlpcc/nlpcc",
-  "CONFERENCE ON COMPUTATIONAL NATURAL LANGUAGE LEARNING": "/conf/conll/conll",
-  "GENETIC AND EVOLUTIONARY COMPUTATION CONFERENCE": "/conf/gecco/gecco",
-  "IEEE INTERNATIONAL CONFERENCE ON TOOLS WITH ARTIFICIAL INTELLIGENCE":
-    "/conf/ictai/ictai",
-  "IEEERSJ INTERNATIONAL CONFERENCE ON INTELLIGENT ROBOTS AND SYSTEMS":
-    "/conf/iros/iros",
-  "INTERNATIONAL CONFERENCE ON ALGORITHMIC LEARNING THEORY": "/conf/alt/alt",
-  "INTERNATIONAL CONFERENCE ON ARTIFICIAL NEURAL NETWORKS": "/conf/icann/icann",
-  "INTERNATIONAL CONFERENCE ON AUTOMATIC FACE AND GESTURE RECOGNITION":
-    "/conf/fgr/fg",
-  "INTERNATIONAL CONFERENCE ON DOCUMENT ANALYSIS AND RECOGNITION":
-    "/conf/icdar/icdar",
-  "INTERNATIONAL CONFERENCE ON INDUCTIVE LOGIC PROGRAMMING": "/conf/ilp/ilp",
-  "INTERNATIONAL CONFERENCE ON KNOWLEDGE SCIENCE,ENGINEERING AND MANAGEMENT":
-    "/conf/ksem/ksem",
-  "INTERNATIONAL CONFERENCE ON NEURAL INFORMATION PROCESSING":
-    "/conf/iconip/iconip",
-  "INTERNATIONAL CONFERENCE ON PATTERN RECOGNITION": "/conf/icpr/icpr",
-  "INTERNATIONAL JOINT CONFERENCE ON BIOMETRICS": "/conf/icb/icb",
-  "INTERNATIONAL JOINT CONFERENCE ON NEURAL NETWORKS": "/conf/ijcnn/ijcnn",
-  "PACIFIC RIM INTERNATIONAL CONFERENCE ON ARTIFICIAL INTELLIGENCE":
-    "/conf/pricai/pricai",
-  "ACM TRANSACTIONS ON COMPUTER-HUMAN INTERACTION": "/journals/tochi/tochi",
-  "INTERNATIONAL JOURNAL OF HUMAN COMPUTER STUDIES": "/journals/ijmms/ijmms",
-  "COMPUTER SUPPORTED COOPERATIVE WORK": "/journals/cscw/cscw",
-  "HUMAN COMPUTER INTERACTION": "/journals/hhci/hhci",
-  "IEEE TRANSACTIONS ON HUMAN-MACHINE SYSTEMS": "/journals/tsmc/tsmcc",
-  "INTERACTING WITH COMPUTERS": "/journals/iwc/iwc",
-  "INTERNATIONAL JOURNAL OF HUMAN-COMPUTER INTERACTION":
-    "/journals/ijhci/ijhci",
-  "USER MODELING AND USER-ADAPTED INTERACTION": "/journals/umuai/umuai",
-  "IEEE TRANSACTIONS ON SYSTEMS, MAN, AND CYBERNETICS: SYSTEMS":
-    "/journals/tsmc/tsmc",
-  "BEHAVIOUR & INFORMATION TECHNOLOGY": "/journals/behaviourIT/behaviourIT",
-  "PERSONAL AND UBIQUITOUS COMPUTING": "/journals/puc/puc",
-  "PERVASIVE AND MOBILE COMPUTING": "/journals/percom/percom",
-  "PROCEEDINGS OF THE ACM ON HUMAN-COMPUTER INTERACTION":
-    "/journals/pacmhci/pacmhci",
-  "ACM CONFERENCE ON COMPUTER SUPPORTED COOPERATIVE WORK AND SOCIAL COMPUTING":
-    "/conf/cscw/cscw",
-  "ACM CONFERENCE ON HUMAN FACTORS IN COMPUTING SYSTEMS": "/conf/chi/chi",
-  "ACM INTERNATIONAL CONFERENCE ON UBIQUITOUS COMPUTING": "/conf/huc/ubicomp",
-  "PROCEEDINGS OF THE ACM ON INTERACTIVE, MOBILE, WEARABLE AND UBIQUITOUS TECHNOLOGIES":
-    "/journals/imwut/imwut",
-  "ACM SYMPOSIUM ON USER INTERFACE SOFTWARE AND TECHNOLOGY": "/conf/uist/uist",
-  "ACM CONFERENCE ON SUPPORTING GROUP WORK": "/conf/group/group",
-  "ACM INTERNATIONAL CONFERENCE ON INTELLIGENT USER INTERFACES":
-    "/conf/iui/iui",
-  "ACM INTERNATIONAL CONFERENCE ON INTERACTIVE TABLETOPS AND SURFACES":
-    "/conf/tabletop/its",
-  "EUROPEAN CONFERENCE ON COMPUTER SUPPORTED COOPERATIVE WORK":
-    "/conf/ecscw/ecscw",
-  "IEEE INTERNATIONAL CONFERENCE ON PERVASIVE COMPUTING AND COMMUNICATIONS":
-    "/conf/percom/percom",
-  "INTERNATIONAL CONFERENCE ON HUMAN COMPUTER INTERACTION WITH MOBILE DEVICES AND SERVICES":
-    "/conf/mhci/mhci",
-  "THE INTERNATIONAL AAAI CONFERENCE ON WEB AND SOCIAL MEDIA":
-    "/conf/icwsm/icwsm",
-  "ACM CONFERENCE ON DESIGNING INTERACTIVE SYSTEMS": "/conf/ACMdis/ACMdis",
-  "ACM INTERNATIONAL CONFERENCE ON MULTIMODAL INTERACTION": "/conf/icmi/icmi",
-  "ACM SIGACCESS CONFERENCE ON COMPUTERS AND ACCESSIBILITY":
-    "/conf/assets/assets",
-  "GRAPHICS INTERFACE CONFERENCE": "/conf/graphicsinterface/graphicsinterface",
-  "IEEE INTERNATIONAL CONFERENCE ON UBIQUITOUS INTELLIGENCE AND COMPUTING":
-    "/conf/uic/uic",
-  "IEEE WORLD HAPTICS CONFERENCE": "/conf/haptics/haptics",
-  "IFIP TC13 CONFERENCE ON HUMAN-COMPUTER INTERACTION":
-    "/conf/interact/interact",
-  "INTERACTION DESIGN AND CHILDREN": "/conf/acmidc/idc",
-  "INTERNATIONAL CONFERENCE ON COLLABORATIVE COMPUTING: NETWORKING, APPLICATIONS AND WORKSHARING":
-    "/conf/colcom/colcom",
-  "INTERNATIONAL CONFERENCE ON COMPUTER SUPPORTED COOPERATIVE WORK IN DESIGN":
-    "/conf/cscwd/cscwd",
-  "INTERNATIONAL CONFERENCE ON COOPERATIVE INFORMATION SYSTEMS":
-    "/conf/coopis/coopis",
-  "INTERNATIONAL CONFERENCE ON MOBILE AND UBIQUITOUS SYSTEMS: COMPUTING,NETWORKING AND SERVICES":
-    "/conf/mobiquitous/mobiquitous",
-  "INTERNATIONAL WORKING CONFERENCE ON ADVANCED VISUAL INTERFACES":
-    "/conf/avi/avi",
-  "JOURNAL OF THE ACM": "/journals/jacm/jacm",
-  "PROCEEDINGS OF THE IEEE": "/journals/pieee/pieee",
-  "SCIENCE CHINA INFORMATION SCIENCES": "/journals/chinaf/chinaf",
-  BIOINFORMATICS: "/journals/bioinformatics/bioinformatics",
-  "BRIEFINGS IN BIOINFORMATICS": "/journals/bib/bib",
-  "COGNITION: INTERNATIONAL JOURNAL OF COGNITIVE SCIENCE": "",
-  "IEEE TRANSACTIONS ON AUTOMATION SCIENCE AND ENGINEERING":
-    "/journals/tase/tase",
-  "IEEE TRANSACTIONS ON GEOSCIENCE AND REMOTE SENSING": "/journals/tgrs/tgrs",
-  "IEEE TRANSACTIONS ON INTELLIGENT TRANSPORTATION SYSTEMS":
-    "/journals/tits/tits",
-  "IEEE TRANSACTIONS ON MEDICAL IMAGING": "/journals/tmi/tmi",
-  "IEEE TRANSACTIONS ON ROBOTICS": "/journals/trob/trob",
-  "IEEE-ACM TRANSACTIONS ON COMPUTATIONAL BIOLOGY AND BIOINFORMATICS":
-    "/journals/tcbb/tcbb",
-  "JOURNAL OF COMPUTER SCIENCE AND TECHNOLOGY": "/journals/jcst/jcst",
-  "JOURNAL OF THE AMERICAN MEDICAL INFORMATICS ASSOCIATION":
-    "/journals/jamia/jamia",
-  "PLOS COMPUTATIONAL BIOLOGY": "/journals/ploscb/ploscb",
-  "THE COMPUTER JOURNAL": "/journals/cj/cj",
-  "WORLD WIDE WEB JOURNAL": "/journals/www/www",
-  "FRONTIERS OF COMPUTER SCIENCE": "/journals/fcsc/fcsc",
-  "BMC BIOINFORMATICS": "/journals/bmcbi/bmcbi",
-  "CYBERNETICS AND SYSTEMS": "/journals/cas/cas",
-  "IEEE GEOSCIENCE AND REMOTE SENSING LETTERS": "/journals/lgrs/lgrs",
-  "IEEE JOURNAL OF BIOMEDICAL AND HEALTH INFORMATICS": "/journals/titb/titb",
-  "IEEE TRANSACTIONS ON BIG DATA": "/journals/tbd/tbd",
-  "IET INTELLIGENT TRANSPORT SYSTEMS": "",
-  "JOURNAL OF BIOMEDICAL INFORMATICS": "/journals/jbi/jbi",
-  "MEDICAL IMAGE ANALYSIS": "/journals/mia/mia",
-  "IEEE TRANSACTIONS ON INDUSTRIAL INFORMATICS": "/journals/tii/tii",
-  "ACM TRANSACTIONS ON CYBER-PHYSICAL SYSTEMS": "/journals/tcps/tcps",
-  "ACM TRANSACTIONS ON COMPUTING EDUCATION": "/journals/jeric/jeric",
-  "FRONTIERS OF INFORMATION TECHNOLOGY & ELECTRONIC ENGINEERING":
-    "/journals/jzusc/jzusc",
-  "IEEE TRANSACTION ON COMPUTATIONAL SOCIAL SYSTEMS": "/journals/tcss/tcss",
-  "IEEE TRANSACTIONS ON RELIABILITY": "/journals/tr/tr",
-  "INTERNATIONAL WORLD WIDE WEB CONFERENCES": "/conf/www/www",
-  "REAL-TIME SYSTEMS SYMPOSIUM": "/conf/rtss/rtss",
-  "CONFERENCE ON WEB AND INTERNET ECONOMICS": "/conf/wine/wine",
-  "COGNITIVE SCIENCE SOCIETY ANNUAL CONFERENCE": "/conf/cogsci/cogsci",
-  "IEEE INTERNATIONAL CONFERENCE ON BIOINFORMATICS AND BIOMEDICINE":
-    "/conf/bibm/bibm",
-  "INTERNATIONAL CONFERENCE ON EMBEDDED SOFTWARE": "/conf/emsoft/emsoft",
-  "INTERNATIONAL CONFERENCE ON INTELLIGENT SYSTEMS FOR MOLECULAR BIOLOGY":
-    "/journals/bioinformatics/bioinformatics",
-  "INTERNATIONAL CONFERENCE ON RESEARCH IN COMPUTATIONAL MOLECULAR BIOLOGY":
-    "/conf/recomb/recomb",
-  "AMERICAN MEDICAL INFORMATICS ASSOCIATION ANNUAL SYMPOSIUM":
-    "/conf/amia/amia",
-  "ASIA PACIFIC BIOINFORMATICS CONFERENCE": "/conf/apbc/apbc",
-  "IEEE INTERNATIONAL CONFERENCE ON BIG DATA": "/conf/bigdataconf/bigdataconf",
-  "IEEE INTERNATIONAL CONFERENCE ON CLOUD COMPUTING":
-    "/conf/IEEEcloud/IEEEcloud",
-  "IEEE INTERNATIONAL CONFERENCE ON SYSTEMS, MAN, AND CYBERNETICS":
-    "/conf/smc/smc",
-  "INTERNATIONAL CONFERENCE ON SPATIAL INFORMATION THEORY": "/conf/cosit/cosit",
-  "INTERNATIONAL SYMPOSIUM ON BIOINFORMATICS RESEARCH AND APPLICATIONS":
-    "/conf/isbra/isbra",
-  "INTERNATIONAL SYMPOSIUM ON ALGORITHMIC GAME THEORY": "/conf/sagt/sagt",
-  "ACM SIGSPATIAL INTERNATIONAL CONFERENCE ON ADVANCES IN GEOGRAPHIC INFORMATION SYSTEMS":
-    "/conf/gis/gis",
-  "INTERNATIONAL CONFERENCE ON INTELLIGENT COMPUTING": "/conf/icic/icic",
-  "INTERNATIONAL CONFERENCE ON LEARNING REPRESENTATIONS": "/conf/iclr/iclr",
-  ARXIV: "/journals/corr/corr",
-};
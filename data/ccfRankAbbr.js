@@ -1,680 +0,0 @@
-/**
- * MIT License
- *
- * WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
- * Copyright (c) 2019-2024 All Rights Reserved.
- * ------------------------------------------------------
- * Generated by dataGen.js
- * Last updated: 2024-12-04
- */
-
-ccf.rankAbbrName = {
-  "/journals/tocs/tocs": "TOCS",
-  "/journals/tos/tos": "TOS",
-  "/journals/tcad/tcad": "TCAD",
-  "/journals/tc/tc": "TC",
-  "/journals/tpds/tpds": "TPDS",
-  "/journals/taco/taco": "TACO",
-  "/journals/taas/taas": "TAAS",
-  "/journals/todaes/todaes": "TODAES",
-  "/journals/tecs/tecs": "TECS",
-  "/journals/trets/trets": "TRETS",
-  "/journals/tvlsi/tvlsi": "TVLSI",
-  "/journals/jpdc/jpdc": "JPDC",
-  "/journals/jsa/jsa": "JSA",
-  "/conf/parco/parco": "PARCO",
-  "/journals/pe/pe": "",
-  "/journals/jetc/jetc": "JETC",
-  "/journals/concurrency/concurrency": "",
-  "/journals/dc/dc": "DC",
-  "/journals/fgcs/fgcs": "FGCS",
-  "/journals/tcc/tcc": "TCC",
-  "/journals/integration/integration": "Integration",
-  "/journals/et/et": "JETTA",
-  "/journals/grid/grid": "JGC",
-  "/journals/rts/rts": "RTS",
-  "/journals/tjs/tjs": "TJSC",
-  "/journals/tcasI/tcasI": "TCASI",
-  "/journals/ccfthpc/ccfthpc": "CCF-THPC",
-  "/journals/tsusc/tsusc": "TSUSC",
-  "/conf/ppopp/ppopp": "PPoPP",
-  "/conf/fast/fast": "FAST",
-  "/conf/dac/dac": "DAC",
-  "/conf/hpca/hpca": "HPCA",
-  "/conf/micro/micro": "MICRO",
-  "/conf/sc/sc": "SC",
-  "/conf/asplos/asplos": "ASPLOS",
-  "/conf/isca/isca": "ISCA",
-  "/conf/usenix/usenix": "USENIX ATC",
-  "/conf/eurosys/eurosys": "EuroSys",
-  "/conf/cloud/socc": "SOCC",
-  "/conf/spaa/spaa": "SPAA",
-  "/conf/podc/podc": "PODC",
-  "/conf/fpga/fpga": "FPGA",
-  "/conf/cgo/cgo": "CGO",
-  "/conf/date/date": "DATE",
-  "/conf/hotchips/hotchips": "HOT CHIPS",
-  "/conf/cluster/cluster": "CLUSTER",
-  "/conf/iccd/iccd": "ICCD",
-  "/conf/iccad/iccad": "ICCAD",
-  "/conf/icdcs/icdcs": "ICDCS",
-  "/conf/codes/codes": "CODES+ISSS",
-  "/conf/hipeac/hipeac": "HiPEAC",
-  "/conf/sigmetrics/sigmetrics": "SIGMETRICS",
-  "/conf/IEEEpact/pact": "PACT",
-  "/conf/IEEEpact/IEEEpact": "PACT",
-  "/conf/icpp/icpp": "ICPP",
-  "/conf/ics/ics": "ICS",
-  "/conf/vee/vee": "VEE",
-  "/conf/ipps/ipdps": "IPDPS",
-  "/conf/performance/performance": "Performance",
-  "/conf/hpdc/hpdc": "HPDC",
-  "/conf/itc/itc": "ITC",
-  "/conf/lisa/lisa": "LISA",
-  "/conf/mss/msst": "MSST",
-  "/conf/rtas/rtas": "RTAS",
-  "/conf/europar/europar": "Euro-Par",
-  "/conf/cf/cf": "CF",
-  "/conf/systor/systor": "SYSTOR",
-  "/conf/nocs/nocs": "NOCS",
-  "/conf/asap/asap": "ASAP",
-  "/conf/aspdac/aspdac": "ASP-DAC",
-  "/conf/ets/ets": "ETS",
-  "/conf/fpl/fpl": "FPL",
-  "/conf/fccm/fccm": "FCCM",
-  "/conf/glvlsi/glvlsi": "GLSVLSI",
-  "/conf/ats/ats": "ATS",
-  "/conf/hpcc/hpcc": "HPCC",
-  "/conf/hipc/hipc": "HiPC",
-  "/conf/mascots/mascots": "MASCOTS",
-  "/conf/ispa/ispa": "ISPA",
-  "/conf/ccgrid/ccgrid": "CCGRID",
-  "/conf/npc/npc": "NPC",
-  "/conf/ica3pp/ica3pp": "ICA3PP",
-  "/conf/cases/cases": "CASES",
-  "/conf/icfpt/icfpt": "FPT",
-  "/conf/fpt/fpt": "FPT",
-  "/conf/icpads/icpads": "ICPADS",
-  "/conf/iscas/iscas": "ISCAS",
-  "/conf/islped/islped": "ISLPED",
-  "/conf/ispd/ispd": "ISPD",
-  "/conf/hoti/hoti": "HotI",
-  "/conf/vts/vts": "VTS",
-  "/conf/itc-asia/itc-asia": "ITC-Asia",
-  "/journals/jsac/jsac": "JSAC",
-  "/journals/tmc/tmc": "TMC",
-  "/journals/ton/ton": "TON",
-  "/journals/toit/toit": "TOIT",
-  "/journals/tomccap/tomccap": "TOMCCAP",
-  "/journals/tosn/tosn": "TOSN",
-  "/journals/cn/cn": "CN",
-  "/journals/tcom/tcom": "TCOM",
-  "/journals/twc/twc": "TWC",
-  "/journals/adhoc/adhoc": "",
-  "/journals/comcom/comcom": "CC",
-  "/journals/tnsm/tnsm": "TNSM",
-  "/journals/iet-com/iet-com": "",
-  "/journals/jnca/jnca": "JNCA",
-  "/journals/monet/monet": "MONET",
-  "/journals/networks/networks": "",
-  "/journals/ppna/ppna": "PPNA",
-  "/journals/wicomm/wicomm": "WCMC",
-  "/journals/winet/winet": "",
-  "/journals/iotj/iotj": "IOT",
-  "/conf/sigcomm/sigcomm": "SIGCOMM",
-  "/conf/mobicom/mobicom": "MobiCom",
-  "/conf/infocom/infocom": "INFOCOM",
-  "/conf/nsdi/nsdi": "NSDI",
-  "/conf/sensys/sensys": "SenSys",
-  "/conf/conext/conext": "CoNEXT",
-  "/conf/secon/secon": "SECON",
-  "/conf/ipsn/ipsn": "IPSN",
-  "/conf/mobisys/mobisys": "MobiSys",
-  "/conf/icnp/icnp": "ICNP",
-  "/conf/mobihoc/mobihoc": "MobiHoc",
-  "/conf/nossdav/nossdav": "NOSSDAV",
-  "/conf/iwqos/iwqos": "IWQoS",
-  "/conf/imc/imc": "IMC",
-  "/conf/ancs/ancs": "ANCS",
-  "/conf/apnoms/apnoms": "APNOMS",
-  "/conf/forte/forte": "FORTE",
-  "/conf/lcn/lcn": "LCN",
-  "/conf/globecom/globecom": "GLOBECOM",
-  "/conf/icc/icc": "ICC",
-  "/conf/icccn/icccn": "ICCCN",
-  "/conf/mass/mass": "MASS",
-  "/conf/p2p/p2p": "P2P",
-  "/conf/ipccc/ipccc": "IPCCC",
-  "/conf/wowmom/wowmom": "WoWMoM",
-  "/conf/iscc/iscc": "ISCC",
-  "/conf/wcnc/wcnc": "WCNC",
-  "/conf/networking/networking": "Networking",
-  "/conf/im/im": "IM",
-  "/conf/msn/msn": "MSN",
-  "/conf/mswim/mswim": "MSWiM",
-  "/conf/wasa/wasa": "WASA",
-  "/conf/hotnets/hotnets": "HotNets",
-  "/conf/apnet/apnet": "APNet",
-  "/journals/tdsc/tdsc": "TDSC",
-  "/journals/tifs/tifs": "TIFS",
-  "/journals/joc/joc": "",
-  "/journals/tissec/tissec": "TOPS",
-  "/journals/compsec/compsec": "",
-  "/journals/dcc/dcc": "",
-  "/journals/jcs/jcs": "JCS",
-  "/journals/clsr/clsr": "CLSR",
-  "/journals/ejisec/ejisec": "",
-  "/journals/iet-ifs/iet-ifs": "",
-  "/journals/imcs/imcs": "IMCS",
-  "/journals/ijics/ijics": "IJICS",
-  "/journals/ijisp/ijisp": "IJISP",
-  "/journals/istr/istr": "JISA",
-  "/journals/scn/scn": "SCN",
-  "/journals/cybersec/cybersec": "",
-  "/conf/ccs/ccs": "CCS",
-  "/conf/eurocrypt/eurocrypt": "EUROCRYPT",
-  "/conf/sp/sp": "S&P",
-  "/conf/crypto/crypto": "CRYPTO",
-  "/conf/uss/uss": "USENIX Security",
-  "/conf/ndss/ndss": "NDSS",
-  "/conf/acsac/acsac": "ACSAC",
-  "/conf/asiacrypt/asiacrypt": "ASIACRYPT",
-  "/conf/esorics/esorics": "ESORICS",
-  "/conf/fse/fse": "FSE",
-  "/conf/csfw/csfw": "CSFW",
-  "/conf/srds/srds": "SRDS",
-  "/conf/ches/ches": "CHES",
-  "/conf/dsn/dsn": "DSN",
-  "/conf/raid/raid": "RAID",
-  "/conf/pkc/pkc": "PKC",
-  "/conf/tcc/tcc": "TCC",
-  "/conf/wisec/wisec": "WiSec",
-  "/conf/sacmat/sacmat": "SACMAT",
-  "/conf/drm/drm": "DRM",
-  "/conf/ih/ihmmsec": "IH&MMSec",
-  "/conf/ih/ih": "IH&MMSec",
-  "/conf/acns/acns": "ACNS",
-  "/conf/ccs/asiaccs": "AsiaCCS",
-  "/conf/asiaccs/asiaccs": "AsiaCCS",
-  "/conf/acisp/acisp": "ACISP",
-  "/conf/ctrsa/ctrsa": "CT-RSA",
-  "/conf/dimva/dimva": "DIMVA",
-  "/conf/dfrws/dfrws": "DFRWS",
-  "/conf/fc/fc": "FC",
-  "/conf/trustcom/trustcom": "TrustCom",
-  "/conf/sec/sec": "SEC",
-  "/conf/ifip11-9/df": "IFIP WG 11.9",
-  "/conf/isw/isc": "ISC",
-  "/conf/isw/isw": "ISC",
-  "/conf/icdf2c/icdf2c": "ICDF2C",
-  "/conf/icics/icics": "ICICS",
-  "/conf/securecomm/securecomm": "SecureComm",
-  "/conf/nspw/nspw": "NSPW",
-  "/conf/pam/pam": "PAM",
-  "/conf/pet/pets": "PETS",
-  "/conf/pet/pet": "PETS",
-  "/conf/sacrypt/sacrypt": "SAC",
-  "/conf/soups/soups": "SOUPS",
-  "/conf/uss/hotsec": "HotSec",
-  "/conf/eurosp/eurosp": "EuroS&P",
-  "/conf/icisc/icisc": "Inscrypt",
-  "/journals/toplas/toplas": "TOPLAS",
-  "/journals/tosem/tosem": "TOSEM",
-  "/journals/tse/tse": "TSE",
-  "/journals/tsc/tsc": "TSC",
-  "/journals/ase/ase": "ASE",
-  "/journals/ese/ese": "ESE",
-  "/journals/iee/iee-s": "IETS",
-  "/journals/infsof/infsof": "IST",
-  "/journals/jfp/jfp": "JFP",
-  "/journals/smr/smr": "",
-  "/journals/jss/jss": "JSS",
-  "/journals/re/re": "RE",
-  "/journals/scp/scp": "SCP",
-  "/journals/sosym/sosym": "SoSyM",
-  "/journals/stvr/stvr": "STVR",
-  "/journals/spe/spe": "SPE",
-  "/journals/cl/cl": "CL",
-  "/journals/ijseke/ijseke": "IJSEKE",
-  "/journals/sttt/sttt": "STTT",
-  "/journals/jlap/jlap": "JLAP",
-  "/journals/jlp/jlp": "JLAP",
-  "/journals/jwe/jwe": "JWE",
-  "/journals/soca/soca": "SOCA",
-  "/journals/sqj/sqj": "SQJ",
-  "/journals/tplp/tplp": "TPLP",
-  "/journals/pacmpl/pacmpl": "PACM PL",
-  "/conf/pldi/pldi": "PLDI",
-  "/conf/popl/popl": "POPL",
-  undefined: "FSE",
-  "/conf/sigsoft/fse": "FSE/ESEC",
-  "/conf/sosp/sosp": "SOSP",
-  "/conf/oopsla/oopsla": "OOPSLA",
-  "/conf/kbse/ase": "ASE",
-  "/conf/kbse/kbse": "ASE",
-  "/conf/icse/icse": "ICSE",
-  "/conf/issta/issta": "ISSTA",
-  "/conf/osdi/osdi": "OSDI",
-  "/conf/fm/fm": "FM",
-  "/conf/ecoop/ecoop": "ECOOP",
-  "/conf/esop/esop": "ETAPS",
-  "/conf/fase/fase": "ETAPS",
-  "/conf/fossacs/fossacs": "ETAPS",
-  "/conf/tacas/tacas": "ETAPS",
-  "/conf/post/post": "ETAPS",
-  "/conf/spin/spin": "SPIN",
-  "/conf/iwpc/icpc": "ICPC",
-  "/conf/iwpc/iwpc": "ICPC",
-  "/conf/re/re": "RE",
-  "/conf/icre/icre": "RE",
-  "/conf/caise/caise": "CAiSE",
-  "/conf/icfp/icfp": "ICFP",
-  "/conf/lctrts/lctes": "LCTES",
-  "/conf/models/models": "MoDELS",
-  "/conf/cp/cp": "CP",
-  "/conf/icsoc/icsoc": "ICSOC",
-  "/conf/wcre/saner": "SANER",
-  "/conf/wcre/wcre": "SANER",
-  "/conf/icsm/icsme": "ICSME",
-  "/conf/icsm/icsm": "ICSME",
-  "/conf/vmcai/vmcai": "VMCAI",
-  "/conf/icws/icws": "ICWS",
-  "/conf/middleware/middleware": "Middleware",
-  "/conf/sas/sas": "SAS",
-  "/conf/esem/esem": "ESEM",
-  "/conf/issre/issre": "ISSRE",
-  "/conf/hotos/hotos": "HotOS",
-  "/conf/pepm/pepm": "PEPM",
-  "/conf/paste/paste": "PASTE",
-  "/conf/aplas/aplas": "APLAS",
-  "/conf/apsec/apsec": "APSEC",
-  "/conf/ease/ease": "EASE",
-  "/conf/iceccs/iceccs": "ICECCS",
-  "/conf/icst/icst": "ICST",
-  "/conf/ispass/ispass": "ISPASS",
-  "/conf/scam/scam": "SCAM",
-  "/conf/compsac/compsac": "COMPSAC",
-  "/conf/icfem/icfem": "ICFEM",
-  "/conf/tools/tools": "TOOLS",
-  "/conf/qsic/qsic": "QSIC",
-  "/conf/IEEEscc/scc": "SCC",
-  "/conf/ispw/icssp": "ICSSP",
-  "/conf/ispw/icsp": "ICSSP",
-  "/conf/seke/seke": "SEKE",
-  "/conf/qrs/qrs": "QRS",
-  "/conf/icsr/icsr": "ICSR",
-  "/conf/icwe/icwe": "ICWE",
-  "/conf/atva/atva": "ATVA",
-  "/conf/lopstr/lopstr": "LOPSTR",
-  "/conf/tase/tase": "TASE",
-  "/conf/msr/msr": "MSR",
-  "/conf/refsq/refsq": "REFSQ",
-  "/conf/wicsa/wicsa": "WICSA",
-  "/conf/internetware/internetware": "Internetware",
-  "/conf/rv/rv": "RV",
-  "/journals/tods/tods": "TODS",
-  "/journals/tois/tois": "TOIS",
-  "/journals/tkde/tkde": "TKDE",
-  "/journals/vldb/vldb": "VLDBJ",
-  "/journals/tkdd/tkdd": "TKDD",
-  "/journals/tweb": "TWEB",
-  "/journals/aei/aei": "AEI",
-  "/journals/dke/dke": "DKE",
-  "/journals/datamine/datamine": "DMKD",
-  "/journals/ejis/ejis": "EJIS",
-  "/journals/geoinformatica/geoinformatica": "",
-  "/journals/ipm/ipm": "IPM",
-  "/journals/isci/isci": "",
-  "/journals/is/is": "IS",
-  "/journals/jasis/jasis": "JASIST",
-  "/journals/ws/ws": "JWS",
-  "/journals/kais/kais": "KAIS",
-  "/journals/dpd/dpd": "DPD",
-  "/journals/iam/iam": "I&M",
-  "/journals/ipl/ipl": "IPL",
-  "/journals/ir/ir": "IR",
-  "/journals/ijcis/ijcis": "IJCIS",
-  "/journals/gis/gis": "IJGIS",
-  "/journals/ijis/ijis": "IJIS",
-  "/journals/ijkm/ijkm": "IJKM",
-  "/journals/ijswis/ijswis": "IJSWIS",
-  "/journals/jcis/jcis": "JCIS",
-  "/journals/jdm/jdm": "JDM",
-  "/journals/jiis/jiis": "JIIS",
-  "/journals/jsis/jsis": "JSIS",
-  "/journals/dase/dase": "DSE",
-  "/conf/sigmod/sigmod": "SIGMOD",
-  "/conf/kdd/kdd": "SIGKDD",
-  "/conf/icde/icde": "ICDE",
-  "/conf/sigir/sigir": "SIGIR",
-  "/conf/vldb/vldb": "VLDB",
-  "/journals/pvldb/pvldb": "VLDB",
-  "/conf/cikm/cikm": "CIKM",
-  "/conf/wsdm/wsdm": "WSDM",
-  "/conf/pods/pods": "PODS",
-  "/conf/dasfaa/dasfaa": "DASFAA",
-  "/conf/pkdd/pkdd": "ECML-PKDD",
-  "/conf/semweb/iswc": "ISWC",
-  "/conf/icdm/icdm": "ICDM",
-  "/conf/icdt/icdt": "ICDT",
-  "/conf/edbt/edbt": "EDBT",
-  "/conf/cidr/cidr": "CIDR",
-  "/conf/sdm/sdm": "SDM",
-  "/conf/recsys/recsys": "RecSys",
-  "/conf/apweb/apweb": "APWeb",
-  "/conf/dexa/dexa": "DEXA",
-  "/conf/ecir/ecir": "ECIR",
-  "/conf/esws/eswc": "ESWC",
-  "/conf/webdb/webdb": "WebDB",
-  "/conf/er/er": "ER",
-  "/conf/mdm/mdm": "MDM",
-  "/conf/ssdbm/ssdbm": "SSDBM",
-  "/conf/waim/waim": "WAIM",
-  "/conf/ssd/sstd": "SSTD",
-  "/conf/pakdd/pakdd": "PAKDD",
-  "/conf/wise/wise": "WISE",
-  "/conf/adma/adma": "ADMA",
-  "/journals/tit/tit": "TIT",
-  "/journals/iandc/iandc": "IANDC",
-  "/journals/siamcomp/siamcomp": "SICOMP",
-  "/journals/talg/talg": "TALG",
-  "/journals/tocl/tocl": "TOCL",
-  "/journals/toms/toms": "TOMS",
-  "/journals/algorithmica/algorithmica": "Algorithmica",
-  "/journals/cc/cc": "CC",
-  "/journals/fac/fac": "FAC",
-  "/journals/fmsd/fmsd": "FMSD",
-  "/journals/informs/informs": "INFORMS",
-  "/journals/jcss/jcss": "JCSS",
-  "/journals/jgo/jgo": "JGO",
-  "/journals/jsc/jsc": "JSC",
-  "/journals/mscs/mscs": "MSCS",
-  "/journals/tcs/tcs": "TCS",
-  "/journals/acta/acta": "ACTA",
-  "/journals/apal/apal": "APAL",
-  "/journals/dam/dam": "DAM",
-  "/journals/fuin/fuin": "FUIN",
-  "/journals/lisp/lisp": "LISP",
-  "/journals/jc/jc": "JCOMPLEXITY",
-  "/journals/logcom/logcom": "LOGCOM",
-  "/journals/jsyml/jsyml": "JSL",
-  "/journals/lmcs/lmcs": "LMCS",
-  "/journals/siamdm/siamdm": "SIDMA",
-  "/journals/mst/mst": "",
-  "/conf/stoc/stoc": "STOC",
-  "/conf/soda/soda": "SODA",
-  "/conf/cav/cav": "CAV",
-  "/conf/focs/focs": "FOCS",
-  "/conf/lics/lics": "LICS",
-  "/conf/compgeom/compgeom": "SoCG",
-  "/conf/esa/esa": "ESA",
-  "/conf/coco/coco": "CCC",
-  "/conf/icalp/icalp": "ICALP",
-  "/conf/cade/ijcar": "CADE/IJCAR",
-  "/conf/cade/cade": "CADE/IJCAR",
-  "/conf/concur/concur": "CONCUR",
-  "/conf/hybrid/hscc": "HSCC",
-  "/conf/sat/sat": "SAT",
-  "/conf/cocoon/cocoon": "COCOON",
-  "/conf/csl/csl": "CSL",
-  "/conf/fmcad/fmcad": "FMCAD",
-  "/conf/fsttcs/fsttcs": "FSTTCS",
-  "/conf/dsaa/dsaa": "DSAA",
-  "/conf/ictac/ictac": "ICTAC",
-  "/conf/ipco/ipco": "IPCO",
-  "/conf/rta/rta": "RTA",
-  "/conf/isaac/isaac": "ISAAC",
-  "/conf/mfcs/mfcs": "MFCS",
-  "/conf/stacs/stacs": "STACS",
-  "/conf/setta/setta": "SETTA",
-  "/journals/tog/tog": "TOG",
-  "/journals/tip/tip": "TIP",
-  "/journals/tvcg/tvcg": "TVCG",
-  "/journals/cagd/cagd": "CAGD",
-  "/journals/cgf/cgf": "EuroVis",
-  "/journals/cad/cad": "CAD",
-  "/journals/cvgip/cvgip": "GM",
-  "/journals/tcsv/tcsv": "TCSVT",
-  "/journals/tmm/tmm": "TMM",
-  "/journals/siamis/siamis": "SIIMS",
-  "/journals/speech/speech": "Speech Com",
-  "/journals/comgeo/comgeo": "CGTA",
-  "/journals/jvca/jvca": "CAVW",
-  "/journals/cg/cg": "C&G",
-  "/journals/dcg/dcg": "DCG",
-  "/journals/spl/spl": "SPL",
-  "/journals/iet-ipr/iet-ipr": "IET-IPR",
-  "/journals/jvcir/jvcir": "JVCIR",
-  "/journals/mms/mms": "MS",
-  "/journals/mta/mta": "MTA",
-  "/journals/sigpro/sigpro": "",
-  "/journals/spic/spic": "SPIC",
-  "/journals/vc/vc": "TVC",
-  "/journals/cvm/cvm": "CVMJ",
-  "/conf/mm/mm": "ACM MM",
-  "/conf/siggraph/siggraph": "SIGGRAPH",
-  "/conf/vr/vr": "VR",
-  "/conf/visualization/visualization": "IEEE VIS",
-  "/conf/mir/icmr": "ICMR",
-  "/conf/mir/mir": "ICMR",
-  "/conf/si3d/si3d": "SI3D",
-  "/conf/sca/sca": "SCA",
-  "/conf/dcc/dcc": "DCC",
-  "/conf/sgp/sgp": "SGP",
-  "/conf/rt/dl": "EGSR",
-  "/conf/rt/eii": "EGSR",
-  "/conf/icassp/icassp": "ICASSP",
-  "/conf/icmcs/icme": "ICME",
-  "/conf/ismar/ismar": "ISMAR",
-  "/conf/pg/pg": "PG",
-  "/conf/sma/spm": "SPM",
-  "/conf/sma/sma": "SPM",
-  "/conf/miccai/miccai": "MICCAI",
-  "/conf/vrst/vrst": "",
-  "/conf/ca/casa": "CASA",
-  "/conf/cgi/cgi": "CGI",
-  "/conf/interspeech/interspeech": "INTERSPEECH",
-  "/conf/gmp/gmp": "GMP",
-  "/conf/apvis/pacificvis": "PacificVis",
-  "/conf/apvis/apvis": "PacificVis",
-  "/conf/3dim/3dim": "3DV",
-  "/conf/cadgraphics/cadgraphics": "CAD/Graphics",
-  "/conf/icip/icip": "ICIP",
-  "/conf/mmm/mmm": "MMM",
-  "/conf/pcm/pcm": "PCM",
-  "/conf/smi/smi": "SMI",
-  "/conf/cvm/cvm": "CVM",
-  "/conf/prcv/prcv": "PRCV",
-  "/journals/ai/ai": "AI",
-  "/journals/pami/pami": "TPAMI",
-  "/journals/ijcv/ijcv": "IJCV",
-  "/journals/jmlr/jmlr": "JMLR",
-  "/journals/tap/tap": "TAP",
-  "/journals/tslp/tslp": "TSLP",
-  "/journals/aamas/aamas": "AAMAS",
-  "/journals/coling/coling": "",
-  "/journals/cviu/cviu": "CVIU",
-  "/journals/ec/ec": "",
-  "/journals/taffco/taffco": "TAC",
-  "/journals/taslp/taslp": "TASLP",
-  "/journals/tcyb/tcyb": "",
-  "/journals/tsmc/tsmcb": "",
-  "/journals/tec/tec": "TEC",
-  "/journals/tfs/tfs": "TFS",
-  "/journals/tnn/tnn": "TNNLS",
-  "/journals/ijar/ijar": "IJAR",
-  "/journals/jair/jair": "JAIR",
-  "/journals/jar/jar": "",
-  "/journals/ml/ml": "",
-  "/journals/neco/neco": "",
-  "/journals/nn/nn": "",
-  "/journals/pr/pr": "",
-  "/journals/tacl/tacl": "TACL",
-  "/journals/talip/talip": "TALLIP",
-  "/journals/apin/apin": "",
-  "/journals/artmed/artmed": "AIM",
-  "/journals/alife/alife": "",
-  "/journals/ci/ci": "",
-  "/journals/csl/csl": "",
-  "/journals/connection/connection": "",
-  "/journals/dss/dss": "DSS",
-  "/journals/eaai/eaai": "EAAI",
-  "/journals/es/es": "",
-  "/journals/eswa/eswa": "ESWA",
-  "/journals/fss/fss": "",
-  "/journals/tciaig/tciaig": "TG",
-  "/journals/iet-cvi/iet-cvi": "IET-CVI",
-  "/journals/iet-spr/iet-spr": "",
-  "/journals/ivc/ivc": "IVC",
-  "/journals/ida/ida": "IDA",
-  "/journals/ijcia/ijcia": "IJCIA",
-  "/journals/ijns/ijns": "IJNS",
-  "/journals/ijprai/ijprai": "IJPRAI",
-  "/journals/ijufks/ijufks": "IJUFKS",
-  "/journals/ijdar/ijdar": "IJDAR",
-  "/journals/jetai/jetai": "JETAI",
-  "/journals/kbs/kbs": "KBS",
-  "/journals/mt/mt": "",
-  "/journals/mva/mva": "",
-  "/journals/nc/nc": "",
-  "/journals/nle/nle": "NLE",
-  "/journals/nca/nca": "NCA",
-  "/journals/npl/npl": "NPL",
-  "/journals/ijon/ijon": "",
-  "/journals/paa/paa": "PAA",
-  "/journals/prl/prl": "PRL",
-  "/journals/soco/soco": "",
-  "/journals/wias/wias": "WI",
-  "/journals/tiis/tiis": "TIIS",
-  "/conf/aaai/aaai": "AAAI",
-  "/conf/nips/neurips": "NeurIPS",
-  "/conf/nips/nips": "NeurIPS",
-  "/conf/acl/acl": "ACL",
-  "/conf/cvpr/cvpr": "CVPR",
-  "/conf/iccv/iccv": "ICCV",
-  "/conf/icml/icml": "ICML",
-  "/conf/ijcai/ijcai": "IJCAI",
-  "/conf/colt/colt": "COLT",
-  "/conf/emnlp/emnlp": "EMNLP",
-  "/conf/ecai/ecai": "ECAI",
-  "/conf/eccv/eccv": "ECCV",
-  "/conf/icra/icra": "ICRA",
-  "/conf/aips/icaps": "ICAPS",
-  "/conf/iccbr/iccbr": "ICCBR",
-  "/conf/coling/coling": "COLING",
-  "/conf/kr/kr": "KR",
-  "/conf/uai/uai": "UAI",
-  "/conf/atal/aamas": "AAMAS",
-  "/conf/ppsn/ppsn": "PPSN",
-  "/conf/naacl/naacl": "NAACL",
-  "/conf/aistats/aistats": "AISTATS",
-  "/conf/accv/accv": "ACCV",
-  "/conf/acml/acml": "ACML",
-  "/conf/bmvc/bmvc": "BMVC",
-  "/conf/nlpcc/nlpcc": "NLPCC",
-  "/conf/conll/conll": "CoNLL",
-  "/conf/gecco/gecco": "GECCO",
-  "/conf/ictai/ictai": "ICTAI",
-  "/conf/iros/iros": "IROS",
-  "/conf/alt/alt": "ALT",
-  "/conf/icann/icann": "ICANN",
-  "/conf/fgr/fg": "FG",
-  "/conf/icdar/icdar": "ICDAR",
-  "/conf/ilp/ilp": "ILP",
-  "/conf/ksem/ksem": "KSEM",
-  "/conf/iconip/iconip": "ICONIP",
-  "/conf/icpr/icpr": "ICPR",
-  "/conf/icb/icb": "ICB",
-  "/conf/ijcnn/ijcnn": "IJCNN",
-  "/conf/pricai/pricai": "PRICAI",
-  "/journals/tochi/tochi": "TOCHI",
-  "/journals/ijmms/ijmms": "IJHCS",
-  "/journals/cscw/cscw": "CSCW",
-  "/journals/hhci/hhci": "HCI",
-  "/journals/thms/thms": "",
-  "/journals/tsmc/tsmcc": "",
-  "/journals/iwc/iwc": "IWC",
-  "/journals/ijhci/ijhci": "IJHCI",
-  "/journals/umuai/umuai": "UMUAI",
-  "/journals/tsmc/tsmc": "TSMC",
-  "/journals/behaviourIT/behaviourIT": "BIT",
-  "/journals/puc/puc": "PUC",
-  "/journals/percom/percom": "PMC",
-  "/journals/pacmhci/pacmhci": "PACMHCI",
-  "/conf/cscw/cscw": "CSCW",
-  "/conf/chi/chi": "CHI",
-  "/conf/huc/ubicomp": "UbiComp",
-  "/journals/imwut/imwut": "IMWUT",
-  "/conf/uist/uist": "UIST",
-  "/conf/group/group": "GROUP",
-  "/conf/iui/iui": "IUI",
-  "/conf/tabletop/iss": "ITS",
-  "/conf/tabletop/its": "ITS",
-  "/conf/ecscw/ecscw": "ECSCW",
-  "/conf/percom/percom": "PERCOM",
-  "/conf/mhci/mhci": "MobileHCI",
-  "/conf/icwsm/icwsm": "ICWSM",
-  "/conf/ACMdis/ACMdis": "DIS",
-  "/conf/icmi/icmi": "ICMI",
-  "/conf/assets/assets": "ASSETS",
-  "/conf/graphicsinterface/graphicsinterface": "GI",
-  "/conf/uic/uic": "UIC",
-  "/conf/haptics/haptics": "",
-  "/conf/interact/interact": "INTERACT",
-  "/conf/acmidc/idc": "IDC",
-  "/conf/colcom/colcom": "CollaborateCom",
-  "/conf/cscwd/cscwd": "CSCWD",
-  "/conf/coopis/coopis": "CoopIS",
-  "/conf/mobiquitous/mobiquitous": "MobiQuitous",
-  "/conf/avi/avi": "AVI",
-  "/journals/jacm/jacm": "JACM",
-  "/journals/pieee/pieee": "Proc. IEEE",
-  "/journals/chinaf/chinaf": "SCIS",
-  "/journals/bioinformatics/bioinformatics": "ISMB",
-  "/journals/bib/bib": "",
-  "/journals/tase/tase": "TASAE",
-  "/journals/tgrs/tgrs": "TGARS",
-  "/journals/tits/tits": "TITS",
-  "/journals/tmi/tmi": "TMI",
-  "/journals/trob/trob": "TR",
-  "/journals/tcbb/tcbb": "TCBB",
-  "/journals/jcst/jcst": "JCST",
-  "/journals/jamia/jamia": "JAMIA",
-  "/journals/ploscb/ploscb": "",
-  "/journals/cj/cj": "",
-  "/journals/www/www": "",
-  "/journals/fcsc/fcsc": "FCS",
-  "/journals/bmcbi/bmcbi": "",
-  "/journals/cas/cas": "",
-  "/journals/lgrs/lgrs": "",
-  "/journals/titb/titb": "JBHI",
-  "/journals/tbd/tbd": "TBD",
-  "/journals/jbi/jbi": "JBI",
-  "/journals/mia/mia": "",
-  "/journals/tii/tii": "TII",
-  "/journals/tcps/tcps": "TCPS",
-  "/journals/jeric/toce": "TOCE",
-  "/journals/jeric/jeric": "TOCE",
-  "/journals/jzusc/jzusc": "FITEE",
-  "/journals/tcss/tcss": "TCSS",
-  "/journals/tr/tr": "",
-  "/conf/www/www": "WWW",
-  "/conf/rtss/rtss": "RTSS",
-  "/conf/wine/wine": "WINE",
-  "/conf/cogsci/cogsci": "CogSci",
-  "/conf/bibm/bibm": "BIBM",
-  "/conf/emsoft/emsoft": "EMSOFT",
-  "/conf/recomb/recomb": "RECOMB",
-  "/conf/amia/amia": "AMIA",
-  "/conf/apbc/apbc": "APBC",
-  "/conf/bigdataconf/bigdataconf": "",
-  "/conf/IEEEcloud/IEEEcloud": "",
-  "/conf/smc/smc": "SMC",
-  "/conf/cosit/cosit": "COSIT",
-  "/conf/isbra/isbra": "ISBRA",
-  "/conf/sagt/sagt": "SAGT",
-  "/conf/gis/gis": "SIGSPATIAL",
-  "/conf/icic/icic": "ICIC",
-  "/conf/iclr/iclr": "ICLR",
-  "/journals/corr/corr": "",
-};
@@ -0,0 +1,58 @@
+/**
+ * MIT License
+ *
+ * WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ * Copyright (c) 2019-2024 All Rights Reserved.
+ * ------------------------------------------------------
+ * Generated by dataGen.js
+ * Last updated: 2026-10-19
+ */
+
+ccf.rankChanges = {
+  since: "4.5.2",
+  date: "2026-10-19",
+  added: [],
+  removed: [],
+  promoted: [],
+  demoted: [],
+  renamed: [
+    {
+      abbr: "TOMCCAP",
+      name: "ACM Transactions on Multimedia Computing, Communications and Applications",
+      rank: "B",
+      dblp_streams: ["/journals/tomccap/tomccap"],
+      fromAbbr: "TOMCCAP",
+      fromName:
+        "ACM Transactions on Multimedia Computing,Communications and Application",
+    },
+  ],
+  moved: [
+    {
+      abbr: "ETAPS",
+      name: "European Joint Conferences on Theory and Practice of Software",
+      rank: "B",
+      dblp_streams: [
+        "/conf/esop/esop",
+        "/conf/fase/fase",
+        "/conf/fossacs/fossacs",
+        "/conf/tacas/tacas",
+        "/conf/post/post",
+      ],
+      from: [
+        "/conf/esop/esop",
+        "/conf/fase/fase",
+        "/conf/fossacs/fossacs",
+        "/conf/tacas/tacas",
+        "/conf/post/post",
+        "/conf/spin/spin",
+      ],
+    },
+    {
+      abbr: "TWEB",
+      name: "ACM Transactions on the Web",
+      rank: "B",
+      dblp_streams: ["/journals/tweb/tweb"],
+      from: ["/journals/tweb"],
+    },
+  ],
+};
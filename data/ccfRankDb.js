@@ -1,654 +0,0 @@
-/**
- * MIT License
- *
- * WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
- * Copyright (c) 2019-2024 All Rights Reserved.
- * ------------------------------------------------------
- * Generated by dataGen.js
- * Last updated: 2024-12-04
- */
-
-ccf.rankDb = {
-  "/journals/tocs": "/journals/tocs/tocs",
-  "/journals/tos": "/journals/tos/tos",
-  "/journals/tcad": "/journals/tcad/tcad",
-  "/journals/tc": "/journals/tc/tc",
-  "/journals/tpds": "/journals/tpds/tpds",
-  "/journals/taco": "/journals/taco/taco",
-  "/journals/taas": "/journals/taas/taas",
-  "/journals/todaes": "/journals/todaes/todaes",
-  "/journals/tecs": "/journals/tecs/tecs",
-  "/journals/trets": "/journals/trets/trets",
-  "/journals/tvlsi": "/journals/tvlsi/tvlsi",
-  "/journals/jpdc": "/journals/jpdc/jpdc",
-  "/journals/jsa": "/journals/jsa/jsa",
-  "/conf/parco": "/conf/parco/parco",
-  "/journals/pe": "/journals/pe/pe",
-  "/journals/jetc": "/journals/jetc/jetc",
-  "/journals/concurrency": "/journals/concurrency/concurrency",
-  "/journals/dc": "/journals/dc/dc",
-  "/journals/fgcs": "/journals/fgcs/fgcs",
-  "/journals/tcc": "/journals/tcc/tcc",
-  "/journals/integration": "/journals/integration/integration",
-  "/journals/et": "/journals/et/et",
-  "/journals/grid": "/journals/grid/grid",
-  "/journals/rts": "/journals/rts/rts",
-  "/journals/tjs": "/journals/tjs/tjs",
-  "/journals/tcasI": "/journals/tcasI/tcasI",
-  "/journals/ccfthpc": "/journals/ccfthpc/ccfthpc",
-  "/journals/tsusc": "/journals/tsusc/tsusc",
-  "/conf/ppopp": "/conf/ppopp/ppopp",
-  "/conf/fast": "/conf/fast/fast",
-  "/conf/dac": "/conf/dac/dac",
-  "/conf/hpca": "/conf/hpca/hpca",
-  "/conf/micro": "/conf/micro/micro",
-  "/conf/sc": "/conf/sc/sc",
-  "/conf/asplos": "/conf/asplos/asplos",
-  "/conf/isca": "/conf/isca/isca",
-  "/conf/usenix": "/conf/usenix/usenix",
-  "/conf/eurosys": "/conf/eurosys/eurosys",
-  "/conf/cloud": "/conf/cloud/socc",
-  "/conf/spaa": "/conf/spaa/spaa",
-  "/conf/podc": "/conf/podc/podc",
-  "/conf/fpga": "/conf/fpga/fpga",
-  "/conf/cgo": "/conf/cgo/cgo",
-  "/conf/date": "/conf/date/date",
-  "/conf/hotchips": "/conf/hotchips/hotchips",
-  "/conf/cluster": "/conf/cluster/cluster",
-  "/conf/iccd": "/conf/iccd/iccd",
-  "/conf/iccad": "/conf/iccad/iccad",
-  "/conf/icdcs": "/conf/icdcs/icdcs",
-  "/conf/codes": "/conf/codes/codes",
-  "/conf/hipeac": "/conf/hipeac/hipeac",
-  "/conf/sigmetrics": "/conf/sigmetrics/sigmetrics",
-  "/conf/IEEEpact": "/conf/IEEEpact/IEEEpact",
-  "/conf/icpp": "/conf/icpp/icpp",
-  "/conf/ics": "/conf/ics/ics",
-  "/conf/vee": "/conf/vee/vee",
-  "/conf/ipps": "/conf/ipps/ipdps",
-  "/conf/performance": "/conf/performance/performance",
-  "/conf/hpdc": "/conf/hpdc/hpdc",
-  "/conf/itc": "/conf/itc/itc",
-  "/conf/lisa": "/conf/lisa/lisa",
-  "/conf/mss": "/conf/mss/msst",
-  "/conf/rtas": "/conf/rtas/rtas",
-  "/conf/europar": "/conf/europar/europar",
-  "/conf/cf": "/conf/cf/cf",
-  "/conf/systor": "/conf/systor/systor",
-  "/conf/nocs": "/conf/nocs/nocs",
-  "/conf/asap": "/conf/asap/asap",
-  "/conf/aspdac": "/conf/aspdac/aspdac",
-  "/conf/ets": "/conf/ets/ets",
-  "/conf/fpl": "/conf/fpl/fpl",
-  "/conf/fccm": "/conf/fccm/fccm",
-  "/conf/glvlsi": "/conf/glvlsi/glvlsi",
-  "/conf/ats": "/conf/ats/ats",
-  "/conf/hpcc": "/conf/hpcc/hpcc",
-  "/conf/hipc": "/conf/hipc/hipc",
-  "/conf/mascots": "/conf/mascots/mascots",
-  "/conf/ispa": "/conf/ispa/ispa",
-  "/conf/ccgrid": "/conf/ccgrid/ccgrid",
-  "/conf/npc": "/conf/npc/npc",
-  "/conf/ica3pp": "/conf/ica3pp/ica3pp",
-  "/conf/cases": "/conf/cases/cases",
-  "/conf/fpt": "/conf/fpt/fpt",
-  "/conf/icpads": "/conf/icpads/icpads",
-  "/conf/iscas": "/conf/iscas/iscas",
-  "/conf/islped": "/conf/islped/islped",
-  "/conf/ispd": "/conf/ispd/ispd",
-  "/conf/hoti": "/conf/hoti/hoti",
-  "/conf/vts": "/conf/vts/vts",
-  "/conf/itc-asia": "/conf/itc-asia/itc-asia",
-  "/journals/jsac": "/journals/jsac/jsac",
-  "/journals/tmc": "/journals/tmc/tmc",
-  "/journals/ton": "/journals/ton/ton",
-  "/journals/toit": "/journals/toit/toit",
-  "/journals/tomccap": "/journals/tomccap/tomccap",
-  "/journals/tosn": "/journals/tosn/tosn",
-  "/journals/cn": "/journals/cn/cn",
-  "/journals/tcom": "/journals/tcom/tcom",
-  "/journals/twc": "/journals/twc/twc",
-  "/journals/adhoc": "/journals/adhoc/adhoc",
-  "/journals/comcom": "/journals/comcom/comcom",
-  "/journals/tnsm": "/journals/tnsm/tnsm",
-  "/journals/iet-com": "/journals/iet-com/iet-com",
-  "/journals/jnca": "/journals/jnca/jnca",
-  "/journals/monet": "/journals/monet/monet",
-  "/journals/networks": "/journals/networks/networks",
-  "/journals/ppna": "/journals/ppna/ppna",
-  "/journals/wicomm": "/journals/wicomm/wicomm",
-  "/journals/winet": "/journals/winet/winet",
-  "/journals/iotj": "/journals/iotj/iotj",
-  "/conf/sigcomm": "/conf/sigcomm/sigcomm",
-  "/conf/mobicom": "/conf/mobicom/mobicom",
-  "/conf/infocom": "/conf/infocom/infocom",
-  "/conf/nsdi": "/conf/nsdi/nsdi",
-  "/conf/sensys": "/conf/sensys/sensys",
-  "/conf/conext": "/conf/conext/conext",
-  "/conf/secon": "/conf/secon/secon",
-  "/conf/ipsn": "/conf/ipsn/ipsn",
-  "/conf/mobisys": "/conf/mobisys/mobisys",
-  "/conf/icnp": "/conf/icnp/icnp",
-  "/conf/mobihoc": "/conf/mobihoc/mobihoc",
-  "/conf/nossdav": "/conf/nossdav/nossdav",
-  "/conf/iwqos": "/conf/iwqos/iwqos",
-  "/conf/imc": "/conf/imc/imc",
-  "/conf/ancs": "/conf/ancs/ancs",
-  "/conf/apnoms": "/conf/apnoms/apnoms",
-  "/conf/forte": "/conf/forte/forte",
-  "/conf/lcn": "/conf/lcn/lcn",
-  "/conf/globecom": "/conf/globecom/globecom",
-  "/conf/icc": "/conf/icc/icc",
-  "/conf/icccn": "/conf/icccn/icccn",
-  "/conf/mass": "/conf/mass/mass",
-  "/conf/p2p": "/conf/p2p/p2p",
-  "/conf/ipccc": "/conf/ipccc/ipccc",
-  "/conf/wowmom": "/conf/wowmom/wowmom",
-  "/conf/iscc": "/conf/iscc/iscc",
-  "/conf/wcnc": "/conf/wcnc/wcnc",
-  "/conf/networking": "/conf/networking/networking",
-  "/conf/im": "/conf/im/im",
-  "/conf/msn": "/conf/msn/msn",
-  "/conf/mswim": "/conf/mswim/mswim",
-  "/conf/wasa": "/conf/wasa/wasa",
-  "/conf/hotnets": "/conf/hotnets/hotnets",
-  "/conf/apnet": "/conf/apnet/apnet",
-  "/journals/tdsc": "/journals/tdsc/tdsc",
-  "/journals/tifs": "/journals/tifs/tifs",
-  "/journals/joc": "/journals/joc/joc",
-  "/journals/tissec": "/journals/tissec/tissec",
-  "/journals/compsec": "/journals/compsec/compsec",
-  "/journals/dcc": "/journals/dcc/dcc",
-  "/journals/jcs": "/journals/jcs/jcs",
-  "/journals/clsr": "/journals/clsr/clsr",
-  "/journals/ejisec": "/journals/ejisec/ejisec",
-  "/journals/iet-ifs": "/journals/iet-ifs/iet-ifs",
-  "/journals/imcs": "/journals/imcs/imcs",
-  "/journals/ijics": "/journals/ijics/ijics",
-  "/journals/ijisp": "/journals/ijisp/ijisp",
-  "/journals/istr": "/journals/istr/istr",
-  "/journals/scn": "/journals/scn/scn",
-  "/journals/cybersec": "/journals/cybersec/cybersec",
-  "/conf/ccs": "/conf/ccs/ccs",
-  "/conf/eurocrypt": "/conf/eurocrypt/eurocrypt",
-  "/conf/sp": "/conf/sp/sp",
-  "/conf/crypto": "/conf/crypto/crypto",
-  "/conf/uss": "/conf/uss/uss",
-  "/conf/ndss": "/conf/ndss/ndss",
-  "/conf/acsac": "/conf/acsac/acsac",
-  "/conf/asiacrypt": "/conf/asiacrypt/asiacrypt",
-  "/conf/esorics": "/conf/esorics/esorics",
-  "/conf/fse": "/conf/fse/fse",
-  "/conf/csfw": "/conf/csfw/csfw",
-  "/conf/srds": "/conf/srds/srds",
-  "/conf/ches": "/conf/ches/ches",
-  "/conf/dsn": "/conf/dsn/dsn",
-  "/conf/raid": "/conf/raid/raid",
-  "/conf/pkc": "/conf/pkc/pkc",
-  "/conf/tcc": "/conf/tcc/tcc",
-  "/conf/wisec": "/conf/wisec/wisec",
-  "/conf/sacmat": "/conf/sacmat/sacmat",
-  "/conf/drm": "/conf/drm/drm",
-  "/conf/ih": "/conf/ih/ih",
-  "/conf/acns": "/conf/acns/acns",
-  "/conf/asiaccs": "/conf/asiaccs/asiaccs",
-  "/conf/acisp": "/conf/acisp/acisp",
-  "/conf/ctrsa": "/conf/ctrsa/ctrsa",
-  "/conf/dimva": "/conf/dimva/dimva",
-  "/conf/dfrws": "/conf/dfrws/dfrws",
-  "/conf/fc": "/conf/fc/fc",
-  "/conf/trustcom": "/conf/trustcom/trustcom",
-  "/conf/sec": "/conf/sec/sec",
-  "/conf/ifip11-9": "/conf/ifip11-9/df",
-  "/conf/isw": "/conf/isw/isw",
-  "/conf/icdf2c": "/conf/icdf2c/icdf2c",
-  "/conf/icics": "/conf/icics/icics",
-  "/conf/securecomm": "/conf/securecomm/securecomm",
-  "/conf/nspw": "/conf/nspw/nspw",
-  "/conf/pam": "/conf/pam/pam",
-  "/conf/pet": "/conf/pet/pet",
-  "/conf/sacrypt": "/conf/sacrypt/sacrypt",
-  "/conf/soups": "/conf/soups/soups",
-  "/conf/uss/": "/conf/uss/hotsec",
-  "/conf/eurosp": "/conf/eurosp/eurosp",
-  "/conf/icisc": "/conf/icisc/icisc",
-  "/journals/toplas": "/journals/toplas/toplas",
-  "/journals/tosem": "/journals/tosem/tosem",
-  "/journals/tse": "/journals/tse/tse",
-  "/journals/tsc": "/journals/tsc/tsc",
-  "/journals/ase": "/journals/ase/ase",
-  "/journals/ese": "/journals/ese/ese",
-  "/journals/iee": "/journals/iee/iee-s",
-  "/journals/infsof": "/journals/infsof/infsof",
-  "/journals/jfp": "/journals/jfp/jfp",
-  "/journals/smr": "/journals/smr/smr",
-  "/journals/jss": "/journals/jss/jss",
-  "/journals/re": "/journals/re/re",
-  "/journals/scp": "/journals/scp/scp",
-  "/journals/sosym": "/journals/sosym/sosym",
-  "/journals/stvr": "/journals/stvr/stvr",
-  "/journals/spe": "/journals/spe/spe",
-  "/journals/cl": "/journals/cl/cl",
-  "/journals/ijseke": "/journals/ijseke/ijseke",
-  "/journals/sttt": "/journals/sttt/sttt",
-  "/journals/jlap": "/journals/jlp/jlp",
-  "/journals/jwe": "/journals/jwe/jwe",
-  "/journals/soca": "/journals/soca/soca",
-  "/journals/sqj": "/journals/sqj/sqj",
-  "/journals/tplp": "/journals/tplp/tplp",
-  "/journals/pacmpl": "/journals/pacmpl/pacmpl",
-  "/conf/pldi": "/conf/pldi/pldi",
-  "/conf/popl": "/conf/popl/popl",
-  "/conf/sigsoft": "/conf/sigsoft/fse",
-  "/conf/sosp": "/conf/sosp/sosp",
-  "/conf/oopsla": "/conf/oopsla/oopsla",
-  "/conf/kbse": "/conf/kbse/kbse",
-  "/conf/icse": "/conf/icse/icse",
-  "/conf/issta": "/conf/issta/issta",
-  "/conf/osdi": "/conf/osdi/osdi",
-  "/conf/fm": "/conf/fm/fm",
-  "/conf/ecoop": "/conf/ecoop/ecoop",
-  "/conf/etaps": "/conf/spin/spin",
-  "/conf/iwpc": "/conf/iwpc/iwpc",
-  "/conf/re": "/conf/icre/icre",
-  "/conf/caise": "/conf/caise/caise",
-  "/conf/icfp": "/conf/icfp/icfp",
-  "/conf/lctrts": "/conf/lctrts/lctes",
-  "/conf/models": "/conf/models/models",
-  "/conf/cp": "/conf/cp/cp",
-  "/conf/icsoc": "/conf/icsoc/icsoc",
-  "/conf/wcre": "/conf/wcre/wcre",
-  "/conf/icsm": "/conf/icsm/icsm",
-  "/conf/vmcai": "/conf/vmcai/vmcai",
-  "/conf/icws": "/conf/icws/icws",
-  "/conf/middleware": "/conf/middleware/middleware",
-  "/conf/sas": "/conf/sas/sas",
-  "/conf/esem": "/conf/esem/esem",
-  "/conf/issre": "/conf/issre/issre",
-  "/conf/hotos": "/conf/hotos/hotos",
-  "/conf/pepm": "/conf/pepm/pepm",
-  "/conf/paste": "/conf/paste/paste",
-  "/conf/aplas": "/conf/aplas/aplas",
-  "/conf/apsec": "/conf/apsec/apsec",
-  "/conf/ease": "/conf/ease/ease",
-  "/conf/iceccs": "/conf/iceccs/iceccs",
-  "/conf/icst": "/conf/icst/icst",
-  "/conf/ispass": "/conf/ispass/ispass",
-  "/conf/scam": "/conf/scam/scam",
-  "/conf/compsac": "/conf/compsac/compsac",
-  "/conf/icfem": "/conf/icfem/icfem",
-  "/conf/tools": "/conf/tools/tools",
-  "/conf/qsic": "/conf/qsic/qsic",
-  "/conf/IEEEscc": "/conf/IEEEscc/scc",
-  "/conf/ispw": "/conf/ispw/icsp",
-  "/conf/seke": "/conf/seke/seke",
-  "/conf/qrs": "/conf/qrs/qrs",
-  "/conf/icsr": "/conf/icsr/icsr",
-  "/conf/icwe": "/conf/icwe/icwe",
-  "/conf/spin": "/conf/spin/spin",
-  "/conf/atva": "/conf/atva/atva",
-  "/conf/lopstr": "/conf/lopstr/lopstr",
-  "/conf/tase": "/conf/tase/tase",
-  "/conf/msr": "/conf/msr/msr",
-  "/conf/refsq": "/conf/refsq/refsq",
-  "/conf/wicsa": "/conf/wicsa/wicsa",
-  "/conf/internetware": "/conf/internetware/internetware",
-  "/conf/rv": "/conf/rv/rv",
-  "/journals/tods": "/journals/tods/tods",
-  "/journals/tois": "/journals/tois/tois",
-  "/journals/tkde": "/journals/tkde/tkde",
-  "/journals/vldb": "/journals/vldb/vldb",
-  "/journals/tkdd": "/journals/tkdd/tkdd",
-  "/journals/tweb": "/journals/tweb",
-  "/journals/aei": "/journals/aei/aei",
-  "/journals/dke": "/journals/dke/dke",
-  "/journals/datamine": "/journals/datamine/datamine",
-  "/journals/ejis": "/journals/ejis/ejis",
-  "/journals/geoinformatica": "/journals/geoinformatica/geoinformatica",
-  "/journals/ipm": "/journals/ipm/ipm",
-  "/journals/isci": "/journals/isci/isci",
-  "/journals/is": "/journals/is/is",
-  "/journals/jasis": "/journals/jasis/jasis",
-  "/journals/ws": "/journals/ws/ws",
-  "/journals/kais": "/journals/kais/kais",
-  "/journals/dpd": "/journals/dpd/dpd",
-  "/journals/iam": "/journals/iam/iam",
-  "/journals/ipl": "/journals/ipl/ipl",
-  "/journals/ir": "/journals/ir/ir",
-  "/journals/ijcis": "/journals/ijcis/ijcis",
-  "/journals/gis": "/journals/gis/gis",
-  "/journals/ijis": "/journals/ijis/ijis",
-  "/journals/ijkm": "/journals/ijkm/ijkm",
-  "/journals/ijswis": "/journals/ijswis/ijswis",
-  "/journals/jcis": "/journals/jcis/jcis",
-  "/journals/jdm": "/journals/jdm/jdm",
-  "/journals/jiis": "/journals/jiis/jiis",
-  "/journals/jsis": "/journals/jsis/jsis",
-  "/journals/dase": "/journals/dase/dase",
-  "/conf/sigmod": "/conf/sigmod/sigmod",
-  "/conf/kdd": "/conf/kdd/kdd",
-  "/conf/icde": "/conf/icde/icde",
-  "/conf/sigir": "/conf/sigir/sigir",
-  "/conf/vldb": "/conf/vldb/vldb",
-  "/journals/pvldb": "/journals/pvldb/pvldb",
-  "/conf/cikm": "/conf/cikm/cikm",
-  "/conf/wsdm": "/conf/wsdm/wsdm",
-  "/conf/pods": "/conf/pods/pods",
-  "/conf/dasfaa": "/conf/dasfaa/dasfaa",
-  "/conf/ecml": "/conf/pkdd/pkdd",
-  "/conf/semweb": "/conf/semweb/iswc",
-  "/conf/icdm": "/conf/icdm/icdm",
-  "/conf/icdt": "/conf/icdt/icdt",
-  "/conf/edbt": "/conf/edbt/edbt",
-  "/conf/cidr": "/conf/cidr/cidr",
-  "/conf/sdm": "/conf/sdm/sdm",
-  "/conf/recsys": "/conf/recsys/recsys",
-  "/conf/apweb": "/conf/apweb/apweb",
-  "/conf/dexa": "/conf/dexa/dexa",
-  "/conf/ecir": "/conf/ecir/ecir",
-  "/conf/esws": "/conf/esws/eswc",
-  "/conf/webdb": "/conf/webdb/webdb",
-  "/conf/er": "/conf/er/er",
-  "/conf/mdm": "/conf/mdm/mdm",
-  "/conf/ssdbm": "/conf/ssdbm/ssdbm",
-  "/conf/waim": "/conf/waim/waim",
-  "/conf/ssd": "/conf/ssd/sstd",
-  "/conf/pakdd": "/conf/pakdd/pakdd",
-  "/conf/wise": "/conf/wise/wise",
-  "/conf/adma": "/conf/adma/adma",
-  "/journals/tit": "/journals/tit/tit",
-  "/journals/iandc": "/journals/iandc/iandc",
-  "/journals/siamcomp": "/journals/siamcomp/siamcomp",
-  "/journals/talg": "/journals/talg/talg",
-  "/journals/tocl": "/journals/tocl/tocl",
-  "/journals/toms": "/journals/toms/toms",
-  "/journals/algorithmica": "/journals/algorithmica/algorithmica",
-  "/journals/cc": "/journals/cc/cc",
-  "/journals/fac": "/journals/fac/fac",
-  "/journals/fmsd": "/journals/fmsd/fmsd",
-  "/journals/informs": "/journals/informs/informs",
-  "/journals/jcss": "/journals/jcss/jcss",
-  "/journals/jgo": "/journals/jgo/jgo",
-  "/journals/jsc": "/journals/jsc/jsc",
-  "/journals/mscs": "/journals/mscs/mscs",
-  "/journals/tcs": "/journals/tcs/tcs",
-  "/journals/acta": "/journals/acta/acta",
-  "/journals/apal": "/journals/apal/apal",
-  "/journals/dam": "/journals/dam/dam",
-  "/journals/fuin": "/journals/fuin/fuin",
-  "/journals/lisp": "/journals/lisp/lisp",
-  "/journals/jc": "/journals/jc/jc",
-  "/journals/logcom": "/journals/logcom/logcom",
-  "/journals/jsyml": "/journals/jsyml/jsyml",
-  "/journals/lmcs": "/journals/lmcs/lmcs",
-  "/journals/siamdm": "/journals/siamdm/siamdm",
-  "/journals/mst": "/journals/mst/mst",
-  "/conf/stoc": "/conf/stoc/stoc",
-  "/conf/soda": "/conf/soda/soda",
-  "/conf/cav": "/conf/cav/cav",
-  "/conf/focs": "/conf/focs/focs",
-  "/conf/lics": "/conf/lics/lics",
-  "/conf/compgeom": "/conf/compgeom/compgeom",
-  "/conf/esa": "/conf/esa/esa",
-  "/conf/coco": "/conf/coco/coco",
-  "/conf/icalp": "/conf/icalp/icalp",
-  "/conf/cade": "/conf/cade/cade",
-  "/conf/concur": "/conf/concur/concur",
-  "/conf/hybrid": "/conf/hybrid/hscc",
-  "/conf/sat": "/conf/sat/sat",
-  "/conf/cocoon": "/conf/cocoon/cocoon",
-  "/conf/csl": "/conf/csl/csl",
-  "/conf/fmcad": "/conf/fmcad/fmcad",
-  "/conf/fsttcs": "/conf/fsttcs/fsttcs",
-  "/conf/dsaa": "/conf/dsaa/dsaa",
-  "/conf/ictac": "/conf/ictac/ictac",
-  "/conf/ipco": "/conf/ipco/ipco",
-  "/conf/rta": "/conf/rta/rta",
-  "/conf/isaac": "/conf/isaac/isaac",
-  "/conf/mfcs": "/conf/mfcs/mfcs",
-  "/conf/stacs": "/conf/stacs/stacs",
-  "/conf/setta": "/conf/setta/setta",
-  "/journals/tog": "/journals/tog/tog",
-  "/journals/tip": "/journals/tip/tip",
-  "/journals/tvcg": "/journals/tvcg/tvcg",
-  "/journals/cagd": "/journals/cagd/cagd",
-  "/journals/cgf": "/journals/cgf/cgf",
-  "/journals/cad": "/journals/cad/cad",
-  "/journals/cvgip": "/journals/cvgip/cvgip",
-  "/journals/tcsv": "/journals/tcsv/tcsv",
-  "/journals/tmm": "/journals/tmm/tmm",
-  "/journals/siamis": "/journals/siamis/siamis",
-  "/journals/speech": "/journals/speech/speech",
-  "/journals/comgeo": "/journals/comgeo/comgeo",
-  "/journals/jvca": "/journals/jvca/jvca",
-  "/journals/cg": "/journals/cg/cg",
-  "/journals/dcg": "/journals/dcg/dcg",
-  "/journals/spl": "/journals/spl/spl",
-  "/journals/iet-ipr": "/journals/iet-ipr/iet-ipr",
-  "/journals/jvcir": "/journals/jvcir/jvcir",
-  "/journals/mms": "/journals/mms/mms",
-  "/journals/mta": "/journals/mta/mta",
-  "/journals/sigpro": "/journals/sigpro/sigpro",
-  "/journals/spic": "/journals/spic/spic",
-  "/journals/vc": "/journals/vc/vc",
-  "/journals/cvm": "/journals/cvm/cvm",
-  "/conf/mm": "/conf/mm/mm",
-  "/conf/siggraph": "/conf/siggraph/siggraph",
-  "/conf/vr": "/conf/vr/vr",
-  "/conf/visualization": "/conf/visualization/visualization",
-  "/conf/mir": "/conf/mir/mir",
-  "/conf/si3d": "/conf/si3d/si3d",
-  "/conf/sca": "/conf/sca/sca",
-  "/conf/dcc": "/conf/dcc/dcc",
-  "/conf/eurographics": "/journals/cgf/cgf",
-  "/conf/vissym": "/journals/cgf/cgf",
-  "/conf/sgp": "/conf/sgp/sgp",
-  "/conf/rt": "/conf/rt/eii",
-  "/conf/icassp": "/conf/icassp/icassp",
-  "/conf/icmcs": "/conf/icmcs/icme",
-  "/conf/ismar": "/conf/ismar/ismar",
-  "/conf/pg": "/conf/pg/pg",
-  "/conf/sma": "/conf/sma/sma",
-  "/conf/miccai": "/conf/miccai/miccai",
-  "/conf/vrst": "/conf/vrst/vrst",
-  "/conf/ca": "/conf/ca/casa",
-  "/conf/cgi": "/conf/cgi/cgi",
-  "/conf/interspeech": "/conf/interspeech/interspeech",
-  "/conf/gmp": "/conf/gmp/gmp",
-  "/conf/apvis": "/conf/apvis/apvis",
-  "/conf/3dim": "/conf/3dim/3dim",
-  "/conf/cadgraphics": "/conf/cadgraphics/cadgraphics",
-  "/conf/icip": "/conf/icip/icip",
-  "/conf/mmm": "/conf/mmm/mmm",
-  "/conf/pcm": "/conf/pcm/pcm",
-  "/conf/smi": "/conf/smi/smi",
-  "/conf/cvm": "/conf/cvm/cvm",
-  "/conf/prcv": "/conf/prcv/prcv",
-  "/journals/ai": "/journals/ai/ai",
-  "/journals/pami": "/journals/pami/pami",
-  "/journals/ijcv": "/journals/ijcv/ijcv",
-  "/journals/jmlr": "/journals/jmlr/jmlr",
-  "/journals/tap": "/journals/tap/tap",
-  "/journals/tslp": "/journals/tslp/tslp",
-  "/journals/aamas": "/journals/aamas/aamas",
-  "/journals/coling": "/journals/coling/coling",
-  "/journals/cviu": "/journals/cviu/cviu",
-  "/journals/ec": "/journals/ec/ec",
-  "/journals/taffco": "/journals/taffco/taffco",
-  "/journals/taslp": "/journals/taslp/taslp",
-  "/journals/tcyb": "/journals/tsmc/tsmcb",
-  "/journals/tec": "/journals/tec/tec",
-  "/journals/tfs": "/journals/tfs/tfs",
-  "/journals/tnn": "/journals/tnn/tnn",
-  "/journals/ijar": "/journals/ijar/ijar",
-  "/journals/jair": "/journals/jair/jair",
-  "/journals/jar": "/journals/jar/jar",
-  "/journals/ml": "/journals/ml/ml",
-  "/journals/neco": "/journals/neco/neco",
-  "/journals/nn": "/journals/nn/nn",
-  "/journals/pr": "/journals/pr/pr",
-  "/journals/tacl": "/journals/tacl/tacl",
-  "/journals/talip": "/journals/talip/talip",
-  "/journals/apin": "/journals/apin/apin",
-  "/journals/artmed": "/journals/artmed/artmed",
-  "/journals/alife": "/journals/alife/alife",
-  "/journals/ci": "/journals/ci/ci",
-  "/journals/csl": "/journals/csl/csl",
-  "/journals/connection": "/journals/connection/connection",
-  "/journals/dss": "/journals/dss/dss",
-  "/journals/eaai": "/journals/eaai/eaai",
-  "/journals/es": "/journals/es/es",
-  "/journals/eswa": "/journals/eswa/eswa",
-  "/journals/fss": "/journals/fss/fss",
-  "/journals/tciaig": "/journals/tciaig/tciaig",
-  "/journals/iet-cvi": "/journals/iet-cvi/iet-cvi",
-  "/journals/iet-spr": "/journals/iet-spr/iet-spr",
-  "/journals/ivc": "/journals/ivc/ivc",
-  "/journals/ida": "/journals/ida/ida",
-  "/journals/ijcia": "/journals/ijcia/ijcia",
-  "/journals/ijns": "/journals/ijns/ijns",
-  "/journals/ijprai": "/journals/ijprai/ijprai",
-  "/journals/ijufks": "/journals/ijufks/ijufks",
-  "/journals/ijdar": "/journals/ijdar/ijdar",
-  "/journals/jetai": "/journals/jetai/jetai",
-  "/journals/kbs": "/journals/kbs/kbs",
-  "/journals/mt": "/journals/mt/mt",
-  "/journals/mva": "/journals/mva/mva",
-  "/journals/nc": "/journals/nc/nc",
-  "/journals/nle": "/journals/nle/nle",
-  "/journals/nca": "/journals/nca/nca",
-  "/journals/npl": "/journals/npl/npl",
-  "/journals/ijon": "/journals/ijon/ijon",
-  "/journals/paa": "/journals/paa/paa",
-  "/journals/prl": "/journals/prl/prl",
-  "/journals/soco": "/journals/soco/soco",
-  "/journals/wias": "/journals/wias/wias",
-  "/journals/tiis": "/journals/tiis/tiis",
-  "/conf/aaai": "/conf/aaai/aaai",
-  "/conf/nips": "/conf/nips/nips",
-  "/conf/acl": "/conf/acl/acl",
-  "/conf/cvpr": "/conf/cvpr/cvpr",
-  "/conf/iccv": "/conf/iccv/iccv",
-  "/conf/icml": "/conf/icml/icml",
-  "/conf/ijcai": "/conf/ijcai/ijcai",
-  "/conf/colt": "/conf/colt/colt",
-  "/conf/emnlp": "/conf/emnlp/emnlp",
-  "/conf/ecai": "/conf/ecai/ecai",
-  "/conf/eccv": "/conf/eccv/eccv",
-  "/conf/icra": "/conf/icra/icra",
-  "/conf/aips": "/conf/aips/icaps",
-  "/conf/iccbr": "/conf/iccbr/iccbr",
-  "/conf/coling": "/conf/coling/coling",
-  "/conf/kr": "/conf/kr/kr",
-  "/conf/uai": "/conf/uai/uai",
-  "/conf/atal": "/conf/atal/aamas",
-  "/conf/ppsn": "/conf/ppsn/ppsn",
-  "/conf/naacl": "/conf/naacl/naacl",
-  "/conf/aistats": "/conf/aistats/aistats",
-  "/conf/accv": "/conf/accv/accv",
-  "/conf/acml": "/conf/acml/acml",
-  "/conf/bmvc": "/conf/bmvc/bmvc",
-  "/conf/nlpcc": "/conf/nlpcc/nlpcc",
-  "/conf/conll": "/conf/conll/conll",
-  "/conf/gecco": "/conf/gecco/gecco",
-  "/conf/ictai": "/conf/ictai/ictai",
-  "/conf/iros": "/conf/iros/iros",
-  "/conf/alt": "/conf/alt/alt",
-  "/conf/icann": "/conf/icann/icann",
-  "/conf/fgr": "/conf/fgr/fg",
-  "/conf/icdar": "/conf/icdar/icdar",
-  "/conf/ilp": "/conf/ilp/ilp",
-  "/conf/ksem": "/conf/ksem/ksem",
-  "/conf/iconip": "/conf/iconip/iconip",
-  "/conf/icpr": "/conf/icpr/icpr",
-  "/conf/icb": "/conf/icb/icb",
-  "/conf/ijcnn": "/conf/ijcnn/ijcnn",
-  "/conf/pricai": "/conf/pricai/pricai",
-  "/journals/tochi": "/journals/tochi/tochi",
-  "/journals/ijmms": "/journals/ijmms/ijmms",
-  "/journals/cscw": "/journals/cscw/cscw",
-  "/journals/hhci": "/journals/hhci/hhci",
-  "/journals/thms": "/journals/tsmc/tsmcc",
-  "/journals/iwc": "/journals/iwc/iwc",
-  "/journals/ijhci": "/journals/ijhci/ijhci",
-  "/journals/umuai": "/journals/umuai/umuai",
-  "/journals/tsmc": "/journals/tsmc/tsmc",
-  "/journals/behaviourIT": "/journals/behaviourIT/behaviourIT",
-  "/journals/puc": "/journals/puc/puc",
-  "/journals/percom": "/journals/percom/percom",
-  "/journals/pacmhci": "/journals/pacmhci/pacmhci",
-  "/conf/cscw": "/conf/cscw/cscw",
-  "/conf/chi": "/conf/chi/chi",
-  "/conf/huc": "/conf/huc/ubicomp",
-  "/journals/imwut": "/journals/imwut/imwut",
-  "/conf/uist": "/conf/uist/uist",
-  "/conf/group": "/conf/group/group",
-  "/conf/iui": "/conf/iui/iui",
-  "/conf/tabletop": "/conf/tabletop/its",
-  "/conf/ecscw": "/conf/ecscw/ecscw",
-  "/conf/percom": "/conf/percom/percom",
-  "/conf/mhci": "/conf/mhci/mhci",
-  "/conf/icwsm": "/conf/icwsm/icwsm",
-  "/conf/ACMdis": "/conf/ACMdis/ACMdis",
-  "/conf/icmi": "/conf/icmi/icmi",
-  "/conf/assets": "/conf/assets/assets",
-  "/conf/graphicsinterface": "/conf/graphicsinterface/graphicsinterface",
-  "/conf/uic": "/conf/uic/uic",
-  "/conf/haptics": "/conf/haptics/haptics",
-  "/conf/interact": "/conf/interact/interact",
-  "/conf/acmidc": "/conf/acmidc/idc",
-  "/conf/colcom": "/conf/colcom/colcom",
-  "/conf/cscwd": "/conf/cscwd/cscwd",
-  "/conf/coopis": "/conf/coopis/coopis",
-  "/conf/mobiquitous": "/conf/mobiquitous/mobiquitous",
-  "/conf/avi": "/conf/avi/avi",
-  "/journals/jacm": "/journals/jacm/jacm",
-  "/journals/pieee": "/journals/pieee/pieee",
-  "/journals/chinaf": "/journals/chinaf/chinaf",
-  "/journals/bioinformatics": "/journals/bioinformatics/bioinformatics",
-  "/journals/bib": "/journals/bib/bib",
-  "/journals/tase": "/journals/tase/tase",
-  "/journals/tgrs": "/journals/tgrs/tgrs",
-  "/journals/tits": "/journals/tits/tits",
-  "/journals/tmi": "/journals/tmi/tmi",
-  "/journals/trob": "/journals/trob/trob",
-  "/journals/tcbb": "/journals/tcbb/tcbb",
-  "/journals/jcst": "/journals/jcst/jcst",
-  "/journals/jamia": "/journals/jamia/jamia",
-  "/journals/ploscb": "/journals/ploscb/ploscb",
-  "/journals/cj": "/journals/cj/cj",
-  "/journals/www": "/journals/www/www",
-  "/journals/fcsc": "/journals/fcsc/fcsc",
-  "/journals/bmcbi": "/journals/bmcbi/bmcbi",
-  "/journals/cas": "/journals/cas/cas",
-  "/journals/lgrs": "/journals/lgrs/lgrs",
-  "/journals/titb": "/journals/titb/titb",
-  "/journals/tbd": "/journals/tbd/tbd",
-  "/journals/jbi": "/journals/jbi/jbi",
-  "/journals/mia": "/journals/mia/mia",
-  "/journals/tii": "/journals/tii/tii",
-  "/journals/tcps": "/journals/tcps/tcps",
-  "/journals/jeric": "/journals/jeric/jeric",
-  "/journals/jzusc": "/journals/jzusc/jzusc",
-  "/journals/tcss": "/journals/tcss/tcss",
-  "/journals/tr": "/journals/tr/tr",
-  "/conf/www": "/conf/www/www",
-  "/conf/rtss": "/conf/rtss/rtss",
-  "/conf/wine": "/conf/wine/wine",
-  "/conf/cogsci": "/conf/cogsci/cogsci",
-  "/conf/bibm": "/conf/bibm/bibm",
-  "/conf/emsoft": "/conf/emsoft/emsoft",
-  "/conf/recomb": "/conf/recomb/recomb",
-  "/conf/amia": "/conf/amia/amia",
-  "/conf/apbc": "/conf/apbc/apbc",
-  "/conf/bigdataconf": "/conf/bigdataconf/bigdataconf",
-  "/conf/IEEEcloud": "/conf/IEEEcloud/IEEEcloud",
-  "/conf/smc": "/conf/smc/smc",
-  "/conf/cosit": "/conf/cosit/cosit",
-  "/conf/isbra": "/conf/isbra/isbra",
-  "/conf/sagt": "/conf/sagt/sagt",
-  "/conf/gis": "/conf/gis/gis",
-  "/conf/icic": "/conf/icic/icic",
-  "/conf/iclr": "/conf/iclr/iclr",
-  "/journals/corr": "/journals/corr/corr",
-};
@@ -1,902 +0,0 @@
-/**
- * MIT License
- *
- * WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
- * Copyright (c) 2019-2024 All Rights Reserved.
- * ------------------------------------------------------
- * Generated by dataGen.js
- * Last updated: 2024-12-04
- */
-
-ccf.rankFullName = {
-  "/journals/tocs/tocs": "ACM Transactions on Computer Systems",
-  "/journals/tos/tos": "ACM Transactions on Storage",
-  "/journals/tcad/tcad":
-    "IEEE Transactions On Computer-Aided Design Of Integrated Circuits And System",
-  "/journals/tc/tc": "IEEE Transactions on Computers",
-  "/journals/tpds/tpds":
-    "IEEE Transactions on Parallel and Distributed Systems",
-  "/journals/taco/taco":
-    "ACM Transactions on Architecture and Code Optimization",
-  "/journals/taas/taas": "ACM Transactions on Autonomous and Adaptive Systems",
-  "/journals/todaes/todaes":
-    "ACM Transactions on Design Automation of Electronic Systems",
-  "/journals/tecs/tecs": "ACM Transactions on Embedded Computing Systems",
-  "/journals/trets/trets":
-    "ACM Transactions on Reconfigurable Technology and Systems",
-  "/journals/tvlsi/tvlsi":
-    "IEEE Transactions on Very Large Scale Integration (VLSI) Systems",
-  "/journals/jpdc/jpdc": "Journal of Parallel and Distributed Computing",
-  "/journals/jsa/jsa":
-    "Journal of Systems Architecture: Embedded Software Design",
-  "/conf/parco/parco": "Parallel Computing",
-  "/journals/pe/pe": "Performance Evaluation: An International Journal",
-  "/journals/jetc/jetc":
-    "ACM Journal on Emerging Technologies in Computing Systems",
-  "/journals/concurrency/concurrency":
-    "Concurrency and Computation: Practice and Experience",
-  "/journals/dc/dc": "Distributed Computing",
-  "/journals/fgcs/fgcs": "Future Generation Computer Systems",
-  "/journals/tcc/tcc": "IEEE Transactions on Cloud Computing",
-  "/journals/integration/integration": "Integration, the VLSI Journal",
-  "/journals/et/et": "Journal of Electronic Testing-Theory and Applications",
-  "/journals/grid/grid": "The Journal of Grid computing",
-  "/journals/rts/rts": "Real-Time Systems",
-  "/journals/tjs/tjs": "The Journal of Supercomputing",
-  "/journals/tcasI/tcasI":
-    "IEEE Transactions on Circuits and Systems I: Regular Papers",
-  "/journals/ccfthpc/ccfthpc": "CCF Transactions on High Performance Computing",
-  "/journals/tsusc/tsusc": "IEEE Transactions on Sustainable Computing",
-  "/conf/ppopp/ppopp":
-    "ACM SIGPLAN Symposium on Principles & Practice of Parallel Programming",
-  "/conf/fast/fast": "Conference on File and Storage Technologies",
-  "/conf/dac/dac": "Design Automation Conference",
-  "/conf/hpca/hpca": "High-Performance Computer Architecture",
-  "/conf/micro/micro": "IEEE/ACM International Symposium on Microarchitecture",
-  "/conf/sc/sc":
-    "International Conference for High Performance Computing, Networking, Storage, and Analysis",
-  "/conf/asplos/asplos":
-    "International Conference on Architectural Support for Programming Languages and Operating Systems",
-  "/conf/isca/isca": "International Symposium on Computer Architecture",
-  "/conf/usenix/usenix": "USENIX Annual Technical Conference",
-  "/conf/eurosys/eurosys": "European Conference on Computer Systems",
-  "/conf/cloud/socc": "ACM Symposium on Cloud Computing",
-  "/conf/spaa/spaa":
-    "ACM Symposium on Parallelism in Algorithms and Architectures",
-  "/conf/podc/podc": "ACM Symposium on Principles of Distributed Computing",
-  "/conf/fpga/fpga":
-    "ACM/SIGDA International Symposium on Field-Programmable Gate Arrays",
-  "/conf/cgo/cgo": "Code Generation and Optimization",
-  "/conf/date/date": "Design, Automation & Test in Europe",
-  "/conf/hotchips/hotchips": "ACM Symposium on High Performance Chips",
-  "/conf/cluster/cluster": "IEEE International Conference on Cluster Computing",
-  "/conf/iccd/iccd": "International Conference on Computer Design",
-  "/conf/iccad/iccad": "International Conference on Computer-Aided Design",
-  "/conf/icdcs/icdcs":
-    "International Conference on Distributed Computing Systems",
-  "/conf/codes/codes":
-    "International Conference on Hardware/Software Co-design and System Synthesis",
-  "/conf/hipeac/hipeac":
-    "International Conference on High Performance and Embedded Architectures and Compilers",
-  "/conf/sigmetrics/sigmetrics":
-    "International Conference on Measurement and Modeling of Computer Systems",
-  "/conf/IEEEpact/pact":
-    "International Conference on Parallel Architectures and Compilation Techniques",
-  "/conf/IEEEpact/IEEEpact":
-    "International Conference on Parallel Architectures and Compilation Techniques",
-  "/conf/icpp/icpp": "International Conference on Parallel Processing",
-  "/conf/ics/ics": "International Conference on Supercomputing",
-  "/conf/vee/vee": "International Conference on Virtual Execution Environments",
-  "/conf/ipps/ipdps":
-    "International Parallel & Distributed Processing Symposium",
-  "/conf/performance/performance":
-    "International Symposium on Computer Performance, Modeling, Measurements and Evaluation",
-  "/conf/hpdc/hpdc":
-    "International Symposium on High Performance Distributed Computing",
-  "/conf/itc/itc": "International Test Conference",
-  "/conf/lisa/lisa": "Large Installation system Administration Conference",
-  "/conf/mss/msst": "Mass Storage Systems and Technologies",
-  "/conf/rtas/rtas":
-    "Real-Time and Embedded Technology and Applications Symposium",
-  "/conf/europar/europar":
-    "European Conference on Parallel and Distributed Computing",
-  "/conf/cf/cf": "ACM International Conference on Computing Frontiers",
-  "/conf/systor/systor": "ACM International Systems and Storage Conference",
-  "/conf/nocs/nocs": "ACM/IEEE International Symposium on Networks-on-Chip",
-  "/conf/asap/asap":
-    "Application-Specific Systems, Architectures, and Processors",
-  "/conf/aspdac/aspdac": "Asia and South Pacific Design Automation Conference",
-  "/conf/ets/ets": "European Test Symposium",
-  "/conf/fpl/fpl": "Field Programmable Logic and Applications",
-  "/conf/fccm/fccm": "Field-Programmable Custom Computing Machines",
-  "/conf/glvlsi/glvlsi": "Great Lakes Symposium on VLSI",
-  "/conf/ats/ats": "IEEE Asian Test Symposium",
-  "/conf/hpcc/hpcc":
-    "IEEE International Conference on High Performance Computing and Communications",
-  "/conf/hipc/hipc":
-    "IEEE International Conference on High Performance Computing, Data and Analytics",
-  "/conf/mascots/mascots":
-    "IEEE International Symposium on Modeling, Analysis, and Simulation of Computer and Telecommunication Systems",
-  "/conf/ispa/ispa":
-    "IEEE International Symposium on Parallel and Distributed Processing with Applications",
-  "/conf/ccgrid/ccgrid":
-    "IEEE/ACM International Symposium on Cluster, Cloud and Grid Computing",
-  "/conf/npc/npc":
-    "IFIP International Conference on Network and Parallel Computing",
-  "/conf/ica3pp/ica3pp":
-    "International Conference on Algorithms and Architectures for Parallel Processing",
-  "/conf/cases/cases":
-    "International Conference on Compilers, Architectures, and Synthesis for Embedded Systems",
-  "/conf/icfpt/icfpt":
-    "International Conference on Field-Programmable Technology",
-  "/conf/fpt/fpt": "International Conference on Field-Programmable Technology",
-  "/conf/icpads/icpads":
-    "International Conference on Parallel and Distributed Systems",
-  "/conf/iscas/iscas": "International Symposium on Circuits and Systems",
-  "/conf/islped/islped":
-    "International Symposium on Low Power Electronics and Design",
-  "/conf/ispd/ispd": "International Symposium on Physical Design",
-  "/conf/hoti/hoti": "Symposium on High-Performance Interconnects",
-  "/conf/vts/vts": "VLSI Test Symposium",
-  "/conf/itc-asia/itc-asia": "International Test Conference in Asia",
-  "/journals/jsac/jsac": "IEEE Journal of Selected Areas in Communications",
-  "/journals/tmc/tmc": "IEEE Transactions on Mobile Computing",
-  "/journals/ton/ton": "IEEE/ACM Transactions on Networking",
-  "/journals/toit/toit": "ACM Transactions on Internet Technology",
-  "/journals/tomccap/tomccap":
-    "ACM Transactions on Multimedia Computing,Communications and Application",
-  "/journals/tosn/tosn": "ACM Transactions on Sensor Networks",
-  "/journals/cn/cn": "Computer Networks",
-  "/journals/tcom/tcom": "IEEE Transactions on Communications",
-  "/journals/twc/twc": "IEEE Transactions on Wireless Communications",
-  "/journals/adhoc/adhoc": "Ad hoc Networks",
-  "/journals/comcom/comcom": "Computer Communications",
-  "/journals/tnsm/tnsm": "IEEE Transactions on Network and Service Management",
-  "/journals/iet-com/iet-com": "IET Communications",
-  "/journals/jnca/jnca": "Journal of Network and Computer Applications",
-  "/journals/monet/monet": "Mobile Networks & Applications",
-  "/journals/networks/networks": "Networks",
-  "/journals/ppna/ppna": "Peer-to-Peer Networking and Applications",
-  "/journals/wicomm/wicomm": "Wireless Communications & Mobile Computing",
-  "/journals/winet/winet": "Wireless Networks",
-  "/journals/iotj/iotj": "IEEE Internet of Things Journal",
-  "/conf/sigcomm/sigcomm":
-    "ACM International Conference on Applications, Technologies, Architectures, and Protocols for Computer Communication",
-  "/conf/mobicom/mobicom":
-    "ACM International Conference on Mobile Computing and Networking",
-  "/conf/infocom/infocom":
-    "IEEE International Conference on Computer Communications",
-  "/conf/nsdi/nsdi": "Symposium on Network System Design and Implementation",
-  "/conf/sensys/sensys": "ACM Conference on Embedded Networked Sensor Systems",
-  "/conf/conext/conext":
-    "ACM International Conference on emerging Networking EXperiments and Technologies",
-  "/conf/secon/secon":
-    "IEEE Communications Society Conference on Sensor and Ad Hoc Communications and Networks",
-  "/conf/ipsn/ipsn":
-    "International Conference on Information Processing in Sensor Networks",
-  "/conf/mobisys/mobisys":
-    "International Conference on Mobile Systems, Applications, and Services",
-  "/conf/icnp/icnp": "International Conference on Network Protocols",
-  "/conf/mobihoc/mobihoc":
-    "International Symposium on Mobile Ad Hoc Networking and Computing",
-  "/conf/nossdav/nossdav":
-    "International Workshop on Network and Operating System Support for Digital Audio and Video",
-  "/conf/iwqos/iwqos": "International Workshop on Quality of Service",
-  "/conf/imc/imc": "Internet Measurement Conference",
-  "/conf/ancs/ancs": "Architectures for Networking and Communications Systems",
-  "/conf/apnoms/apnoms":
-    "Asia-Pacific Network Operations and Management Symposium",
-  "/conf/forte/forte":
-    "Formal Techniques for Networked and Distributed Systems",
-  "/conf/lcn/lcn": "IEEE Conference on Local Computer Networks",
-  "/conf/globecom/globecom": "IEEE Global Communications Conference",
-  "/conf/icc/icc": "IEEE International Conference on Communications",
-  "/conf/icccn/icccn":
-    "IEEE International Conference on Computer Communications and Networks",
-  "/conf/mass/mass":
-    "IEEE International Conference on Mobile Ad-hoc and Sensor Systems",
-  "/conf/p2p/p2p": "IEEE International Conference on P2P Computing",
-  "/conf/ipccc/ipccc":
-    "IEEE International Performance Computing and Communications Conference",
-  "/conf/wowmom/wowmom":
-    "IEEE International Symposium on a World of Wireless Mobile and Multimedia Networks",
-  "/conf/iscc/iscc": "IEEE Symposium on Computers and Communications",
-  "/conf/wcnc/wcnc": "IEEE Wireless Communications & Networking Conference",
-  "/conf/networking/networking": "IFIP International Conferences on Networking",
-  "/conf/im/im":
-    "IFIP/IEEE International Symposium on Integrated Network Management",
-  "/conf/msn/msn":
-    "International Conference on Mobile Ad-hoc and Sensor Networks",
-  "/conf/mswim/mswim":
-    "International Conference on Modeling, Analysis and Simulation of Wireless and Mobile Systems",
-  "/conf/wasa/wasa":
-    "International Conference on Wireless Algorithms, Systems, and Applications",
-  "/conf/hotnets/hotnets": "The Workshop on Hot Topics in Networks",
-  "/conf/apnet/apnet": "Asia-Pacific Workshop on Networking",
-  "/journals/tdsc/tdsc": "IEEE Transactions on Dependable and Secure Computing",
-  "/journals/tifs/tifs":
-    "IEEE Transactions on Information Forensics and Security",
-  "/journals/joc/joc": "Journal of Cryptology",
-  "/journals/tissec/tissec": "ACM Transactions on Privacy and Security",
-  "/journals/compsec/compsec": "Computers & Security",
-  "/journals/dcc/dcc": "Designs, Codes and Cryptography",
-  "/journals/jcs/jcs": "Journal of Computer Security",
-  "/journals/clsr/clsr": "Computer Law and Security Review",
-  "/journals/ejisec/ejisec": "EURASIP Journal on Information Security",
-  "/journals/iet-ifs/iet-ifs": "IET Information Security",
-  "/journals/imcs/imcs": "Information Management & Computer Security",
-  "/journals/ijics/ijics":
-    "International Journal of Information and Computer Security",
-  "/journals/ijisp/ijisp":
-    "International Journal of Information Security and Privacy",
-  "/journals/istr/istr": "Journal of Information Security and Application",
-  "/journals/scn/scn": "Security and Communication Networks",
-  "/journals/cybersec/cybersec": "Cybersecurity",
-  "/conf/ccs/ccs": "ACM Conference on Computer and Communications Security",
-  "/conf/eurocrypt/eurocrypt": "European Cryptology Conference",
-  "/conf/sp/sp": "IEEE Symposium on Security and Privacy",
-  "/conf/crypto/crypto": "International Cryptology Conference",
-  "/conf/uss/uss": "Usenix Security Symposium",
-  "/conf/ndss/ndss": "ISOC Network and Distributed System Security Symposium",
-  "/conf/acsac/acsac": "Annual Computer Security Applications Conference",
-  "/conf/asiacrypt/asiacrypt":
-    "Annual International Conference on the Theory and Application of Cryptology and Information Security",
-  "/conf/esorics/esorics":
-    "European Symposium on Research in Computer Security",
-  "/conf/fse/fse": "Fast Software Encryption",
-  "/conf/csfw/csfw": "IEEE Computer Security Foundations Workshop",
-  "/conf/srds/srds":
-    "IEEE International Symposium on Reliable Distributed Systems",
-  "/conf/ches/ches":
-    "International Conference on Cryptographic Hardware and Embedded Systems",
-  "/conf/dsn/dsn":
-    "International Conference on Dependable Systems and Networks",
-  "/conf/raid/raid":
-    "International Symposium on Recent Advances in Intrusion Detection",
-  "/conf/pkc/pkc":
-    "International Workshop on Practice and Theory in Public Key Cryptography",
-  "/conf/tcc/tcc": "Theory of Cryptography Conference",
-  "/conf/wisec/wisec":
-    "ACM Conference on Security and Privacy in Wireless and Mobile Networks",
-  "/conf/sacmat/sacmat":
-    "ACM Symposium on Access Control Models and Technologies",
-  "/conf/drm/drm": "ACM Workshop on Digital Rights Management",
-  "/conf/ih/ihmmsec":
-    "ACM Workshop on Information Hiding and Multimedia Security",
-  "/conf/ih/ih": "ACM Workshop on Information Hiding and Multimedia Security",
-  "/conf/acns/acns": "Applied Cryptography and Network Security",
-  "/conf/ccs/asiaccs":
-    "Asia Conference on Computer and Communications Security",
-  "/conf/asiaccs/asiaccs":
-    "Asia Conference on Computer and Communications Security",
-  "/conf/acisp/acisp": "AustralasiaConferenceonInformation SecurityandPrivacy",
-  "/conf/ctrsa/ctrsa": "RSA Conference, Cryptographers' Track",
-  "/conf/dimva/dimva":
-    "Detection of Intrusions and Malware &Vulnerability Assessment",
-  "/conf/dfrws/dfrws": "Digital Forensic Research Workshop",
-  "/conf/fc/fc": "Financial Cryptography and Data Security",
-  "/conf/trustcom/trustcom":
-    "IEEE International Conference on Trust,Security and Privacy in Computing and Communications",
-  "/conf/sec/sec": "IFIP International Information Security Conference",
-  "/conf/ifip11-9/df":
-    "IFIP WG 11.9 International Conference on Digital Forensics",
-  "/conf/isw/isc": "Information Security Conference",
-  "/conf/isw/isw": "Information Security Conference",
-  "/conf/icdf2c/icdf2c":
-    "International Conference on Digital Forensics & Cyber Crime",
-  "/conf/icics/icics":
-    "International Conference on Information and Communications Security",
-  "/conf/securecomm/securecomm":
-    "International Conference on Security and Privacy in Communication Networks",
-  "/conf/nspw/nspw": "New Security Paradigms Workshop",
-  "/conf/pam/pam": "Passive and Active Measurement Conference",
-  "/conf/pet/pets": "Privacy Enhancing Technologies Symposium",
-  "/conf/pet/pet": "Privacy Enhancing Technologies Symposium",
-  "/conf/sacrypt/sacrypt": "Selected Areas in Cryptography",
-  "/conf/soups/soups": "Symposium On Usable Privacy and Security",
-  "/conf/uss/hotsec": "USENIX Workshop on Hot Topics in Security",
-  "/conf/eurosp/eurosp": "IEEE European Symposium on Security and Privacy",
-  "/conf/icisc/icisc":
-    "International Conference on Information Security and Cryptology",
-  "/journals/toplas/toplas":
-    "ACM Transactions on Programming Languages & Systems",
-  "/journals/tosem/tosem":
-    "ACM Transactions on Software Engineering and Methodology",
-  "/journals/tse/tse": "IEEE Transactions on Software Engineering",
-  "/journals/tsc/tsc": "IEEE Transactions on Service Computing",
-  "/journals/ase/ase": "Automated Software Engineering",
-  "/journals/ese/ese": "Empirical Software Engineering",
-  "/journals/iee/iee-s": "IET Software",
-  "/journals/infsof/infsof": "Information and Software Technology",
-  "/journals/jfp/jfp": "Journal of Functional Programming",
-  "/journals/smr/smr": "Journal of Software: Evolution and Process",
-  "/journals/jss/jss": "Journal of Systems and Software",
-  "/journals/re/re": "Requirements Engineering",
-  "/journals/scp/scp": "Science of Computer Programming",
-  "/journals/sosym/sosym": "Software and System Modeling",
-  "/journals/stvr/stvr": "Software Testing, Verification and Reliability",
-  "/journals/spe/spe": "Software: Practice and Experience",
-  "/journals/cl/cl": "Computer Languages, Systems and Structures",
-  "/journals/ijseke/ijseke":
-    "International Journal on Software Engineering and Knowledge Engineering",
-  "/journals/sttt/sttt":
-    "International Journal on Software Tools for Technology Transfer",
-  "/journals/jlap/jlap": "Journal of Logic and Algebraic Programming",
-  "/journals/jlp/jlp": "Journal of Logic and Algebraic Programming",
-  "/journals/jwe/jwe": "Journal of Web Engineering",
-  "/journals/soca/soca": "Service Oriented Computing and Applications",
-  "/journals/sqj/sqj": "Software Quality Journal",
-  "/journals/tplp/tplp": "Theory and Practice of Logic Programming",
-  "/journals/pacmpl/pacmpl": "Proceedings of the ACM on Programming Languages",
-  "/conf/pldi/pldi":
-    "ACM SIGPLAN Symposium on Programming Language Design & Implementation",
-  "/conf/popl/popl":
-    "ACM SIGPLAN-SIGACT Symposium on Principles of Programming Languages",
-  undefined:
-    "ACM International Conference on the Foundations of Software Engineering",
-  "/conf/sigsoft/fse":
-    "ACM SIGSOFT Symposium on the Foundation of Software Engineering/European Software Engineering Conference",
-  "/conf/sosp/sosp": "ACM Symposium on Operating Systems Principles",
-  "/conf/oopsla/oopsla":
-    "Conference on Object-Oriented Programming Systems, Languages,and Applications",
-  "/conf/kbse/ase":
-    "International Conference on Automated Software Engineering",
-  "/conf/kbse/kbse":
-    "International Conference on Automated Software Engineering",
-  "/conf/icse/icse": "International Conference on Software Engineering",
-  "/conf/issta/issta":
-    "International Symposium on Software Testing and Analysis",
-  "/conf/osdi/osdi":
-    "USENIX Symposium on Operating Systems Design and Implementations",
-  "/conf/fm/fm": "International Symposium on Formal Methods",
-  "/conf/ecoop/ecoop": "European Conference on Object-Oriented Programming",
-  "/conf/esop/esop":
-    "European Joint Conferences on Theory and Practice of Software",
-  "/conf/fase/fase":
-    "European Joint Conferences on Theory and Practice of Software",
-  "/conf/fossacs/fossacs":
-    "European Joint Conferences on Theory and Practice of Software",
-  "/conf/tacas/tacas":
-    "European Joint Conferences on Theory and Practice of Software",
-  "/conf/post/post":
-    "European Joint Conferences on Theory and Practice of Software",
-  "/conf/spin/spin":
-    "International SPIN Workshop on Model Checking of Software",
-  "/conf/iwpc/icpc": "IEEE International Conference on Program Comprehension",
-  "/conf/iwpc/iwpc": "IEEE International Conference on Program Comprehension",
-  "/conf/re/re": "IEEE International Requirement Engineering Conference",
-  "/conf/icre/icre": "IEEE International Requirement Engineering Conference",
-  "/conf/caise/caise":
-    "International Conference on Advanced Information Systems Engineering",
-  "/conf/icfp/icfp": "International Conference on Function Programming",
-  "/conf/lctrts/lctes":
-    "International Conference on Languages,Compilers, Tools and Theory for Embedded Systems",
-  "/conf/models/models":
-    "International Conference on Model Driven Engineering Languages and Systems",
-  "/conf/cp/cp":
-    "International Conference on Principles and Practice of Constraint Programming",
-  "/conf/icsoc/icsoc": "International Conference on Service Oriented Computing",
-  "/conf/wcre/saner":
-    "International Conference on Software Analysis, Evolution, and Reengineering",
-  "/conf/wcre/wcre":
-    "International Conference on Software Analysis, Evolution, and Reengineering",
-  "/conf/icsm/icsme":
-    "International Conference on Software Maintenance and Evolution",
-  "/conf/icsm/icsm":
-    "International Conference on Software Maintenance and Evolution",
-  "/conf/vmcai/vmcai":
-    "International Conference on Verification,Model Checking, and Abstract Interpretation",
-  "/conf/icws/icws": "International Conference on Web Services(Research Track)",
-  "/conf/middleware/middleware": "International Middleware Conference",
-  "/conf/sas/sas": "International Static Analysis Symposium",
-  "/conf/esem/esem":
-    "International Symposium on Empirical Software Engineering and Measurement",
-  "/conf/issre/issre":
-    "International Symposium on Software Reliability Engineering",
-  "/conf/hotos/hotos": "USENIX Workshop on Hot Topics in Operating Systems",
-  "/conf/pepm/pepm":
-    "ACM SIGPLAN Workshop on Partial Evaluation and Program Manipulation",
-  "/conf/paste/paste":
-    "ACMSIGPLAN-SIGSOFT Workshop on Program Analysis for Software Tools and Engineering",
-  "/conf/aplas/aplas": "Asian Symposium on Programming Languages and Systems",
-  "/conf/apsec/apsec": "Asia-Pacific Software Engineering Conference",
-  "/conf/ease/ease": "Evaluation and Assessment in Software Engineering",
-  "/conf/iceccs/iceccs":
-    "IEEE International Conference on Engineering of Complex Computer Systems",
-  "/conf/icst/icst":
-    "IEEE International Conference on Software Testing, Verification and Validation",
-  "/conf/ispass/ispass":
-    "IEEE International Symposium on Performance Analysis of Systems and Software",
-  "/conf/scam/scam":
-    "IEEE International Working Conference on Source Code Analysis and Manipulation",
-  "/conf/compsac/compsac":
-    "International Computer Software and Applications Conference",
-  "/conf/icfem/icfem": "International Conference on Formal Engineering Methods",
-  "/conf/tools/tools":
-    "International Conference on Objects, Models, Components, Patterns",
-  "/conf/qsic/qsic": "International Conference on Quality Software",
-  "/conf/IEEEscc/scc": "International Conference on Service Computing",
-  "/conf/ispw/icssp": "International Conference on Software and System Process",
-  "/conf/ispw/icsp": "International Conference on Software and System Process",
-  "/conf/seke/seke":
-    "International Conference on Software Engineering and Knowledge Engineering",
-  "/conf/qrs/qrs":
-    "International Conference on Software Quality, Reliability and Security",
-  "/conf/icsr/icsr": "International Conference on Software Reuse",
-  "/conf/icwe/icwe": "International Conference on Web Engineering",
-  "/conf/atva/atva":
-    "International Symposium on Automated Technology for Verification and Analysis",
-  "/conf/lopstr/lopstr":
-    "International Symposium on Logic-based Program Synthesis and Transformation",
-  "/conf/tase/tase":
-    "International Symposium on Theoretical Aspects of Software Engineering",
-  "/conf/msr/msr": "Mining Software Repositories",
-  "/conf/refsq/refsq":
-    "Requirements Engineering: Foundation for Software Quality",
-  "/conf/wicsa/wicsa": "Working IEEE/IFIP Conference on Software Architecture",
-  "/conf/internetware/internetware":
-    "The Asia-Pacific Symposium on Internetware",
-  "/conf/rv/rv": "International Conference on Runtime Verification",
-  "/journals/tods/tods": "ACM Transactions on Database Systems",
-  "/journals/tois/tois": "ACM Transactions on Information Systems",
-  "/journals/tkde/tkde": "IEEE Transactions on Knowledge and Data Engineering",
-  "/journals/vldb/vldb": "The VLDB Journal",
-  "/journals/tkdd/tkdd": "ACM Transactions on Knowledge Discovery from Data",
-  "/journals/tweb": "ACM Transactions on the Web",
-  "/journals/aei/aei": "Advanced Engineering Informatics",
-  "/journals/dke/dke": "Data and Knowledge Engineering",
-  "/journals/datamine/datamine": "Data Mining and Knowledge Discovery",
-  "/journals/ejis/ejis": "European Journal of Information Systems",
-  "/journals/geoinformatica/geoinformatica": "GeoInformatica",
-  "/journals/ipm/ipm": "Information Processing and Management",
-  "/journals/isci/isci": "Information Sciences",
-  "/journals/is/is": "Information Systems",
-  "/journals/jasis/jasis":
-    "Journal of the American Society for Information Science and Technology",
-  "/journals/ws/ws": "Journal of Web Semantics",
-  "/journals/kais/kais": "Knowledge and Information Systems",
-  "/journals/dpd/dpd": "Distributed and Parallel Databases",
-  "/journals/iam/iam": "Information and Management",
-  "/journals/ipl/ipl": "Information Processing Letters",
-  "/journals/ir/ir": "Information Retrieval Journal",
-  "/journals/ijcis/ijcis":
-    "International Journal of Cooperative Information Systems",
-  "/journals/gis/gis":
-    "International Journal of Geographical Information Science",
-  "/journals/ijis/ijis": "International Journal of Intelligent Systems",
-  "/journals/ijkm/ijkm": "International Journal of Knowledge Management",
-  "/journals/ijswis/ijswis":
-    "International Journal on Semantic Web and Information Systems",
-  "/journals/jcis/jcis": "Journal of Computer Information Systems",
-  "/journals/jdm/jdm": "Journal of Database Management",
-  "/journals/jiis/jiis": "Journal of Intelligent Information Systems",
-  "/journals/jsis/jsis": "Journal of Strategic Information Systems",
-  "/journals/dase/dase": "Data Science and Engineering",
-  "/conf/sigmod/sigmod": "ACM Conference on Management of Data",
-  "/conf/kdd/kdd": "ACM Knowledge Discovery and Data Mining",
-  "/conf/icde/icde": "IEEE International Conference on Data Engineering",
-  "/conf/sigir/sigir":
-    "International Conference on Research on Development in Information Retrieval",
-  "/conf/vldb/vldb": "International Conference on Very Large Data Bases",
-  "/journals/pvldb/pvldb": "International Conference on Very Large Data Bases",
-  "/conf/cikm/cikm":
-    "ACM International Conference on Information and Knowledge Management",
-  "/conf/wsdm/wsdm":
-    "ACM International Conference on Web Search and Data Mining",
-  "/conf/pods/pods": "ACM Symposium on Principles of Database Systems",
-  "/conf/dasfaa/dasfaa": "Database Systems for Advanced Applications",
-  "/conf/pkdd/pkdd":
-    "European Conference on Machine Learning and Principles and Practice of Knowledge Discovery in Databases",
-  "/conf/semweb/iswc": "IEEE International Semantic Web Conference",
-  "/conf/icdm/icdm": "International Conference on Data Mining",
-  "/conf/icdt/icdt": "International Conference on Database Theory",
-  "/conf/edbt/edbt": "International Conference on Extending DB Technology",
-  "/conf/cidr/cidr":
-    "International Conference on Innovative Data Systems Research",
-  "/conf/sdm/sdm": "SIAM International Conference on Data Mining",
-  "/conf/recsys/recsys": "ACM Conference on Recommender Systems",
-  "/conf/apweb/apweb": "Asia Pacific Web Conference",
-  "/conf/dexa/dexa": "Database and Expert System Applications",
-  "/conf/ecir/ecir": "European Conference on IR Research",
-  "/conf/esws/eswc": "Extended Semantic Web Conference",
-  "/conf/webdb/webdb": "International ACM Workshop on Web and Databases",
-  "/conf/er/er": "International Conference on Conceptual Modeling",
-  "/conf/mdm/mdm": "International Conference on Mobile Data Management",
-  "/conf/ssdbm/ssdbm":
-    "International Conference on Scientific and Statistical DB Management",
-  "/conf/waim/waim":
-    "International Conference on Web Age Information Management",
-  "/conf/ssd/sstd": "International Symposium on Spatial and Temporal Databases",
-  "/conf/pakdd/pakdd":
-    "Pacific-Asia Conference on Knowledge Discovery and Data Mining",
-  "/conf/wise/wise": "Web Information Systems Engineering",
-  "/conf/adma/adma":
-    "The International Conference on Advanced Data Mining and Applications",
-  "/journals/tit/tit": "IEEE Transactions on Information Theory",
-  "/journals/iandc/iandc": "Information and Computation",
-  "/journals/siamcomp/siamcomp": "SIAM Journal on Computing",
-  "/journals/talg/talg": "ACM Transactions on Algorithms",
-  "/journals/tocl/tocl": "ACM Transactions on Computational Logic",
-  "/journals/toms/toms": "ACM Transactions on Mathematical Software",
-  "/journals/algorithmica/algorithmica": "Algorithmica",
-  "/journals/cc/cc": "Computational complexity",
-  "/journals/fac/fac": "Formal Aspects of Computing",
-  "/journals/fmsd/fmsd": "Formal Methods in System Design",
-  "/journals/informs/informs": "INFORMS Journal on Computing",
-  "/journals/jcss/jcss": "Journal of Computer and System Sciences",
-  "/journals/jgo/jgo": "Journal of Global Optimization",
-  "/journals/jsc/jsc": "Journal of Symbolic Computation",
-  "/journals/mscs/mscs": "Mathematical Structures in Computer Science",
-  "/journals/tcs/tcs": "Theoretical Computer Science",
-  "/journals/acta/acta": "Acta Informatica",
-  "/journals/apal/apal": "Annals of Pure and Applied Logic",
-  "/journals/dam/dam": "Discrete Applied Mathematics",
-  "/journals/fuin/fuin": "Fundamenta Informaticae",
-  "/journals/lisp/lisp": "Higher-Order and Symbolic Computation",
-  "/journals/jc/jc": "Journal of Complexity",
-  "/journals/logcom/logcom": "Journal of Logic and Computation",
-  "/journals/jsyml/jsyml": "Journal of Symbolic Logic",
-  "/journals/lmcs/lmcs": "Logical Methods in Computer Science",
-  "/journals/siamdm/siamdm": "SIAM Journal on Discrete Mathematics",
-  "/journals/mst/mst": "Theory of Computing Systems",
-  "/conf/stoc/stoc": "ACM Symposium on Theory of Computing",
-  "/conf/soda/soda": "ACM-SIAM Symposium on Discrete Algorithms",
-  "/conf/cav/cav": "Computer Aided Verification",
-  "/conf/focs/focs": "IEEE Annual Symposium on Foundations of Computer Science",
-  "/conf/lics/lics": "IEEE Symposium on Logic in Computer Science",
-  "/conf/compgeom/compgeom": "ACM Symposium on Computational Geometry",
-  "/conf/esa/esa": "European Symposium on Algorithms",
-  "/conf/coco/coco": "IEEE Conference on Computational Complexity",
-  "/conf/icalp/icalp":
-    "International Colloquium on Automata, Languages and Programming",
-  "/conf/cade/ijcar":
-    "International Conference on Automated Deduction/International Joint Conference on Automated Reasoning",
-  "/conf/cade/cade":
-    "International Conference on Automated Deduction/International Joint Conference on Automated Reasoning",
-  "/conf/concur/concur": "International Conference on Concurrency Theory",
-  "/conf/hybrid/hscc":
-    "International Conference on Hybrid Systems: Computation and Control",
-  "/conf/sat/sat": "Theory and Applications of Satisfiability Testing",
-  "/conf/cocoon/cocoon": "International Computing and Combinatorics Conference",
-  "/conf/csl/csl": "Computer Science Logic",
-  "/conf/fmcad/fmcad": "Formal Method in Computer-Aided Design",
-  "/conf/fsttcs/fsttcs":
-    "Foundations of Software Technology and Theoretical Computer Science",
-  "/conf/dsaa/dsaa":
-    "IEEE International Conference on Data Science and Advanced Analytics",
-  "/conf/ictac/ictac":
-    "International Colloquium on Theoretical Aspects of Computing",
-  "/conf/ipco/ipco":
-    "International Conference on Integer Programming and Combinatorial Optimization",
-  "/conf/rta/rta":
-    "International Conference on Rewriting Techniques and Applications",
-  "/conf/isaac/isaac": "International Symposium on Algorithms and Computation",
-  "/conf/mfcs/mfcs": "Mathematical Foundations of Computer Science",
-  "/conf/stacs/stacs": "Symposium on Theoretical Aspects of Computer Science",
-  "/conf/setta/setta":
-    "International Symposium on Dependable Software Engineering: Theories, Tools, and Applications",
-  "/journals/tog/tog": "ACM Transactions on Graphics",
-  "/journals/tip/tip": "IEEE Transactions on Image Processing",
-  "/journals/tvcg/tvcg":
-    "IEEE Transactions on Visualization and Computer Graphics",
-  "/journals/cagd/cagd": "Computer Aided Geometric Design",
-  "/journals/cgf/cgf": "Eurographics Conference on Visualization",
-  "/journals/cad/cad": "Computer-Aided Design",
-  "/journals/cvgip/cvgip": "Graphical Models",
-  "/journals/tcsv/tcsv":
-    "IEEE Transactions on Circuits and Systems for Video Technology",
-  "/journals/tmm/tmm": "IEEE Transactions on Multimedia",
-  "/journals/siamis/siamis": "SIAM Journal on Imaging Sciences",
-  "/journals/speech/speech": "Speech Communication",
-  "/journals/comgeo/comgeo": "Computational Geometry: Theory and Applications",
-  "/journals/jvca/jvca": "Computer Animation and Virtual Worlds",
-  "/journals/cg/cg": "Computers & Graphics",
-  "/journals/dcg/dcg": "Discrete & Computational Geometry",
-  "/journals/spl/spl": "IEEE Signal Processing Letters",
-  "/journals/iet-ipr/iet-ipr": "IET Image Processing",
-  "/journals/jvcir/jvcir":
-    "Journal of Visual Communication and Image Representation",
-  "/journals/mms/mms": "Multimedia Systems",
-  "/journals/mta/mta": "Multimedia Tools and Applications",
-  "/journals/sigpro/sigpro": "Signal Processing",
-  "/journals/spic/spic": "Signal Processing: Image Communication",
-  "/journals/vc/vc": "The Visual Computer",
-  "/journals/cvm/cvm": "Computational Visual Media",
-  "/conf/mm/mm": "ACM International Conference on Multimedia",
-  "/conf/siggraph/siggraph": "ACM SIGGRAPH Annual Conference",
-  "/conf/vr/vr": "IEEE Virtual Reality",
-  "/conf/visualization/visualization": "IEEE Visualization Conference",
-  "/conf/mir/icmr":
-    "ACM SIGMM International Conference on Multimedia Retrieval",
-  "/conf/mir/mir": "ACM SIGMM International Conference on Multimedia Retrieval",
-  "/conf/si3d/si3d": "ACM Symposium on Interactive 3D Graphics",
-  "/conf/sca/sca": "ACM/Eurographics Symposium on Computer Animation",
-  "/conf/dcc/dcc": "Data Compression Conference",
-  "/conf/sgp/sgp": "Eurographics Symposium on Geometry Processing",
-  "/conf/rt/dl": "Eurographics Symposium on Rendering",
-  "/conf/rt/eii": "Eurographics Symposium on Rendering",
-  "/conf/icassp/icassp":
-    "IEEE International Conference on Acoustics,Speech and SP",
-  "/conf/icmcs/icme": "IEEE International Conference on Multimedia& Expo",
-  "/conf/ismar/ismar": "International Symposium on Mixed and Augmented Reality",
-  "/conf/pg/pg":
-    "Pacific Graphics: The Pacific Conference on Computer Graphics and Applications",
-  "/conf/sma/spm": "Symposium on Solid and Physical Modeling",
-  "/conf/sma/sma": "Symposium on Solid and Physical Modeling",
-  "/conf/miccai/miccai":
-    "International Conference on Medical Image Computing and Computer-Assisted Intervention",
-  "/conf/vrst/vrst": "ACM Symposium on Virtual Reality Software and Technology",
-  "/conf/ca/casa": "Computer Animation and Social Agents",
-  "/conf/cgi/cgi": "Computer Graphics International",
-  "/conf/interspeech/interspeech":
-    "Conference of the International SpeechCommunication Association",
-  "/conf/gmp/gmp": "Geometric Modeling and Processing",
-  "/conf/apvis/pacificvis": "IEEE Pacific Visualization Symposium",
-  "/conf/apvis/apvis": "IEEE Pacific Visualization Symposium",
-  "/conf/3dim/3dim": "International Conference on 3D Vision",
-  "/conf/cadgraphics/cadgraphics":
-    "International Conference on Computer-Aided Design and Computer Graphics",
-  "/conf/icip/icip": "International Conference on Image Processing",
-  "/conf/mmm/mmm": "International Conference on Multimedia Modeling",
-  "/conf/pcm/pcm": "Pacific-Rim Conference on Multimedia",
-  "/conf/smi/smi": "Shape Modeling International",
-  "/conf/cvm/cvm": "Computational Visual Media",
-  "/conf/prcv/prcv":
-    "Chinese Conference on Pattern Recognition and Computer Vision",
-  "/journals/ai/ai": "Artificial Intelligence",
-  "/journals/pami/pami":
-    "IEEE Trans on Pattern Analysis and Machine Intelligence",
-  "/journals/ijcv/ijcv": "International Journal of Computer Vision",
-  "/journals/jmlr/jmlr": "Journal of Machine Learning Research",
-  "/journals/tap/tap": "ACM Transactions on Applied Perception",
-  "/journals/tslp/tslp": "ACM Transactions on Speech and Language Processing",
-  "/journals/aamas/aamas": "Autonomous Agents and Multi-Agent Systems",
-  "/journals/coling/coling": "Computational Linguistics",
-  "/journals/cviu/cviu": "Computer Vision and Image Understanding",
-  "/journals/ec/ec": "Evolutionary Computation",
-  "/journals/taffco/taffco": "IEEE Transactions on Affective Computing",
-  "/journals/taslp/taslp":
-    "IEEE Transactions on Audio, Speech, and Language Processing",
-  "/journals/tcyb/tcyb": "IEEE Transactions on Cybernetics",
-  "/journals/tsmc/tsmcb": "IEEE Transactions on Cybernetics",
-  "/journals/tec/tec": "IEEE Transactions on Evolutionary Computation",
-  "/journals/tfs/tfs": "IEEE Transactions on Fuzzy Systems",
-  "/journals/tnn/tnn":
-    "IEEE Transactions on Neural Networks and learning systems",
-  "/journals/ijar/ijar": "International Journal of Approximate Reasoning",
-  "/journals/jair/jair": "Journal of Artificial Intelligence Research",
-  "/journals/jar/jar": "Journal of Automated Reasoning",
-  "/journals/ml/ml": "Machine Learning",
-  "/journals/neco/neco": "Neural Computation",
-  "/journals/nn/nn": "Neural Networks",
-  "/journals/pr/pr": "Pattern Recognition",
-  "/journals/tacl/tacl":
-    "Transactions of the Association for Computational Linguistics",
-  "/journals/talip/talip":
-    "ACM Transactions on Asian and Low-Resource Language Information Processing",
-  "/journals/apin/apin": "Applied Intelligence",
-  "/journals/artmed/artmed": "Artificial Intelligence in Medicine",
-  "/journals/alife/alife": "Artificial Life",
-  "/journals/ci/ci": "Computational Intelligence",
-  "/journals/csl/csl": "Computer Speech and Language",
-  "/journals/connection/connection": "Connection Science",
-  "/journals/dss/dss": "Decision Support Systems",
-  "/journals/eaai/eaai": "Engineering Applications of Artificial Intelligence",
-  "/journals/es/es": "Expert Systems",
-  "/journals/eswa/eswa": "Expert Systems with Applications",
-  "/journals/fss/fss": "Fuzzy Sets and Systems",
-  "/journals/tciaig/tciaig": "IEEE Transactions on Games",
-  "/journals/iet-cvi/iet-cvi": "IET Computer Vision",
-  "/journals/iet-spr/iet-spr": "IET Signal Processing",
-  "/journals/ivc/ivc": "Image and Vision Computing",
-  "/journals/ida/ida": "Intelligent Data Analysis",
-  "/journals/ijcia/ijcia":
-    "International Journal of Computational Intelligence and Applications",
-  "/journals/ijns/ijns": "International Journal of Neural Systems",
-  "/journals/ijprai/ijprai":
-    "International Journal of Pattern Recognition and Artificial Intelligence",
-  "/journals/ijufks/ijufks":
-    "International Journal of Uncertainty, Fuzziness and Knowledge-Based System",
-  "/journals/ijdar/ijdar":
-    "International Journal on Document Analysis and Recognition",
-  "/journals/jetai/jetai":
-    "Journal of Experimental and Theoretical Artificial Intelligence",
-  "/journals/kbs/kbs": "Knowledge-Based Systems",
-  "/journals/mt/mt": "Machine Translation",
-  "/journals/mva/mva": "Machine Vision and Applications",
-  "/journals/nc/nc": "Natural Computing",
-  "/journals/nle/nle": "Natural Language Engineering",
-  "/journals/nca/nca": "Neural Computing & Applications",
-  "/journals/npl/npl": "Neural Processing Letters",
-  "/journals/ijon/ijon": "Neurocomputing",
-  "/journals/paa/paa": "Pattern Analysis and Applications",
-  "/journals/prl/prl": "Pattern Recognition Letters",
-  "/journals/soco/soco": "Soft Computing",
-  "/journals/wias/wias": "Web Intelligence",
-  "/journals/tiis/tiis": "ACM Transactions on Interactive Intelligent Systems",
-  "/conf/aaai/aaai": "AAAI Conference on Artificial Intelligence",
-  "/conf/nips/neurips":
-    "Annual Conference on Neural Information Processing Systems",
-  "/conf/nips/nips":
-    "Annual Conference on Neural Information Processing Systems",
-  "/conf/acl/acl":
-    "Annual Meeting of the Association for Computational Linguistics",
-  "/conf/cvpr/cvpr":
-    "IEEE Conference on Computer Vision and Pattern Recognition",
-  "/conf/iccv/iccv": "International Conference on Computer Vision",
-  "/conf/icml/icml": "International Conference on Machine Learning",
-  "/conf/ijcai/ijcai":
-    "International Joint Conference on Artificial Intelligence",
-  "/conf/colt/colt": "Annual Conference on Computational Learning Theory",
-  "/conf/emnlp/emnlp":
-    "Conference on Empirical Methods in Natural Language Processing",
-  "/conf/ecai/ecai": "European Conference on Artificial Intelligence",
-  "/conf/eccv/eccv": "European Conference on Computer Vision",
-  "/conf/icra/icra": "IEEE International Conference on Robotics and Automation",
-  "/conf/aips/icaps":
-    "International Conference on Automated Planning and Scheduling",
-  "/conf/iccbr/iccbr":
-    "International Conference on Case-Based Reasoning and Development",
-  "/conf/coling/coling":
-    "International Conference on Computational Linguistics",
-  "/conf/kr/kr":
-    "International Conference on Principles of Knowledge Representation and Reasoning",
-  "/conf/uai/uai":
-    "International Conference on Uncertainty in Artificial Intelligence",
-  "/conf/atal/aamas":
-    "International Joint Conference on Autonomous Agents and Multi-agent Systems",
-  "/conf/ppsn/ppsn": "Parallel Problem Solving from Nature",
-  "/conf/naacl/naacl":
-    "The Annual Conference of the North American Chapter of the Association for Computational Linguistics",
-  "/conf/aistats/aistats": "Artificial Intelligence and Statistics",
-  "/conf/accv/accv": "Asian Conference on Computer Vision",
-  "/conf/acml/acml": "Asian Conference on Machine Learning",
-  "/conf/bmvc/bmvc": "British Machine Vision Conference",
-  "/conf/nlpcc/nlpcc":
-    "CCF International Conference on Natural Language Processing and Chinese Computing",
-  "/conf/conll/conll": "Conference on Computational Natural Language Learning",
-  "/conf/gecco/gecco": "Genetic and Evolutionary Computation Conference",
-  "/conf/ictai/ictai":
-    "IEEE International Conference on Tools with Artificial Intelligence",
-  "/conf/iros/iros":
-    "IEEERSJ International Conference on Intelligent Robots and Systems",
-  "/conf/alt/alt": "International Conference on Algorithmic Learning Theory",
-  "/conf/icann/icann": "International Conference on Artificial Neural Networks",
-  "/conf/fgr/fg":
-    "International Conference on Automatic Face and Gesture Recognition",
-  "/conf/icdar/icdar":
-    "International Conference on Document Analysis and Recognition",
-  "/conf/ilp/ilp": "International Conference on Inductive Logic Programming",
-  "/conf/ksem/ksem":
-    "International conference on Knowledge Science,Engineering and Management",
-  "/conf/iconip/iconip":
-    "International Conference on Neural Information Processing",
-  "/conf/icpr/icpr": "International Conference on Pattern Recognition",
-  "/conf/icb/icb": "International Joint Conference on Biometrics",
-  "/conf/ijcnn/ijcnn": "International Joint Conference on Neural Networks",
-  "/conf/pricai/pricai":
-    "Pacific Rim International Conference on Artificial Intelligence",
-  "/journals/tochi/tochi": "ACM Transactions on Computer-Human Interaction",
-  "/journals/ijmms/ijmms": "International Journal of Human Computer Studies",
-  "/journals/cscw/cscw": "Computer Supported Cooperative Work",
-  "/journals/hhci/hhci": "Human Computer Interaction",
-  "/journals/thms/thms": "IEEE Transactions on Human-Machine Systems",
-  "/journals/tsmc/tsmcc": "IEEE Transactions on Human-Machine Systems",
-  "/journals/iwc/iwc": "Interacting with Computers",
-  "/journals/ijhci/ijhci":
-    "International Journal of Human-Computer Interaction",
-  "/journals/umuai/umuai": "User Modeling and User-Adapted Interaction",
-  "/journals/tsmc/tsmc":
-    "IEEE Transactions on Systems, Man, and Cybernetics: Systems",
-  "/journals/behaviourIT/behaviourIT": "Behaviour & Information Technology",
-  "/journals/puc/puc": "Personal and Ubiquitous Computing",
-  "/journals/percom/percom": "Pervasive and Mobile Computing",
-  "/journals/pacmhci/pacmhci":
-    "Proceedings of the ACM on Human-Computer Interaction",
-  "/conf/cscw/cscw":
-    "ACM Conference on Computer Supported Cooperative Work and Social Computing",
-  "/conf/chi/chi": "ACM Conference on Human Factors in Computing Systems",
-  "/conf/huc/ubicomp": "ACM International Conference on Ubiquitous Computing",
-  "/journals/imwut/imwut":
-    "Proceedings of the ACM on Interactive, Mobile, Wearable and Ubiquitous Technologies",
-  "/conf/uist/uist": "ACM Symposium on User Interface Software and Technology",
-  "/conf/group/group": "ACM Conference on Supporting Group Work",
-  "/conf/iui/iui":
-    "ACM International Conference on Intelligent User Interfaces",
-  "/conf/tabletop/iss":
-    "ACM International Conference on Interactive Tabletops and Surfaces",
-  "/conf/tabletop/its":
-    "ACM International Conference on Interactive Tabletops and Surfaces",
-  "/conf/ecscw/ecscw":
-    "European Conference on Computer Supported Cooperative Work",
-  "/conf/percom/percom":
-    "IEEE International Conference on Pervasive Computing and Communications",
-  "/conf/mhci/mhci":
-    "International Conference on Human Computer Interaction with Mobile Devices and Services",
-  "/conf/icwsm/icwsm":
-    "The International AAAI Conference on Web and Social Media",
-  "/conf/ACMdis/ACMdis": "ACM Conference on Designing Interactive Systems",
-  "/conf/icmi/icmi": "ACM International Conference on Multimodal Interaction",
-  "/conf/assets/assets":
-    "ACM SIGACCESS Conference on Computers and Accessibility",
-  "/conf/graphicsinterface/graphicsinterface": "Graphics Interface conference",
-  "/conf/uic/uic":
-    "IEEE International Conference on Ubiquitous Intelligence and Computing",
-  "/conf/haptics/haptics": "IEEE World Haptics Conference",
-  "/conf/interact/interact":
-    "IFIP TC13 Conference on Human-Computer Interaction",
-  "/conf/acmidc/idc": "Interaction Design and Children",
-  "/conf/colcom/colcom":
-    "International Conference on Collaborative Computing: Networking, Applications and Worksharing",
-  "/conf/cscwd/cscwd":
-    "International Conference on Computer Supported Cooperative Work in Design",
-  "/conf/coopis/coopis":
-    "International Conference on Cooperative Information Systems",
-  "/conf/mobiquitous/mobiquitous":
-    "International Conference on Mobile and Ubiquitous Systems: Computing,Networking and Services",
-  "/conf/avi/avi":
-    "International Working Conference on Advanced Visual Interfaces",
-  "/journals/jacm/jacm": "Journal of the ACM",
-  "/journals/pieee/pieee": "Proceedings of the IEEE",
-  "/journals/chinaf/chinaf": "Science China Information Sciences",
-  "/journals/bioinformatics/bioinformatics":
-    "International conference on Intelligent Systems for Molecular Biology",
-  "/journals/bib/bib": "Briefings in Bioinformatics",
-  "/journals/tase/tase":
-    "IEEE Transactions on Automation Science and Engineering",
-  "/journals/tgrs/tgrs": "IEEE Transactions on Geoscience and Remote Sensing",
-  "/journals/tits/tits":
-    "IEEE Transactions on Intelligent Transportation Systems",
-  "/journals/tmi/tmi": "IEEE Transactions on Medical Imaging",
-  "/journals/trob/trob": "IEEE Transactions on Robotics",
-  "/journals/tcbb/tcbb":
-    "IEEE-ACM Transactions on Computational Biology and Bioinformatics",
-  "/journals/jcst/jcst": "Journal of Computer Science and Technology",
-  "/journals/jamia/jamia":
-    "Journal of the American Medical Informatics Association",
-  "/journals/ploscb/ploscb": "PLOS Computational Biology",
-  "/journals/cj/cj": "The Computer Journal",
-  "/journals/www/www": "World Wide Web Journal",
-  "/journals/fcsc/fcsc": "Frontiers of Computer Science",
-  "/journals/bmcbi/bmcbi": "BMC Bioinformatics",
-  "/journals/cas/cas": "Cybernetics and Systems",
-  "/journals/lgrs/lgrs": "IEEE Geoscience and Remote Sensing Letters",
-  "/journals/titb/titb": "IEEE Journal of Biomedical and Health Informatics",
-  "/journals/tbd/tbd": "IEEE Transactions on Big Data",
-  "/journals/jbi/jbi": "Journal of Biomedical Informatics",
-  "/journals/mia/mia": "Medical Image Analysis",
-  "/journals/tii/tii": "IEEE Transactions on Industrial Informatics",
-  "/journals/tcps/tcps": "ACM Transactions on Cyber-Physical Systems",
-  "/journals/jeric/toce": "ACM Transactions on Computing Education",
-  "/journals/jeric/jeric": "ACM Transactions on Computing Education",
-  "/journals/jzusc/jzusc":
-    "Frontiers of Information Technology & Electronic Engineering",
-  "/journals/tcss/tcss": "IEEE Transaction on Computational Social Systems",
-  "/journals/tr/tr": "IEEE Transactions on Reliability",
-  "/conf/www/www": "International World Wide Web Conferences",
-  "/conf/rtss/rtss": "Real-Time Systems Symposium",
-  "/conf/wine/wine": "Conference on Web and Internet Economics",
-  "/conf/cogsci/cogsci": "Cognitive Science Society Annual Conference",
-  "/conf/bibm/bibm":
-    "IEEE International Conference on Bioinformatics and Biomedicine",
-  "/conf/emsoft/emsoft": "International Conference on Embedded Software",
-  "/conf/recomb/recomb":
-    "International Conference on Research in Computational Molecular Biology",
-  "/conf/amia/amia":
-    "American Medical Informatics Association Annual Symposium",
-  "/conf/apbc/apbc": "Asia Pacific Bioinformatics Conference",
-  "/conf/bigdataconf/bigdataconf": "IEEE International Conference on Big Data",
-  "/conf/IEEEcloud/IEEEcloud":
-    "IEEE International Conference on Cloud Computing",
-  "/conf/smc/smc":
-    "IEEE International Conference on Systems, Man, and Cybernetics",
-  "/conf/cosit/cosit": "International Conference on Spatial Information Theory",
-  "/conf/isbra/isbra":
-    "International Symposium on Bioinformatics Research and Applications",
-  "/conf/sagt/sagt": "International Symposium on Algorithmic Game Theory",
-  "/conf/gis/gis":
-    "ACM SIGSPATIAL International Conference on Advances in Geographic Information Systems",
-  "/conf/icic/icic": "International Conference on Intelligent Computing",
-  "/conf/iclr/iclr": "International Conference on Learning Representations",
-  "/journals/corr/corr": "arXiv",
-};
@@ -1,680 +0,0 @@
-/**
- * MIT License
- *
- * WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
- * Copyright (c) 2019-2024 All Rights Reserved.
- * ------------------------------------------------------
- * Generated by dataGen.js
- * Last updated: 2024-12-04
- */
-
-ccf.rankUrl = {
-  "/journals/tocs/tocs": "A",
-  "/journals/tos/tos": "A",
-  "/journals/tcad/tcad": "A",
-  "/journals/tc/tc": "A",
-  "/journals/tpds/tpds": "A",
-  "/journals/taco/taco": "A",
-  "/journals/taas/taas": "B",
-  "/journals/todaes/todaes": "B",
-  "/journals/tecs/tecs": "B",
-  "/journals/trets/trets": "B",
-  "/journals/tvlsi/tvlsi": "B",
-  "/journals/jpdc/jpdc": "B",
-  "/journals/jsa/jsa": "B",
-  "/conf/parco/parco": "B",
-  "/journals/pe/pe": "B",
-  "/journals/jetc/jetc": "C",
-  "/journals/concurrency/concurrency": "C",
-  "/journals/dc/dc": "C",
-  "/journals/fgcs/fgcs": "C",
-  "/journals/tcc/tcc": "C",
-  "/journals/integration/integration": "C",
-  "/journals/et/et": "C",
-  "/journals/grid/grid": "C",
-  "/journals/rts/rts": "C",
-  "/journals/tjs/tjs": "C",
-  "/journals/tcasI/tcasI": "C",
-  "/journals/ccfthpc/ccfthpc": "C",
-  "/journals/tsusc/tsusc": "C",
-  "/conf/ppopp/ppopp": "A",
-  "/conf/fast/fast": "A",
-  "/conf/dac/dac": "A",
-  "/conf/hpca/hpca": "A",
-  "/conf/micro/micro": "A",
-  "/conf/sc/sc": "A",
-  "/conf/asplos/asplos": "A",
-  "/conf/isca/isca": "A",
-  "/conf/usenix/usenix": "A",
-  "/conf/eurosys/eurosys": "A",
-  "/conf/cloud/socc": "B",
-  "/conf/spaa/spaa": "B",
-  "/conf/podc/podc": "B",
-  "/conf/fpga/fpga": "B",
-  "/conf/cgo/cgo": "B",
-  "/conf/date/date": "B",
-  "/conf/hotchips/hotchips": "B",
-  "/conf/cluster/cluster": "B",
-  "/conf/iccd/iccd": "B",
-  "/conf/iccad/iccad": "B",
-  "/conf/icdcs/icdcs": "B",
-  "/conf/codes/codes": "B",
-  "/conf/hipeac/hipeac": "B",
-  "/conf/sigmetrics/sigmetrics": "B",
-  "/conf/IEEEpact/pact": "B",
-  "/conf/IEEEpact/IEEEpact": "B",
-  "/conf/icpp/icpp": "B",
-  "/conf/ics/ics": "B",
-  "/conf/vee/vee": "B",
-  "/conf/ipps/ipdps": "B",
-  "/conf/performance/performance": "B",
-  "/conf/hpdc/hpdc": "B",
-  "/conf/itc/itc": "B",
-  "/conf/lisa/lisa": "B",
-  "/conf/mss/msst": "B",
-  "/conf/rtas/rtas": "B",
-  "/conf/europar/europar": "B",
-  "/conf/cf/cf": "C",
-  "/conf/systor/systor": "C",
-  "/conf/nocs/nocs": "C",
-  "/conf/asap/asap": "C",
-  "/conf/aspdac/aspdac": "C",
-  "/conf/ets/ets": "C",
-  "/conf/fpl/fpl": "C",
-  "/conf/fccm/fccm": "C",
-  "/conf/glvlsi/glvlsi": "C",
-  "/conf/ats/ats": "C",
-  "/conf/hpcc/hpcc": "C",
-  "/conf/hipc/hipc": "C",
-  "/conf/mascots/mascots": "C",
-  "/conf/ispa/ispa": "C",
-  "/conf/ccgrid/ccgrid": "C",
-  "/conf/npc/npc": "C",
-  "/conf/ica3pp/ica3pp": "C",
-  "/conf/cases/cases": "C",
-  "/conf/icfpt/icfpt": "C",
-  "/conf/fpt/fpt": "C",
-  "/conf/icpads/icpads": "C",
-  "/conf/iscas/iscas": "C",
-  "/conf/islped/islped": "C",
-  "/conf/ispd/ispd": "C",
-  "/conf/hoti/hoti": "C",
-  "/conf/vts/vts": "C",
-  "/conf/itc-asia/itc-asia": "C",
-  "/journals/jsac/jsac": "A",
-  "/journals/tmc/tmc": "A",
-  "/journals/ton/ton": "A",
-  "/journals/toit/toit": "B",
-  "/journals/tomccap/tomccap": "B",
-  "/journals/tosn/tosn": "B",
-  "/journals/cn/cn": "B",
-  "/journals/tcom/tcom": "B",
-  "/journals/twc/twc": "B",
-  "/journals/adhoc/adhoc": "C",
-  "/journals/comcom/comcom": "C",
-  "/journals/tnsm/tnsm": "C",
-  "/journals/iet-com/iet-com": "C",
-  "/journals/jnca/jnca": "C",
-  "/journals/monet/monet": "C",
-  "/journals/networks/networks": "C",
-  "/journals/ppna/ppna": "C",
-  "/journals/wicomm/wicomm": "C",
-  "/journals/winet/winet": "C",
-  "/journals/iotj/iotj": "C",
-  "/conf/sigcomm/sigcomm": "A",
-  "/conf/mobicom/mobicom": "A",
-  "/conf/infocom/infocom": "A",
-  "/conf/nsdi/nsdi": "A",
-  "/conf/sensys/sensys": "B",
-  "/conf/conext/conext": "B",
-  "/conf/secon/secon": "B",
-  "/conf/ipsn/ipsn": "B",
-  "/conf/mobisys/mobisys": "B",
-  "/conf/icnp/icnp": "B",
-  "/conf/mobihoc/mobihoc": "B",
-  "/conf/nossdav/nossdav": "B",
-  "/conf/iwqos/iwqos": "B",
-  "/conf/imc/imc": "B",
-  "/conf/ancs/ancs": "C",
-  "/conf/apnoms/apnoms": "C",
-  "/conf/forte/forte": "C",
-  "/conf/lcn/lcn": "C",
-  "/conf/globecom/globecom": "C",
-  "/conf/icc/icc": "C",
-  "/conf/icccn/icccn": "C",
-  "/conf/mass/mass": "C",
-  "/conf/p2p/p2p": "C",
-  "/conf/ipccc/ipccc": "C",
-  "/conf/wowmom/wowmom": "C",
-  "/conf/iscc/iscc": "C",
-  "/conf/wcnc/wcnc": "C",
-  "/conf/networking/networking": "C",
-  "/conf/im/im": "C",
-  "/conf/msn/msn": "C",
-  "/conf/mswim/mswim": "C",
-  "/conf/wasa/wasa": "C",
-  "/conf/hotnets/hotnets": "C",
-  "/conf/apnet/apnet": "C",
-  "/journals/tdsc/tdsc": "A",
-  "/journals/tifs/tifs": "A",
-  "/journals/joc/joc": "A",
-  "/journals/tissec/tissec": "B",
-  "/journals/compsec/compsec": "B",
-  "/journals/dcc/dcc": "B",
-  "/journals/jcs/jcs": "B",
-  "/journals/clsr/clsr": "C",
-  "/journals/ejisec/ejisec": "C",
-  "/journals/iet-ifs/iet-ifs": "C",
-  "/journals/imcs/imcs": "C",
-  "/journals/ijics/ijics": "C",
-  "/journals/ijisp/ijisp": "C",
-  "/journals/istr/istr": "C",
-  "/journals/scn/scn": "C",
-  "/journals/cybersec/cybersec": "C",
-  "/conf/ccs/ccs": "A",
-  "/conf/eurocrypt/eurocrypt": "A",
-  "/conf/sp/sp": "A",
-  "/conf/crypto/crypto": "A",
-  "/conf/uss/uss": "A",
-  "/conf/ndss/ndss": "A",
-  "/conf/acsac/acsac": "B",
-  "/conf/asiacrypt/asiacrypt": "B",
-  "/conf/esorics/esorics": "B",
-  "/conf/fse/fse": "B",
-  "/conf/csfw/csfw": "B",
-  "/conf/srds/srds": "B",
-  "/conf/ches/ches": "B",
-  "/conf/dsn/dsn": "B",
-  "/conf/raid/raid": "B",
-  "/conf/pkc/pkc": "B",
-  "/conf/tcc/tcc": "B",
-  "/conf/wisec/wisec": "C",
-  "/conf/sacmat/sacmat": "C",
-  "/conf/drm/drm": "C",
-  "/conf/ih/ihmmsec": "C",
-  "/conf/ih/ih": "C",
-  "/conf/acns/acns": "C",
-  "/conf/ccs/asiaccs": "C",
-  "/conf/asiaccs/asiaccs": "C",
-  "/conf/acisp/acisp": "C",
-  "/conf/ctrsa/ctrsa": "C",
-  "/conf/dimva/dimva": "C",
-  "/conf/dfrws/dfrws": "C",
-  "/conf/fc/fc": "C",
-  "/conf/trustcom/trustcom": "C",
-  "/conf/sec/sec": "C",
-  "/conf/ifip11-9/df": "C",
-  "/conf/isw/isc": "C",
-  "/conf/isw/isw": "C",
-  "/conf/icdf2c/icdf2c": "C",
-  "/conf/icics/icics": "C",
-  "/conf/securecomm/securecomm": "C",
-  "/conf/nspw/nspw": "C",
-  "/conf/pam/pam": "C",
-  "/conf/pet/pets": "C",
-  "/conf/pet/pet": "C",
-  "/conf/sacrypt/sacrypt": "C",
-  "/conf/soups/soups": "C",
-  "/conf/uss/hotsec": "C",
-  "/conf/eurosp/eurosp": "C",
-  "/conf/icisc/icisc": "C",
-  "/journals/toplas/toplas": "A",
-  "/journals/tosem/tosem": "A",
-  "/journals/tse/tse": "A",
-  "/journals/tsc/tsc": "A",
-  "/journals/ase/ase": "B",
-  "/journals/ese/ese": "B",
-  "/journals/iee/iee-s": "B",
-  "/journals/infsof/infsof": "B",
-  "/journals/jfp/jfp": "B",
-  "/journals/smr/smr": "B",
-  "/journals/jss/jss": "B",
-  "/journals/re/re": "B",
-  "/journals/scp/scp": "B",
-  "/journals/sosym/sosym": "B",
-  "/journals/stvr/stvr": "B",
-  "/journals/spe/spe": "B",
-  "/journals/cl/cl": "C",
-  "/journals/ijseke/ijseke": "C",
-  "/journals/sttt/sttt": "C",
-  "/journals/jlap/jlap": "C",
-  "/journals/jlp/jlp": "C",
-  "/journals/jwe/jwe": "C",
-  "/journals/soca/soca": "C",
-  "/journals/sqj/sqj": "C",
-  "/journals/tplp/tplp": "C",
-  "/journals/pacmpl/pacmpl": "C",
-  "/conf/pldi/pldi": "A",
-  "/conf/popl/popl": "A",
-  undefined: "A",
-  "/conf/sigsoft/fse": "A",
-  "/conf/sosp/sosp": "A",
-  "/conf/oopsla/oopsla": "A",
-  "/conf/kbse/ase": "A",
-  "/conf/kbse/kbse": "A",
-  "/conf/icse/icse": "A",
-  "/conf/issta/issta": "A",
-  "/conf/osdi/osdi": "A",
-  "/conf/fm/fm": "A",
-  "/conf/ecoop/ecoop": "B",
-  "/conf/esop/esop": "B",
-  "/conf/fase/fase": "B",
-  "/conf/fossacs/fossacs": "B",
-  "/conf/tacas/tacas": "B",
-  "/conf/post/post": "B",
-  "/conf/spin/spin": "C",
-  "/conf/iwpc/icpc": "B",
-  "/conf/iwpc/iwpc": "B",
-  "/conf/re/re": "B",
-  "/conf/icre/icre": "B",
-  "/conf/caise/caise": "B",
-  "/conf/icfp/icfp": "B",
-  "/conf/lctrts/lctes": "B",
-  "/conf/models/models": "B",
-  "/conf/cp/cp": "B",
-  "/conf/icsoc/icsoc": "B",
-  "/conf/wcre/saner": "B",
-  "/conf/wcre/wcre": "B",
-  "/conf/icsm/icsme": "B",
-  "/conf/icsm/icsm": "B",
-  "/conf/vmcai/vmcai": "B",
-  "/conf/icws/icws": "B",
-  "/conf/middleware/middleware": "B",
-  "/conf/sas/sas": "B",
-  "/conf/esem/esem": "B",
-  "/conf/issre/issre": "B",
-  "/conf/hotos/hotos": "B",
-  "/conf/pepm/pepm": "C",
-  "/conf/paste/paste": "C",
-  "/conf/aplas/aplas": "C",
-  "/conf/apsec/apsec": "C",
-  "/conf/ease/ease": "C",
-  "/conf/iceccs/iceccs": "C",
-  "/conf/icst/icst": "C",
-  "/conf/ispass/ispass": "C",
-  "/conf/scam/scam": "C",
-  "/conf/compsac/compsac": "C",
-  "/conf/icfem/icfem": "C",
-  "/conf/tools/tools": "C",
-  "/conf/qsic/qsic": "C",
-  "/conf/IEEEscc/scc": "C",
-  "/conf/ispw/icssp": "C",
-  "/conf/ispw/icsp": "C",
-  "/conf/seke/seke": "C",
-  "/conf/qrs/qrs": "C",
-  "/conf/icsr/icsr": "C",
-  "/conf/icwe/icwe": "C",
-  "/conf/atva/atva": "C",
-  "/conf/lopstr/lopstr": "C",
-  "/conf/tase/tase": "C",
-  "/conf/msr/msr": "C",
-  "/conf/refsq/refsq": "C",
-  "/conf/wicsa/wicsa": "C",
-  "/conf/internetware/internetware": "C",
-  "/conf/rv/rv": "C",
-  "/journals/tods/tods": "A ",
-  "/journals/tois/tois": "A ",
-  "/journals/tkde/tkde": "A ",
-  "/journals/vldb/vldb": "A ",
-  "/journals/tkdd/tkdd": "B",
-  "/journals/tweb": "B",
-  "/journals/aei/aei": "B",
-  "/journals/dke/dke": "B",
-  "/journals/datamine/datamine": "B",
-  "/journals/ejis/ejis": "B",
-  "/journals/geoinformatica/geoinformatica": "B",
-  "/journals/ipm/ipm": "B",
-  "/journals/isci/isci": "B",
-  "/journals/is/is": "B",
-  "/journals/jasis/jasis": "B",
-  "/journals/ws/ws": "B",
-  "/journals/kais/kais": "B",
-  "/journals/dpd/dpd": "C",
-  "/journals/iam/iam": "C",
-  "/journals/ipl/ipl": "C",
-  "/journals/ir/ir": "C",
-  "/journals/ijcis/ijcis": "C",
-  "/journals/gis/gis": "C",
-  "/journals/ijis/ijis": "C",
-  "/journals/ijkm/ijkm": "C",
-  "/journals/ijswis/ijswis": "C",
-  "/journals/jcis/jcis": "C",
-  "/journals/jdm/jdm": "C",
-  "/journals/jiis/jiis": "C",
-  "/journals/jsis/jsis": "C",
-  "/journals/dase/dase": "C",
-  "/conf/sigmod/sigmod": "A",
-  "/conf/kdd/kdd": "A",
-  "/conf/icde/icde": "A",
-  "/conf/sigir/sigir": "A",
-  "/conf/vldb/vldb": "A",
-  "/journals/pvldb/pvldb": "A",
-  "/conf/cikm/cikm": "B",
-  "/conf/wsdm/wsdm": "B",
-  "/conf/pods/pods": "B",
-  "/conf/dasfaa/dasfaa": "B",
-  "/conf/pkdd/pkdd": "B",
-  "/conf/semweb/iswc": "B",
-  "/conf/icdm/icdm": "B",
-  "/conf/icdt/icdt": "B",
-  "/conf/edbt/edbt": "B",
-  "/conf/cidr/cidr": "B",
-  "/conf/sdm/sdm": "B",
-  "/conf/recsys/recsys": "B",
-  "/conf/apweb/apweb": "C",
-  "/conf/dexa/dexa": "C",
-  "/conf/ecir/ecir": "C",
-  "/conf/esws/eswc": "C",
-  "/conf/webdb/webdb": "C",
-  "/conf/er/er": "C",
-  "/conf/mdm/mdm": "C",
-  "/conf/ssdbm/ssdbm": "C",
-  "/conf/waim/waim": "C",
-  "/conf/ssd/sstd": "C",
-  "/conf/pakdd/pakdd": "C",
-  "/conf/wise/wise": "C",
-  "/conf/adma/adma": "C",
-  "/journals/tit/tit": "A",
-  "/journals/iandc/iandc": "A",
-  "/journals/siamcomp/siamcomp": "A",
-  "/journals/talg/talg": "B",
-  "/journals/tocl/tocl": "B",
-  "/journals/toms/toms": "B",
-  "/journals/algorithmica/algorithmica": "B",
-  "/journals/cc/cc": "B",
-  "/journals/fac/fac": "B",
-  "/journals/fmsd/fmsd": "B",
-  "/journals/informs/informs": "B",
-  "/journals/jcss/jcss": "B",
-  "/journals/jgo/jgo": "B",
-  "/journals/jsc/jsc": "B",
-  "/journals/mscs/mscs": "B",
-  "/journals/tcs/tcs": "B",
-  "/journals/acta/acta": "C",
-  "/journals/apal/apal": "C",
-  "/journals/dam/dam": "C",
-  "/journals/fuin/fuin": "C",
-  "/journals/lisp/lisp": "C",
-  "/journals/jc/jc": "C",
-  "/journals/logcom/logcom": "C",
-  "/journals/jsyml/jsyml": "C",
-  "/journals/lmcs/lmcs": "C",
-  "/journals/siamdm/siamdm": "C",
-  "/journals/mst/mst": "C",
-  "/conf/stoc/stoc": "A",
-  "/conf/soda/soda": "A",
-  "/conf/cav/cav": "A",
-  "/conf/focs/focs": "A",
-  "/conf/lics/lics": "A",
-  "/conf/compgeom/compgeom": "B",
-  "/conf/esa/esa": "B",
-  "/conf/coco/coco": "B",
-  "/conf/icalp/icalp": "B",
-  "/conf/cade/ijcar": "B",
-  "/conf/cade/cade": "B",
-  "/conf/concur/concur": "B",
-  "/conf/hybrid/hscc": "B",
-  "/conf/sat/sat": "B",
-  "/conf/cocoon/cocoon": "B",
-  "/conf/csl/csl": "C",
-  "/conf/fmcad/fmcad": "C",
-  "/conf/fsttcs/fsttcs": "C",
-  "/conf/dsaa/dsaa": "C",
-  "/conf/ictac/ictac": "C",
-  "/conf/ipco/ipco": "C",
-  "/conf/rta/rta": "C",
-  "/conf/isaac/isaac": "C",
-  "/conf/mfcs/mfcs": "C",
-  "/conf/stacs/stacs": "C",
-  "/conf/setta/setta": "C",
-  "/journals/tog/tog": "A",
-  "/journals/tip/tip": "A",
-  "/journals/tvcg/tvcg": "A",
-  "/journals/cagd/cagd": "B",
-  "/journals/cgf/cgf": "B",
-  "/journals/cad/cad": "B",
-  "/journals/cvgip/cvgip": "B",
-  "/journals/tcsv/tcsv": "B",
-  "/journals/tmm/tmm": "B",
-  "/journals/siamis/siamis": "B",
-  "/journals/speech/speech": "B",
-  "/journals/comgeo/comgeo": "C",
-  "/journals/jvca/jvca": "C",
-  "/journals/cg/cg": "C",
-  "/journals/dcg/dcg": "C",
-  "/journals/spl/spl": "C",
-  "/journals/iet-ipr/iet-ipr": "C",
-  "/journals/jvcir/jvcir": "C",
-  "/journals/mms/mms": "C",
-  "/journals/mta/mta": "C",
-  "/journals/sigpro/sigpro": "C",
-  "/journals/spic/spic": "C",
-  "/journals/vc/vc": "C",
-  "/journals/cvm/cvm": "C",
-  "/conf/mm/mm": "A",
-  "/conf/siggraph/siggraph": "A",
-  "/conf/vr/vr": "A",
-  "/conf/visualization/visualization": "A",
-  "/conf/mir/icmr": "B",
-  "/conf/mir/mir": "B",
-  "/conf/si3d/si3d": "B",
-  "/conf/sca/sca": "B",
-  "/conf/dcc/dcc": "B",
-  "/conf/sgp/sgp": "B",
-  "/conf/rt/dl": "B",
-  "/conf/rt/eii": "B",
-  "/conf/icassp/icassp": "B",
-  "/conf/icmcs/icme": "B",
-  "/conf/ismar/ismar": "B",
-  "/conf/pg/pg": "B",
-  "/conf/sma/spm": "B",
-  "/conf/sma/sma": "B",
-  "/conf/miccai/miccai": "B",
-  "/conf/vrst/vrst": "C",
-  "/conf/ca/casa": "C",
-  "/conf/cgi/cgi": "C",
-  "/conf/interspeech/interspeech": "C",
-  "/conf/gmp/gmp": "C",
-  "/conf/apvis/pacificvis": "C",
-  "/conf/apvis/apvis": "C",
-  "/conf/3dim/3dim": "C",
-  "/conf/cadgraphics/cadgraphics": "C",
-  "/conf/icip/icip": "C",
-  "/conf/mmm/mmm": "C",
-  "/conf/pcm/pcm": "C",
-  "/conf/smi/smi": "C",
-  "/conf/cvm/cvm": "C",
-  "/conf/prcv/prcv": "C",
-  "/journals/ai/ai": "A",
-  "/journals/pami/pami": "A",
-  "/journals/ijcv/ijcv": "A",
-  "/journals/jmlr/jmlr": "A",
-  "/journals/tap/tap": "B",
-  "/journals/tslp/tslp": "B",
-  "/journals/aamas/aamas": "B",
-  "/journals/coling/coling": "B",
-  "/journals/cviu/cviu": "B",
-  "/journals/ec/ec": "B",
-  "/journals/taffco/taffco": "B",
-  "/journals/taslp/taslp": "B",
-  "/journals/tcyb/tcyb": "B",
-  "/journals/tsmc/tsmcb": "B",
-  "/journals/tec/tec": "B",
-  "/journals/tfs/tfs": "B",
-  "/journals/tnn/tnn": "B",
-  "/journals/ijar/ijar": "B",
-  "/journals/jair/jair": "B",
-  "/journals/jar/jar": "B",
-  "/journals/ml/ml": "B",
-  "/journals/neco/neco": "B",
-  "/journals/nn/nn": "B",
-  "/journals/pr/pr": "B",
-  "/journals/tacl/tacl": "B",
-  "/journals/talip/talip": "C",
-  "/journals/apin/apin": "C",
-  "/journals/artmed/artmed": "C",
-  "/journals/alife/alife": "C",
-  "/journals/ci/ci": "C",
-  "/journals/csl/csl": "C",
-  "/journals/connection/connection": "C",
-  "/journals/dss/dss": "C",
-  "/journals/eaai/eaai": "C",
-  "/journals/es/es": "C",
-  "/journals/eswa/eswa": "C",
-  "/journals/fss/fss": "C",
-  "/journals/tciaig/tciaig": "C",
-  "/journals/iet-cvi/iet-cvi": "C",
-  "/journals/iet-spr/iet-spr": "C",
-  "/journals/ivc/ivc": "C",
-  "/journals/ida/ida": "C",
-  "/journals/ijcia/ijcia": "C",
-  "/journals/ijns/ijns": "C",
-  "/journals/ijprai/ijprai": "C",
-  "/journals/ijufks/ijufks": "C",
-  "/journals/ijdar/ijdar": "C",
-  "/journals/jetai/jetai": "C",
-  "/journals/kbs/kbs": "C",
-  "/journals/mt/mt": "C",
-  "/journals/mva/mva": "C",
-  "/journals/nc/nc": "C",
-  "/journals/nle/nle": "C",
-  "/journals/nca/nca": "C",
-  "/journals/npl/npl": "C",
-  "/journals/ijon/ijon": "C",
-  "/journals/paa/paa": "C",
-  "/journals/prl/prl": "C",
-  "/journals/soco/soco": "C",
-  "/journals/wias/wias": "C",
-  "/journals/tiis/tiis": "C",
-  "/conf/aaai/aaai": "A",
-  "/conf/nips/neurips": "A",
-  "/conf/nips/nips": "A",
-  "/conf/acl/acl": "A",
-  "/conf/cvpr/cvpr": "A",
-  "/conf/iccv/iccv": "A",
-  "/conf/icml/icml": "A",
-  "/conf/ijcai/ijcai": "A",
-  "/conf/colt/colt": "B",
-  "/conf/emnlp/emnlp": "B",
-  "/conf/ecai/ecai": "B",
-  "/conf/eccv/eccv": "B",
-  "/conf/icra/icra": "B",
-  "/conf/aips/icaps": "B",
-  "/conf/iccbr/iccbr": "B",
-  "/conf/coling/coling": "B",
-  "/conf/kr/kr": "B",
-  "/conf/uai/uai": "B",
-  "/conf/atal/aamas": "B",
-  "/conf/ppsn/ppsn": "B",
-  "/conf/naacl/naacl": "B",
-  "/conf/aistats/aistats": "C",
-  "/conf/accv/accv": "C",
-  "/conf/acml/acml": "C",
-  "/conf/bmvc/bmvc": "C",
-  "/conf/nlpcc/nlpcc": "C",
-  "/conf/conll/conll": "C",
-  "/conf/gecco/gecco": "C",
-  "/conf/ictai/ictai": "C",
-  "/conf/iros/iros": "C",
-  "/conf/alt/alt": "C",
-  "/conf/icann/icann": "C",
-  "/conf/fgr/fg": "C",
-  "/conf/icdar/icdar": "C",
-  "/conf/ilp/ilp": "C",
-  "/conf/ksem/ksem": "C",
-  "/conf/iconip/iconip": "C",
-  "/conf/icpr/icpr": "C",
-  "/conf/icb/icb": "C",
-  "/conf/ijcnn/ijcnn": "C",
-  "/conf/pricai/pricai": "C",
-  "/journals/tochi/tochi": "A",
-  "/journals/ijmms/ijmms": "A",
-  "/journals/cscw/cscw": "B",
-  "/journals/hhci/hhci": "B",
-  "/journals/thms/thms": "B",
-  "/journals/tsmc/tsmcc": "B",
-  "/journals/iwc/iwc": "B",
-  "/journals/ijhci/ijhci": "B",
-  "/journals/umuai/umuai": "B",
-  "/journals/tsmc/tsmc": "B",
-  "/journals/behaviourIT/behaviourIT": "C",
-  "/journals/puc/puc": "C",
-  "/journals/percom/percom": "C",
-  "/journals/pacmhci/pacmhci": "C",
-  "/conf/cscw/cscw": "A",
-  "/conf/chi/chi": "A",
-  "/conf/huc/ubicomp": "A",
-  "/journals/imwut/imwut": "A",
-  "/conf/uist/uist": "A",
-  "/conf/group/group": "B",
-  "/conf/iui/iui": "B",
-  "/conf/tabletop/iss": "B",
-  "/conf/tabletop/its": "B",
-  "/conf/ecscw/ecscw": "B",
-  "/conf/percom/percom": "B",
-  "/conf/mhci/mhci": "B",
-  "/conf/icwsm/icwsm": "B",
-  "/conf/ACMdis/ACMdis": "C",
-  "/conf/icmi/icmi": "C",
-  "/conf/assets/assets": "C",
-  "/conf/graphicsinterface/graphicsinterface": "C",
-  "/conf/uic/uic": "C",
-  "/conf/haptics/haptics": "C",
-  "/conf/interact/interact": "C",
-  "/conf/acmidc/idc": "C",
-  "/conf/colcom/colcom": "C",
-  "/conf/cscwd/cscwd": "C",
-  "/conf/coopis/coopis": "C",
-  "/conf/mobiquitous/mobiquitous": "C",
-  "/conf/avi/avi": "C",
-  "/journals/jacm/jacm": "A ",
-  "/journals/pieee/pieee": "A ",
-  "/journals/chinaf/chinaf": "A",
-  "/journals/bioinformatics/bioinformatics": "B",
-  "/journals/bib/bib": "B",
-  "/journals/tase/tase": "B",
-  "/journals/tgrs/tgrs": "B",
-  "/journals/tits/tits": "B",
-  "/journals/tmi/tmi": "B",
-  "/journals/trob/trob": "B",
-  "/journals/tcbb/tcbb": "B",
-  "/journals/jcst/jcst": "B",
-  "/journals/jamia/jamia": "B",
-  "/journals/ploscb/ploscb": "B",
-  "/journals/cj/cj": "B",
-  "/journals/www/www": "B",
-  "/journals/fcsc/fcsc": "B",
-  "/journals/bmcbi/bmcbi": "C",
-  "/journals/cas/cas": "C",
-  "/journals/lgrs/lgrs": "C",
-  "/journals/titb/titb": "C",
-  "/journals/tbd/tbd": "C",
-  "/journals/jbi/jbi": "C",
-  "/journals/mia/mia": "C",
-  "/journals/tii/tii": "C",
-  "/journals/tcps/tcps": "C",
-  "/journals/jeric/toce": "C",
-  "/journals/jeric/jeric": "C",
-  "/journals/jzusc/jzusc": "C",
-  "/journals/tcss/tcss": "C",
-  "/journals/tr/tr": "C",
-  "/conf/www/www": "A",
-  "/conf/rtss/rtss": "A",
-  "/conf/wine/wine": "A",
-  "/conf/cogsci/cogsci": "B",
-  "/conf/bibm/bibm": "B",
-  "/conf/emsoft/emsoft": "B",
-  "/conf/recomb/recomb": "B",
-  "/conf/amia/amia": "C",
-  "/conf/apbc/apbc": "C",
-  "/conf/bigdataconf/bigdataconf": "C",
-  "/conf/IEEEcloud/IEEEcloud": "C",
-  "/conf/smc/smc": "C",
-  "/conf/cosit/cosit": "C",
-  "/conf/isbra/isbra": "C",
-  "/conf/sagt/sagt": "C",
-  "/conf/gis/gis": "C",
-  "/conf/icic/icic": "C",
-  "/conf/iclr/iclr": "E",
-  "/journals/corr/corr": "P",
-};
@@ -0,0 +1,52 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// CORE (ICORE2023) conference ranks, see https://portal.core.edu.au/conf-ranks/
+// coreVenues.json is generated from source/coreRank.csv: rank, abbr, name, dblp_venue,
+// dblp_stream (same streams as ccfVenues.json); run `node coreGen.js` in this directory.
+
+const fs = require("fs");
+const { readCsv, checkRankList, exitOnErrors } = require("./dataCheck.js");
+
+const rankFile = "source/coreRank.csv";
+const rankCsv = readCsv(rankFile, [
+  "rank",
+  "abbr",
+  "name",
+  "dblp_venue",
+  "dblp_stream",
+]);
+exitOnErrors(rankCsv.errors);
+exitOnErrors(
+  checkRankList(rankFile, rankCsv.records, {
+    ranks: ["A*", "A", "B", "C"],
+    pins: {},
+  }),
+);
+
+// one entry per dblp stream: [dblp stream, rank, abbr, full name]
+var coreVenues = [];
+// dblp stream -> venue
+var coreUrl = {};
+// upper-case abbreviation -> venue
+var coreAbbr = {};
+for (const { values: v } of rankCsv.records) {
+  coreUrl[v.dblp_stream] = coreVenues.length;
+  coreAbbr[v.abbr.toUpperCase()] = coreVenues.length;
+  coreVenues.push([v.dblp_stream, v.rank, v.abbr, v.name]);
+}
+
+// the venue table is loaded by the background worker, see js/rankService.js
+fs.writeFileSync(
+  "coreVenues.json",
+  JSON.stringify({
+    updated: new Date().toISOString().split("T")[0],
+    venues: coreVenues,
+    url: coreUrl,
+    abbr: coreAbbr,
+  }),
+  "utf8",
+);
@@ -0,0 +1,324 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// Reading and validation of the CSV sources in data/source, used by dataGen.js and coreGen.js.
+// Every check reports "file:line: message" so a broken row can be found right away.
+
+const fs = require("fs");
+const path = require("path");
+
+const venuePattern = /^\/(conf|journals)\/[^\s\/]+$/;
+const streamPattern = /^\/(conf|journals)\/[^\s\/]+\/[^\s\/]+$/;
+
+// split one CSV line, fields may be quoted with "..." and "" escapes a quote
+function parseCsvLine(line) {
+  const values = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c == '"' && line[i + 1] == '"') {
+        value += '"';
+        i++;
+      } else if (c == '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c == '"') {
+      quoted = true;
+    } else if (c == ",") {
+      values.push(value);
+      value = "";
+    } else {
+      value += c;
+    }
+  }
+  if (quoted) {
+    return undefined;
+  }
+  values.push(value);
+  return values;
+}
+
+// read a CSV file whose header must be exactly `columns`,
+// returns { records: [{ line, values: { column: value }, raw }], errors }; values are
+// trimmed, raw holds them as written
+function readCsv(file, columns) {
+  const name = path.basename(file);
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  const records = [];
+  const errors = [];
+
+  if (lines[0] != columns.join(",")) {
+    errors.push(`${name}:1: header must be "${columns.join(",")}"`);
+    return { records, errors };
+  }
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i].trim() == "") {
+      continue;
+    }
+    const fields = parseCsvLine(lines[i]);
+    if (fields === undefined) {
+      errors.push(`${name}:${i + 1}: unterminated quote`);
+      continue;
+    }
+    if (fields.length != columns.length) {
+      errors.push(
+        `${name}:${i + 1}: expected ${columns.length} columns, found ${fields.length}`,
+      );
+      continue;
+    }
+    const values = {};
+    const raw = {};
+    columns.forEach(function (column, j) {
+      values[column] = fields[j].trim();
+      raw[column] = fields[j];
+    });
+    records.push({ line: i + 1, values: values, raw: raw });
+  }
+  return { records, errors };
+}
+
+// rank list rows: rank, abbr, name, dblp_venue, dblp_stream[, area]
+// options: { ranks, areas (optional), unlisted (ranks that need no area), pins }
+// pins maps an upper-case abbreviation to the dblp stream owning it, see ccfAlias.csv
+function checkRankList(file, records, options) {
+  const name = path.basename(file);
+  const errors = [];
+  const streams = {};
+  const abbrs = {};
+
+  for (const { line, values: v } of records) {
+    const at = `${name}:${line}`;
+    if (!options.ranks.includes(v.rank)) {
+      errors.push(
+        `${at}: invalid rank "${v.rank}", expected one of ${options.ranks.join(", ")}`,
+      );
+    }
+    if (v.name == "") {
+      errors.push(`${at}: empty venue name`);
+    }
+    if (v.dblp_venue == "" || v.dblp_stream == "") {
+      errors.push(
+        `${at}: empty dblp column, use "-" for venues dblp does not index`,
+      );
+      continue;
+    }
+    if ((v.dblp_venue == "-") != (v.dblp_stream == "-")) {
+      errors.push(`${at}: dblp_venue and dblp_stream must both be "-"`);
+      continue;
+    }
+    if (v.dblp_stream != "-") {
+      if (!venuePattern.test(v.dblp_venue)) {
+        errors.push(`${at}: malformed dblp venue "${v.dblp_venue}"`);
+      }
+      if (!streamPattern.test(v.dblp_stream)) {
+        errors.push(`${at}: malformed dblp stream "${v.dblp_stream}"`);
+      }
+    }
+    if (options.areas !== undefined) {
+      const areas = v.area.split(" ").filter((a) => a != "");
+      for (const area of areas) {
+        if (!options.areas.includes(area)) {
+          errors.push(`${at}: unknown area "${area}"`);
+        }
+      }
+      if (areas.length == 0 && !options.unlisted.includes(v.rank)) {
+        errors.push(`${at}: missing area`);
+      }
+    }
+
+    // a stream may be shared by venues published in the same place (e.g. ISMB
+    // in Bioinformatics), but never listed twice for one venue or with two ranks
+    const first = streams[v.dblp_stream];
+    if (v.dblp_stream != "-" && first !== undefined) {
+      if (first.values.name.toUpperCase() == v.name.toUpperCase()) {
+        errors.push(
+          `${at}: duplicate dblp stream ${v.dblp_stream}, already listed at line ${first.line}`,
+        );
+      } else if (first.values.rank != v.rank) {
+        errors.push(
+          `${at}: dblp stream ${v.dblp_stream} is ranked ${first.values.rank} at line ${first.line}`,
+        );
+      }
+    } else if (v.dblp_stream != "-") {
+      streams[v.dblp_stream] = { line, values: v };
+    }
+
+    if (v.abbr != "") {
+      const key = v.abbr.toUpperCase();
+      if (abbrs[key] === undefined) {
+        abbrs[key] = [];
+      }
+      abbrs[key].push({ line, values: v });
+    }
+  }
+
+  // the same abbreviation for different venues needs a pin in the alias table
+  for (const key in abbrs) {
+    const names = new Set(abbrs[key].map((r) => r.values.name.toUpperCase()));
+    if (names.size == 1) {
+      continue;
+    }
+    const pin = options.pins[key];
+    const pinned = abbrs[key].some((r) => r.values.dblp_stream == pin);
+    if (!pinned) {
+      const first = abbrs[key][0];
+      for (const { line, values: v } of abbrs[key].slice(1)) {
+        if (v.name.toUpperCase() != first.values.name.toUpperCase()) {
+          errors.push(
+            `${name}:${line}: abbreviation "${v.abbr}" is also used by line ${first.line} (${first.values.name}), pin one of them in the alias table`,
+          );
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// words of workshop, companion, demo, poster and doctoral symposium volumes, as
+// ccf.satelliteKinds in js/ccf.js; they are not ranked with the main conference
+const satelliteWords =
+  /\b(workshops?|companion|adjunct|extended abstracts|demos?|demonstrations?|posters?|doctoral)\b|@/i;
+
+// alias rows: dblp_stream, alias; names maps a dblp stream to the full name of its venue
+function checkAliases(file, records, streams, names) {
+  const name = path.basename(file);
+  const errors = [];
+  const seen = {};
+  for (const { line, values: v, raw } of records) {
+    const at = `${name}:${line}`;
+    if (!streams.has(v.dblp_stream)) {
+      errors.push(`${at}: unknown dblp stream ${v.dblp_stream}`);
+    }
+    if (v.alias == "") {
+      errors.push(`${at}: empty alias`);
+      continue;
+    }
+    // a cut-off name ends in a space, trimming it would hide that
+    if (raw.alias != v.alias) {
+      errors.push(`${at}: alias "${raw.alias}" has leading or trailing spaces`);
+    }
+    if (
+      satelliteWords.test(v.alias) &&
+      !satelliteWords.test(names.get(v.dblp_stream) || "")
+    ) {
+      errors.push(
+        `${at}: alias "${v.alias}" names a workshop or companion volume, those are not ranked`,
+      );
+    }
+    const key = v.alias.toUpperCase();
+    if (seen[key] !== undefined) {
+      errors.push(
+        `${at}: alias "${v.alias}" is already defined at line ${seen[key]}`,
+      );
+    }
+    seen[key] = line;
+  }
+  return errors;
+}
+
+// DOI prefix rows: dblp_stream, doi_prefix ("10.<registrant>/..." where "*" stands for a number)
+function checkDoiPrefixes(file, records, streams) {
+  const name = path.basename(file);
+  const errors = [];
+  const seen = {};
+  for (const { line, values: v } of records) {
+    const at = `${name}:${line}`;
+    if (!streams.has(v.dblp_stream)) {
+      errors.push(`${at}: unknown dblp stream ${v.dblp_stream}`);
+    }
+    if (!/^10\.\d{4,9}\/\S+$/.test(v.doi_prefix)) {
+      errors.push(`${at}: malformed DOI prefix "${v.doi_prefix}"`);
+      continue;
+    }
+    const key = v.doi_prefix.toLowerCase();
+    if (seen[key] !== undefined) {
+      errors.push(
+        `${at}: DOI prefix "${v.doi_prefix}" is already defined at line ${seen[key]}`,
+      );
+    }
+    seen[key] = line;
+  }
+  return errors;
+}
+
+// issue rows: journal_venue, issue (without its number, "*" for any other), dblp_stream
+function checkIssues(file, records, streams) {
+  const name = path.basename(file);
+  const errors = [];
+  const seen = {};
+  for (const { line, values: v } of records) {
+    const at = `${name}:${line}`;
+    if (!/^\/journals\/[^/]+$/.test(v.journal_venue)) {
+      errors.push(`${at}: malformed dblp journal "${v.journal_venue}"`);
+    }
+    if (v.issue == "" || /\d$/.test(v.issue)) {
+      errors.push(`${at}: issue "${v.issue}" must be a name without number`);
+    }
+    if (!streams.has(v.dblp_stream)) {
+      errors.push(`${at}: unknown dblp stream ${v.dblp_stream}`);
+    }
+    const key = v.journal_venue + " " + v.issue.toLowerCase();
+    if (seen[key] !== undefined) {
+      errors.push(`${at}: duplicate of line ${seen[key]}`);
+    }
+    seen[key] = line;
+  }
+  return errors;
+}
+
+// edition rows: edition, rank ("-" if not listed), dblp_stream
+function checkEditions(file, records, streams, editions) {
+  const name = path.basename(file);
+  const errors = [];
+  const seen = {};
+  const latest = editions[editions.length - 1];
+  for (const { line, values: v } of records) {
+    const at = `${name}:${line}`;
+    if (!editions.includes(v.edition) || v.edition == latest) {
+      errors.push(
+        `${at}: unknown earlier edition "${v.edition}", expected one of ${editions.slice(0, -1).join(", ")}`,
+      );
+    }
+    if (!["A", "B", "C", "-"].includes(v.rank)) {
+      errors.push(`${at}: invalid rank "${v.rank}", expected A, B, C or -`);
+    }
+    if (!streams.has(v.dblp_stream)) {
+      errors.push(`${at}: unknown dblp stream ${v.dblp_stream}`);
+    }
+    const key = v.edition + v.dblp_stream;
+    if (seen[key] !== undefined) {
+      errors.push(`${at}: duplicate of line ${seen[key]}`);
+    }
+    seen[key] = line;
+  }
+  return errors;
+}
+
+// print all errors and stop before anything is generated
+function exitOnErrors(errors) {
+  if (errors.length == 0) {
+    return;
+  }
+  for (const error of errors) {
+    console.error(error);
+  }
+  console.error(`${errors.length} error(s), nothing generated.`);
+  process.exit(1);
+}
+
+module.exports = {
+  readCsv,
+  checkRankList,
+  checkAliases,
+  checkDoiPrefixes,
+  checkIssues,
+  checkEditions,
+  exitOnErrors,
+};
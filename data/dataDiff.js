@@ -0,0 +1,143 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// Comparison of two versions of a rank list read by dataCheck.readCsv, used by dataGen.js
+// to write the changelog shipped with the extension.
+
+// best rank first, a venue moving towards the front is promoted
+const rankOrder = ["A", "B", "C", "E", "P"];
+
+// venues of a rank list, rows of the same name are one venue listed under several
+// dblp streams (e.g. ETAPS) or in several areas
+function groupVenues(records) {
+  const venues = new Map();
+  for (const { values: v } of records) {
+    const key = v.name.toUpperCase();
+    if (!venues.has(key)) {
+      venues.set(key, {
+        abbr: v.abbr,
+        name: v.name,
+        rank: v.rank,
+        dblp_streams: [],
+      });
+    }
+    const venue = venues.get(key);
+    if (v.dblp_stream != "-" && !venue.dblp_streams.includes(v.dblp_stream)) {
+      venue.dblp_streams.push(v.dblp_stream);
+    }
+  }
+  return [...venues.values()];
+}
+
+function sharesStream(a, b) {
+  return a.dblp_streams.some((stream) => b.dblp_streams.includes(stream));
+}
+
+// pair the venues of both versions by name, then venues left over by a shared
+// dblp stream (renamed); a venue still unpaired was removed or added
+function pairVenues(oldVenues, newVenues) {
+  const pairs = [];
+  const oldLeft = new Set(oldVenues);
+  const newLeft = new Set(newVenues);
+  const pair = (a, b) => {
+    pairs.push([a, b]);
+    oldLeft.delete(a);
+    newLeft.delete(b);
+  };
+  const byName = new Map(newVenues.map((b) => [b.name.toUpperCase(), b]));
+  for (const a of oldVenues) {
+    const b = byName.get(a.name.toUpperCase());
+    if (b !== undefined) {
+      pair(a, b);
+    }
+  }
+  // prefer a venue not paired yet, a spelling fix may also leave a duplicate behind
+  for (const a of [...oldLeft]) {
+    const b =
+      [...newLeft].find((b) => sharesStream(a, b)) ||
+      newVenues.find((b) => sharesStream(a, b));
+    if (b !== undefined) {
+      pair(a, b);
+    }
+  }
+  for (const b of [...newLeft]) {
+    const a = oldVenues.find((a) => sharesStream(a, b));
+    if (a !== undefined) {
+      pair(a, b);
+    }
+  }
+  return { pairs, removed: [...oldLeft], added: [...newLeft] };
+}
+
+// changes from the old to the new rows:
+// { added, removed, promoted, demoted, renamed, moved }, a venue may be in several lists
+function diffRankLists(oldRecords, newRecords) {
+  const { pairs, removed, added } = pairVenues(
+    groupVenues(oldRecords),
+    groupVenues(newRecords),
+  );
+  const changes = {
+    added: added,
+    removed: removed,
+    promoted: [],
+    demoted: [],
+    renamed: [],
+    moved: [],
+  };
+  for (const [a, b] of pairs) {
+    const diff = rankOrder.indexOf(a.rank) - rankOrder.indexOf(b.rank);
+    if (diff != 0) {
+      changes[diff > 0 ? "promoted" : "demoted"].push({ ...b, from: a.rank });
+    }
+    if (a.name != b.name || a.abbr != b.abbr) {
+      changes.renamed.push({ ...b, fromAbbr: a.abbr, fromName: a.name });
+    }
+    if (a.dblp_streams.join(" ") != b.dblp_streams.join(" ")) {
+      changes.moved.push({ ...b, from: a.dblp_streams });
+    }
+  }
+  return changes;
+}
+
+function venueTitle(venue) {
+  return venue.abbr == "" ? venue.name : `${venue.abbr} (${venue.name})`;
+}
+
+function streamList(streams) {
+  return streams.length == 0
+    ? "not in dblp"
+    : streams.map((stream) => `\`${stream}\``).join(", ");
+}
+
+// Markdown version of the changes, one section per non-empty list
+function changesMarkdown(changes, title) {
+  const sections = {
+    added: (v) => `- ${venueTitle(v)}: CCF ${v.rank}`,
+    removed: (v) => `- ${venueTitle(v)}: was CCF ${v.rank}`,
+    promoted: (v) => `- ${venueTitle(v)}: CCF ${v.from} → CCF ${v.rank}`,
+    demoted: (v) => `- ${venueTitle(v)}: CCF ${v.from} → CCF ${v.rank}`,
+    renamed: (v) =>
+      `- ${venueTitle({ abbr: v.fromAbbr, name: v.fromName })} → ${venueTitle(v)}`,
+    moved: (v) =>
+      `- ${venueTitle(v)}: ${streamList(v.from)} → ${streamList(v.dblp_streams)}`,
+  };
+  let text = `# ${title}\n`;
+  let empty = true;
+  for (const section in sections) {
+    if (changes[section].length == 0) {
+      continue;
+    }
+    empty = false;
+    text += `\n## ${section[0].toUpperCase() + section.slice(1)} (${changes[section].length})\n\n`;
+    text += changes[section].map(sections[section]).join("\n") + "\n";
+  }
+  if (empty) {
+    text += "\nNo changes.\n";
+  }
+  return text;
+}
+
+module.exports = { diffRankLists, changesMarkdown };
@@ -0,0 +1,148 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// Builds titleIndex.json, the optional offline index of js/titleIndex.js, from the dblp XML
+// dump (https://dblp.org/xml/dblp.xml.gz). Only articles and papers of the dblp venues listed
+// in ccfVenues.json are kept, run dataGen.js first; preprints (CoRR) are left out so a title
+// leads to the peer-reviewed version. In this directory:
+//   node titleIndexGen.js /path/to/dblp.xml.gz
+// The dump is read as a stream, one record at a time; plain dblp.xml works as well.
+
+const fs = require("fs");
+const readline = require("readline");
+const zlib = require("zlib");
+const titleIndex = require("../js/titleIndex.js");
+
+const dumpFile = process.argv[2];
+if (dumpFile === undefined) {
+  console.error("usage: node titleIndexGen.js /path/to/dblp.xml.gz");
+  process.exit(1);
+}
+
+const ccfDb = JSON.parse(fs.readFileSync("ccfVenues.json", "utf8")).db;
+
+// the dump is ISO-8859-1 and writes other characters as entities, "&uuml;" or "&#8217;";
+// accented letters lose their accent anyway when titles are normalized
+const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+function decodeXml(text) {
+  return text
+    .replace(/<[^>]+>/g, "")
+    .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) =>
+      String.fromCodePoint(parseInt(code, 16)),
+    )
+    .replace(/&([a-z]+);/gi, function (m, name) {
+      if (entities[name] !== undefined) {
+        return entities[name];
+      }
+      // &Auml; &eacute; &oslash; ... -> the letter
+      let letter =
+        /^([a-z])(acute|grave|uml|circ|tilde|ring|cedil|slash|caron)$/i.exec(
+          name,
+        );
+      return letter ? letter[1] : " ";
+    });
+}
+
+// [dblp venue path, abbreviation] of the index and their position, "/conf/icse\tICSE" -> 3
+const venues = [];
+const venueIndex = new Map();
+const titles = {};
+const dois = {};
+let records = 0;
+
+// a key shared by papers of different venues tells nothing
+function add(index, key, venue) {
+  if (index[key] === undefined) {
+    index[key] = venue;
+  } else if (index[key] != venue) {
+    index[key] = -1;
+  }
+}
+
+function addRecord(record) {
+  const db = "/" + record.key.substring(0, record.key.lastIndexOf("/"));
+  if (
+    ccfDb[db] === undefined ||
+    record.informal ||
+    record.title === undefined
+  ) {
+    return;
+  }
+  // as resolver.getHitAbbr: the issue unless it is numeric, else the venue
+  const abbr =
+    record.number !== undefined && isNaN(record.number)
+      ? record.number
+      : record.venue || "";
+  const venueKey = db + "\t" + abbr;
+  if (!venueIndex.has(venueKey)) {
+    venueIndex.set(venueKey, venues.length);
+    venues.push([db, abbr]);
+  }
+  const venue = venueIndex.get(venueKey);
+  add(titles, titleIndex.getTitleKey(record.title), venue);
+  for (const ee of record.ee) {
+    const doi = /doi\.org\/(10\.\d{4,9}\/\S+)/.exec(ee);
+    if (doi) {
+      add(dois, titleIndex.getDoiKey(doi[1].toLowerCase()), venue);
+    }
+  }
+  records++;
+}
+
+let input = fs.createReadStream(dumpFile);
+if (dumpFile.endsWith(".gz")) {
+  input = input.pipe(zlib.createGunzip());
+}
+input.setEncoding("latin1");
+
+let record;
+const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+lines.on("line", function (line) {
+  const start = /<(article|inproceedings)\s[^>]*key="([^"]+)"/.exec(line);
+  if (start) {
+    record = { key: start[2], ee: [] };
+    if (/publtype="informal"/.test(line)) {
+      record.informal = true;
+    }
+  }
+  if (record === undefined) {
+    return;
+  }
+  const field =
+    /<(title|ee|number|journal|booktitle)(?:\s[^>]*)?>(.*)<\/\1>/.exec(line);
+  if (field) {
+    const value = decodeXml(field[2]).trim();
+    if (field[1] == "ee") {
+      record.ee.push(value);
+    } else if (field[1] == "journal" || field[1] == "booktitle") {
+      record.venue = value;
+    } else {
+      record[field[1]] = value;
+    }
+  }
+  if (/<\/(article|inproceedings)>/.test(line)) {
+    addRecord(record);
+    record = undefined;
+  }
+});
+
+lines.on("close", function () {
+  fs.writeFileSync(
+    "titleIndex.json",
+    JSON.stringify({
+      version: titleIndex.version,
+      updated: new Date().toISOString().split("T")[0],
+      venues: venues,
+      titles: titles,
+      dois: dois,
+    }),
+    "utf8",
+  );
+  console.log(
+    `${records} papers of ${venues.length} venue issues written to titleIndex.json`,
+  );
+});
@@ -4,29 +4,42 @@
  * Copyright (c) 2019-2023 mra42 (https://github.com/mra42), dozed (https://github.com/dozed)
  */
 
+// Cache of dblp lookups in chrome.storage.local, shared by all sites. Used by the background
+// worker only (see js/resolver.js), every call returns a Promise. It keeps the resolved results,
+// not the dblp answers, and evicts the least recently used ones beyond a bound.
+
 // cached values become stale after (86400000 = 24h) millisecs
 const expiresAfter = 86400000;
 
 const keyPrefix = "CCFrank4dblp_";
 
-// clear all our items from the cache
-function clearItems() {
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
+// a result takes well under 1 KB, chrome.storage.local holds 10 MB shared with the overrides
+const maxItems = 4000;
+
+// number of our items, counted when a worker first writes (it stops when idle and forgets)
+let itemCount;
 
-    if (key.startsWith(keyPrefix)) {
-      localStorage.removeItem(key);
+// remove our expired items, then the least recently used ones beyond keep
+function evictItems(keep) {
+  return chrome.storage.local.get(null).then(function (items) {
+    const now = new Date().getTime();
+    const keys = Object.keys(items).filter((key) => key.startsWith(keyPrefix));
+    const expired = keys.filter(
+      (key) => items[key] == null || now > items[key].expires,
+    );
+    const live = keys
+      .filter((key) => !expired.includes(key))
+      .sort((a, b) => (items[b].used || 0) - (items[a].used || 0));
+    const evicted = expired.concat(live.slice(keep));
+    itemCount = Math.min(live.length, keep);
+    if (evicted.length != 0) {
+      return chrome.storage.local.remove(evicted);
     }
-  }
+  });
 }
 
 function isQuotaExceededError(err) {
-  return (
-    err instanceof DOMException && // everything except Firefox
-    (err.name === "QuotaExceededError" ||
-      // Firefox
-      err.name === "NS_ERROR_DOM_QUOTA_REACHED")
-  );
+  return /quota/i.test(String(err && err.message));
 }
 
 const apiCache = {};
@@ -35,37 +48,58 @@ const apiCache = {};
 apiCache.setItem = function (key, value) {
   const prefixedKey = keyPrefix + key;
   const now = new Date();
-  const item = { value: value, expires: now.getTime() + expiresAfter };
+  const item = {
+    value: value,
+    expires: now.getTime() + expiresAfter,
+    used: now.getTime(),
+  };
 
-  try {
-    localStorage.setItem(prefixedKey, JSON.stringify(item));
-  } catch (err) {
-    if (isQuotaExceededError(err)) {
-      clearItems();
-    }
-  }
+  return chrome.storage.local
+    .set({ [prefixedKey]: item })
+    .catch(function (err) {
+      if (!isQuotaExceededError(err)) {
+        throw err;
+      }
+      // make room by dropping the least recently used half, then try once more
+      return evictItems(maxItems / 2).then(() =>
+        chrome.storage.local.set({ [prefixedKey]: item }),
+      );
+    })
+    .then(function () {
+      // counts a replaced item again, the next eviction counts exactly
+      if (itemCount === undefined || ++itemCount > maxItems) {
+        return evictItems(maxItems);
+      }
+    })
+    .catch(function (err) {
+      console.warn("cannot cache %s: %s", key, err.message);
+    });
 };
 
-// get cached value of key
+// get cached value of key, null if there is none
 apiCache.getItem = function (key) {
   const prefixedKey = keyPrefix + key;
 
-  const itemStr = localStorage.getItem(prefixedKey);
-  if (itemStr == null) return null;
+  return chrome.storage.local.get(prefixedKey).then(function (items) {
+    const item = items[prefixedKey];
+    if (item === undefined) return null;
 
-  const now = new Date();
-  const item = JSON.parse(itemStr);
-
-  if (item == null || now.getTime() > item.expires) {
-    localStorage.removeItem(prefixedKey);
-    return null;
-  }
-  return item.value;
+    const now = new Date();
+    if (item == null || now.getTime() > item.expires) {
+      chrome.storage.local.remove(prefixedKey);
+      return null;
+    }
+    // recently used items are evicted last
+    chrome.storage.local
+      .set({ [prefixedKey]: { ...item, used: now.getTime() } })
+      .catch(() => {});
+    return item.value;
+  });
 };
 
 // remove cached value for key
 apiCache.removeItem = function (key) {
   const prefixedKey = keyPrefix + key;
 
-  localStorage.removeItem(prefixedKey);
+  return chrome.storage.local.remove(prefixedKey);
 };
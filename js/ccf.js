@@ -6,57 +6,539 @@
 
 const ccf = {};
 
-ccf.getRankInfo = function (refine, type) {
-  let rankInfo = {};
-  rankInfo.ranks = [];
-  rankInfo.info = "";
-  let rank;
+// the ten research areas of the CCF list, as listed in data/ccfVenues.json
+ccf.areaNames = {
+  arch: "Computer Architecture/Parallel and Distributed Computing/Storage Systems",
+  net: "Computer Networks",
+  sec: "Network and Information Security",
+  se: "Software Engineering/System Software/Programming Languages",
+  db: "Databases/Data Mining/Information Retrieval",
+  theory: "Theoretical Computer Science",
+  graphics: "Computer Graphics and Multimedia",
+  ai: "Artificial Intelligence",
+  hci: "Human-Computer Interaction and Pervasive Computing",
+  cross: "Interdisciplinary/Comprehensive/Emerging",
+};
+
+// venue table, only loaded in the background worker (see js/rankService.js):
+// {
+//   editions: { edition: first publication year it applies to },
+//   venues: [[dblp stream, rank, abbr, full name, areas, { edition: rank }]],
+//   url, db, name, abbr, alias: index of the venue by dblp stream, dblp venue path,
+//                              upper-case full name, abbreviation and upper-case alias
+//   doi: index of the venue by DOI prefix of its proceedings
+// }
+ccf.setData = function (data) {
+  ccf.data = data;
+  ccf.nameIndex = undefined;
+  ccf.doiPatterns = undefined;
+};
+
+// edition of the list in force for a publication year, the latest one if the year is unknown
+ccf.getEdition = function (year) {
+  let editions = Object.keys(ccf.data.editions);
+  let edition = editions[editions.length - 1];
+  year = Number(year);
+  if (year) {
+    edition = editions[0];
+    for (let e of editions) {
+      if (ccf.data.editions[e] <= year) {
+        edition = e;
+      }
+    }
+  }
+  return edition;
+};
+
+// "up" if the venue ranks higher now than in an earlier edition, "down" if lower
+ccf.getTrend = function (past, current) {
+  let order = ["A", "B", "C", "none"];
+  let diff = order.indexOf(past) - order.indexOf(current);
+  if (diff > 0) {
+    return "up";
+  } else if (diff < 0) {
+    return "down";
+  }
+  return "";
+};
+
+ccf.getRankText = function (rank) {
+  if (rank == "E") {
+    return "Expanded";
+  } else if (rank == "P") {
+    return "Preprint";
+  } else if (rank == "none") {
+    return "CCF None";
+  }
+  return "CCF " + rank;
+};
+
+// url of a venue known under another name, see data/source/ccfAlias.csv
+ccf.getAliasUrl = function (name) {
+  let key = String(name)
+    .toUpperCase()
+    .replace(/\s*\(\d+\)\s*$/, "")
+    .trim();
+  return ccf.getUrl(ccf.data.alias[key]);
+};
+
+// dblp stream of the proceedings series a DOI belongs to: the longest prefix of ccf.data.doi
+// it starts with, case-insensitive, "*" in a prefix stands for a number and a prefix must not
+// end within a word ("10.1109/ICDE" matches "10.1109/ICDE48307.2020.00001", not "10.1109/ICDEW...")
+ccf.getDoiUrl = function (doi) {
+  if (ccf.doiPatterns === undefined) {
+    ccf.doiPatterns = Object.keys(ccf.data.doi)
+      .sort((a, b) => b.length - a.length)
+      .map(function (prefix) {
+        let pattern = prefix
+          .split("*")
+          .map((part) => part.replace(/[.?+^$|()[\]{}\\]/g, "\\$&"))
+          .join("\\d+");
+        return {
+          regex: new RegExp("^" + pattern + "(?![a-z])", "i"),
+          index: ccf.data.doi[prefix],
+        };
+      });
+  }
+  let match = ccf.doiPatterns.find((pattern) => pattern.regex.test(doi));
+  return match === undefined ? undefined : ccf.getUrl(match.index);
+};
+
+// dblp stream of the conference published as an issue of a dblp journal (PACMPL, PVLDB, ...),
+// see data/source/ccfIssues.csv; the number of the issue is ignored, "OOPSLA2" is "OOPSLA",
+// undefined if the journal publishes no proceedings
+ccf.getIssueUrl = function (db, issue) {
+  let issues = ccf.data.issues[db];
+  if (issues === undefined) {
+    return undefined;
+  }
+  let key = String(issue || "")
+    .toLowerCase()
+    .replace(/[\s\d]+$/, "");
+  return ccf.getUrl(issues[key] !== undefined ? issues[key] : issues["*"]);
+};
+
+// volumes dblp files under the venue path of a conference although CCF only ranks its main
+// proceedings, told by the words of their title or venue ("ICSE (Companion)", "SBST@ICSE")
+// or by the letters their dblp key adds to the main volumes, see ccf.getVolumeLetters
+ccf.satelliteKinds = [
+  {
+    id: "workshop",
+    name: "Workshop",
+    words: /\bworkshops?\b|@/i,
+    letters: ["w", "ws", "workshop", "workshops"],
+  },
+  {
+    id: "companion",
+    name: "Companion",
+    words: /\bcompanion\b|\badjunct\b|\bextended abstracts\b/i,
+    letters: ["c", "companion", "adj", "ea"],
+  },
+  {
+    id: "demo",
+    name: "Demo",
+    words: /\bdemos?\b|\bdemonstrations?\b/i,
+    letters: ["d", "demo", "demos"],
+  },
+  {
+    id: "poster",
+    name: "Poster",
+    words: /\bposters?\b/i,
+    letters: ["p", "pd", "poster", "posters"],
+  },
+  {
+    id: "doctoral",
+    name: "Doctoral symposium",
+    words: /\bdoctoral\b|\bph\.?d\.? (symposium|forum)\b/i,
+    letters: ["ds", "phd"],
+  },
+];
+
+// letters the dblp key of a volume adds to those of the main conference of the venue path db,
+// "/conf/icse/icse2023c" -> "c", "/conf/sigcomm/sigcomm2019pd" -> "pd", "/conf/cvpr/cvprw2023"
+// -> "w"; "" for the main volumes and volumes of other series
+ccf.getVolumeLetters = function (db, volume) {
+  let match = /\/([a-z-]*?)\d{4}-?([a-z]*)(?:-?\d+)?$/i.exec(volume || "");
+  if (match === null) {
+    return "";
+  }
+  let [, series, letters] = match;
+  let main = ccf.getUrl(ccf.data.db[db]) || "";
+  main = main.substring(main.lastIndexOf("/") + 1);
+  if (main != "" && series != main && series.startsWith(main)) {
+    letters = series.substring(main.length).replace(/^-/, "") + letters;
+  }
+  return letters.toLowerCase();
+};
+
+// venue of a workshop, companion, demo, poster or doctoral symposium volume of the conference
+// at venue path db, undefined for the main proceedings; names are the title, issue or venue
+// dblp gives the volume, volume its dblp key if known
+ccf.lookupSatellite = function (db, names, volume) {
+  if (!String(db).startsWith("/conf/")) {
+    return undefined;
+  }
+  let letters = ccf.getVolumeLetters(db, volume);
+  // the key tells more surely than words, "Posters and Demos"
+  let kind =
+    ccf.satelliteKinds.find((kind) => kind.letters.includes(letters)) ||
+    ccf.satelliteKinds.find((kind) =>
+      names.some((name) => name && kind.words.test(name)),
+    );
+  if (kind === undefined) {
+    return undefined;
+  }
+  let main = ccf.lookupVenue(db, "db");
+  let of = main.abbr;
+  if (!of) {
+    let at = names.find((name) => name && name.includes("@"));
+    of = at ? at.substring(at.indexOf("@") + 1) : db.substring(6).toUpperCase();
+  }
+  return {
+    key: undefined,
+    stream: db,
+    abbr: "",
+    name: kind.name + " of " + of,
+    rank: "none",
+    venueType: "conference",
+    matchedBy: "satellite",
+    confidence: "high",
+    areas: [],
+    satellite: kind.id,
+  };
+};
+
+// a satellite volume named in free text, "CVPR Workshops", "ICSE Companion", "SBST@ICSE";
+// undefined if the text names none or the rest of it names a workshop itself, as
+// "International Workshop on Quality of Service" does
+ccf.lookupSatelliteName = function (text, type) {
+  text = String(text);
+  let kind = ccf.satelliteKinds.find((kind) => kind.words.test(text));
+  if (kind === undefined) {
+    return undefined;
+  }
+  // the name without the words of any kind, "SIGCOMM Posters and Demos" -> "SIGCOMM"
+  let rest = text.includes("@") ? text.substring(text.indexOf("@") + 1) : text;
+  for (let other of ccf.satelliteKinds) {
+    rest = rest.replace(new RegExp(other.words.source, "gi"), " ");
+  }
+  rest = rest
+    .replace(/[()[\]]/g, " ")
+    .replace(/(^|\s)(and|&)(?=\s|$)/gi, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (rest == "") {
+    return undefined;
+  }
+  let main = ccf.lookupVenue(rest, type);
+  if (
+    main.key === undefined ||
+    main.confidence == "low" ||
+    kind.words.test(main.name)
+  ) {
+    return undefined;
+  }
+  return ccf.lookupSatellite(main.stream, [text]);
+};
+
+// dblp stream of an entry of ccf.data.venues
+ccf.getUrl = function (index) {
+  return index === undefined ? undefined : ccf.data.venues[index][0];
+};
+
+// scored match of a free-form venue name against the abbreviations and full names
+// of the list, { url, score, count, by } or undefined if nothing is close enough; count is
+// the number of names scoring as well, by "abbr" if it is an abbreviation
+ccf.matchName = function (name) {
+  if (ccf.nameIndex === undefined) {
+    ccf.nameIndex = venueMatcher.index(Object.keys(ccf.data.name));
+    ccf.abbrIndex = {};
+    for (let abbr in ccf.data.abbr) {
+      let normalized = venueMatcher.normalize(abbr);
+      if (normalized != "") {
+        ccf.abbrIndex[normalized] = ccf.data.abbr[abbr];
+      }
+    }
+  }
+  let normalized = venueMatcher.normalize(name);
+  if (normalized == "") {
+    return undefined;
+  }
+  if (ccf.abbrIndex[normalized] !== undefined) {
+    return {
+      url: ccf.getUrl(ccf.abbrIndex[normalized]),
+      score: 1,
+      count: 1,
+      by: "abbr",
+    };
+  }
+  let match = venueMatcher.bestMatch(name, ccf.nameIndex);
+  if (match === undefined) {
+    return undefined;
+  }
+  return {
+    url: ccf.getUrl(ccf.data.name[match.name]),
+    score: match.score,
+    count: match.count,
+    by: "name",
+  };
+};
+
+// look up a venue and describe it as a plain object, type is one of
+//   "url"      refine is a dblp stream, "/conf/icse/icse"
+//   "db"       refine is a dblp venue path, "/conf/icse"
+//   "abbr", "meeting"
+//              refine is an abbreviation, "meeting" for names taken from free text
+//   "dblp"     refine is { issue, url, volume, title } of a dblp entry, the issue names
+//              joint events and workshops more precisely than the stream; volume is the
+//              dblp key of its volume and title the venue dblp names it by
+//   "record"   refine is { db, abbr } of a dblp search hit, its abbreviation is only
+//              used if the venue path is not listed
+//              for both, the issue of a journal publishing proceedings tells the conference
+//              and workshop or companion volumes are not ranked, see ccf.lookupSatellite
+//              (so are those named by the other types, see ccf.lookupSatelliteName)
+//   "doi"      refine is the DOI of a paper, looked up by the prefix of its proceedings
+//   "pinned"   refine is the dblp stream the user chose for the paper, null if they found it
+//              not ranked (see js/overrides.js)
+//   otherwise  refine is a full name
+// the result:
+// {
+//   key: "/conf/icse/icse",      dblp stream, see ccf.data.url
+//   stream: "/conf/icse",        dblp venue path
+//   abbr: "ICSE",
+//   name: "International Conference on Software Engineering",
+//   rank: "A",                   "A" | "B" | "C" | "E" | "P" | "none"
+//   venueType: "conference",     "conference" | "journal"
+//   matchedBy: "url",            "url" | "abbr" | "meeting" | "name" | "alias" | "fuzzy" | "issue"
+//                                | "satellite" | "pinned"
+//   confidence: "high",          "high" | "medium" | "low" | "none"
+//   areas: ["se"],               keys of ccf.areaNames, some venues are in several
+//   edition, currentRank, trend  only set if the rank changed since the paper's year, venues
+//                                without ranks of earlier editions get none
+//   satellite: "workshop",       id of ccf.satelliteKinds, only set for such volumes,
+//                                the name is then "Workshop of ICSE" and the rank "none"
+// }
+ccf.lookupVenue = function (refine, type, year) {
+  if (type == "db") {
+    return ccf.lookupVenue(ccf.getUrl(ccf.data.db[refine]), "url", year);
+  } else if (type == "pinned") {
+    return {
+      ...ccf.lookupVenue(refine || undefined, "url", year),
+      matchedBy: "pinned",
+    };
+  } else if (type == "dblp") {
+    let issue = refine.issue;
+    let issueUrl = ccf.getIssueUrl(
+      refine.url.substring(0, refine.url.lastIndexOf("/")),
+      issue,
+    );
+    if (issueUrl !== undefined) {
+      return { ...ccf.lookupVenue(issueUrl, "url", year), matchedBy: "issue" };
+    }
+    let volume = refine.volume || refine.url;
+    let satellite = ccf.lookupSatellite(
+      volume.substring(0, volume.lastIndexOf("/")),
+      [refine.title, issue],
+      refine.volume,
+    );
+    if (satellite !== undefined) {
+      return satellite;
+    }
+    if (
+      issue &&
+      isNaN(issue) &&
+      (ccf.data.abbr[issue] !== undefined || ccf.getAliasUrl(issue))
+    ) {
+      return ccf.lookupVenue(issue, "abbr", year);
+    }
+    return ccf.lookupVenue(refine.url, "url", year);
+  } else if (type == "record") {
+    let issueUrl = ccf.getIssueUrl(refine.db, refine.abbr);
+    if (issueUrl !== undefined) {
+      return { ...ccf.lookupVenue(issueUrl, "url", year), matchedBy: "issue" };
+    }
+    let satellite = ccf.lookupSatellite(refine.db, [refine.abbr]);
+    if (satellite !== undefined) {
+      return satellite;
+    }
+    if (ccf.data.db[refine.db] !== undefined) {
+      return ccf.lookupVenue(refine.db, "db", year);
+    }
+    return ccf.lookupVenue(refine.abbr, "abbr", year);
+  } else if (type == "doi") {
+    return ccf.lookupVenue(ccf.getDoiUrl(refine), "url", year);
+  }
+
   let url;
+  let matchedBy =
+    type == "url" || type == "abbr" || type == "meeting" ? type : "name";
+  let confidence = type == "meeting" ? "medium" : "high";
   if (type == "url") {
-    rank = ccf.rankUrl[refine];
     url = refine;
-  } else if (type == "abbr") {
-    if (refine === undefined) {
-      rank = "none";
-      rankInfo.info += "Not Found\n";
+  } else if (refine !== undefined) {
+    if (type == "abbr" || type == "meeting") {
+      url = ccf.getUrl(ccf.data.abbr[refine]);
     } else {
-      let full = ccf.abbrFull[refine];
-      url = ccf.fullUrl[full];
-      if (full === undefined) {
-        refine = refine.substring(0, refine.length - 1);
-        var res = Object.keys(ccf.fullUrl).filter(function (k) {
-          return k.indexOf(refine.toUpperCase()) == 0;
-        });
-        url = res ? ccf.fullUrl[res] : false;
+      url = ccf.getUrl(ccf.data.name[String(refine).toUpperCase()]);
+    }
+  }
+  let index = ccf.data.url[url];
+  if (index === undefined && refine !== undefined) {
+    let aliasUrl = ccf.getAliasUrl(refine);
+    if (aliasUrl !== undefined) {
+      index = ccf.data.url[aliasUrl];
+      matchedBy = "alias";
+      confidence = "high";
+    } else if (type != "url") {
+      let satellite = ccf.lookupSatelliteName(refine, type);
+      if (satellite !== undefined) {
+        return satellite;
+      }
+      let match = ccf.matchName(refine);
+      if (match !== undefined) {
+        index = ccf.data.url[match.url];
+        matchedBy = match.by == "abbr" ? "abbr" : "fuzzy";
+        // a perfect score is only sure if no other name reaches it
+        confidence =
+          match.score == 1 && match.count == 1
+            ? "high"
+            : match.score >= 0.92
+              ? "medium"
+              : "low";
       }
-      rank = ccf.rankUrl[url];
     }
-  } else if (type == "meeting") {
-    let full = ccf.abbrFull[refine];
-    url = ccf.fullUrl[full];
-    rank = ccf.rankUrl[url];
-  } else {
-    url = ccf.fullUrl[refine];
-    rank = ccf.rankUrl[url];
   }
-  if (rank == undefined) {
-    rank = "none";
-    rankInfo.info += "Not Found\n";
-  } else {
-    rankInfo.info += ccf.rankFullName[url];
-    let abbrname = ccf.rankAbbrName[url];
-    if (abbrname != "") {
-      rankInfo.info += " (" + abbrname + ")";
+
+  if (index === undefined) {
+    return {
+      key: undefined,
+      stream: undefined,
+      abbr: "",
+      name: "",
+      rank: "none",
+      venueType: undefined,
+      matchedBy: matchedBy,
+      confidence: "none",
+    };
+  }
+
+  let [key, rank, abbr, name, areas, pastRanks] = ccf.data.venues[index];
+  let venue = {
+    key: key,
+    stream: key.substring(0, key.lastIndexOf("/")),
+    abbr: abbr,
+    name: name,
+    rank: rank,
+    venueType: key.startsWith("/journals/") ? "journal" : "conference",
+    matchedBy: matchedBy,
+    confidence: confidence,
+    areas: areas,
+  };
+  let edition = ccf.getEdition(year);
+  if (pastRanks[edition] !== undefined) {
+    venue.rank = pastRanks[edition] == "-" ? "none" : pastRanks[edition];
+    venue.edition = edition;
+    venue.currentRank = rank;
+    venue.trend = ccf.getTrend(venue.rank, rank);
+  }
+  return venue;
+};
+
+// venues of the list whose abbreviation or full name contain query, exact abbreviations
+// first: [{ key, abbr, name, rank }]
+ccf.searchVenues = function (query, limit) {
+  let text = String(query).trim().toUpperCase();
+  if (text == "") {
+    return [];
+  }
+  let found = [];
+  for (let [key, rank, abbr, name] of ccf.data.venues) {
+    let upperAbbr = abbr.toUpperCase();
+    let order =
+      upperAbbr == text
+        ? 0
+        : upperAbbr.startsWith(text)
+          ? 1
+          : upperAbbr.includes(text) || name.toUpperCase().includes(text)
+            ? 2
+            : -1;
+    if (order >= 0) {
+      found.push({
+        order: order,
+        venue: { key: key, abbr: abbr, name: name, rank: rank },
+      });
     }
-    if (rank == "E") {
-      rankInfo.info += ": Expanded\n";
-    } else if (rank == "P") {
-      rankInfo.info += ": Preprint\n";
-    } else {
-      rankInfo.info += ": CCF " + rank + "\n";
+  }
+  found.sort((a, b) => a.order - b.order);
+  return found.slice(0, limit).map((match) => match.venue);
+};
+
+// tooltip text of a venue returned by ccf.lookupVenue
+ccf.getVenueInfo = function (venue) {
+  if (venue.satellite !== undefined) {
+    return venue.name + ": not ranked, CCF only ranks the main conference\n";
+  }
+  if (venue.key === undefined) {
+    return venue.matchedBy == "pinned"
+      ? "Not ranked (your correction)\n"
+      : "Not Found\n";
+  }
+  let info = venue.name;
+  if (venue.abbr != "") {
+    info += " (" + venue.abbr + ")";
+  }
+  info += ": " + ccf.getRankText(venue.rank);
+  if (venue.edition) {
+    info += " (" + venue.edition + " edition)\n";
+    info += "Current: " + ccf.getRankText(venue.currentRank);
+    if (venue.trend == "up") {
+      info += ", promoted";
+    } else if (venue.trend == "down") {
+      info += ", demoted";
     }
   }
-  rankInfo.ranks.push(rank);
+  info += "\n";
+  if (venue.areas.length != 0) {
+    info +=
+      "Area: " + venue.areas.map((area) => ccf.areaNames[area]).join(", ");
+    info += "\n";
+  }
+  if (venue.confidence == "low") {
+    info += "Uncertain match by " + venue.matchedBy + "\n";
+  }
+  return info;
+};
+
+// every ranked venue of the paper, its other versions ([{ refine, type, year }], see
+// resolver.fromHits) after the venue found; the venue alone if none is ranked
+ccf.getRankInfo = function (refine, type, year, versions) {
+  let venue = ccf.lookupVenue(refine, type, year);
+  let venues = [venue];
+  for (let version of versions || []) {
+    venues.push(ccf.lookupVenue(version.refine, version.type, version.year));
+  }
+  venues = venues.filter(
+    (v, i) =>
+      v.rank != "none" && venues.findIndex((other) => other.key == v.key) == i,
+  );
+  if (venues.length == 0) {
+    venues = [venue];
+  }
+  let rankInfo = {};
+  rankInfo.venues = venues;
+  rankInfo.ranks = venues.map((v) => v.rank);
+  if (venues.length == 1 && venues[0] === venue) {
+    rankInfo.info = ccf.getVenueInfo(venue);
+  } else {
+    rankInfo.info = venues
+      .map(
+        (v) =>
+          (v.venueType == "journal" ? "Journal" : "Conference") +
+          " version: " +
+          ccf.getVenueInfo(v),
+      )
+      .join("\n");
+  }
   return rankInfo;
 };
 
@@ -71,24 +553,56 @@ ccf.getRankClass = function (ranks) {
   return "ccf-none";
 };
 
-ccf.getRankSpan = function (refine, type) {
-  let rankInfo = ccf.getRankInfo(refine, type);
-  let span = $("<span>")
-    .addClass("ccf-rank")
-    .addClass(ccf.getRankClass(rankInfo.ranks));
-  if (rankInfo.ranks == "E") {
-    span.text("Expanded");
-  } else if (rankInfo.ranks == "P") {
-    span.text("Preprint");
-  } else if (rankInfo.ranks == "none") {
-    span.text("CCF None");
+// fill a badge of rankService.getRankSpan with the answer of ccf.getRankInfo
+ccf.renderRankSpan = function (span, rankInfo) {
+  let venue = rankInfo.venues[0];
+  // versions of the same rank show it once, the tooltip lists each of them
+  let ranks = [...new Set(rankInfo.ranks)];
+  // the filter matches any of the versions, see js/filter.js
+  let areas = new Set(rankInfo.venues.flatMap((v) => v.areas || []));
+  span
+    .addClass(ccf.getRankClass(ranks))
+    .attr("data-rank", ranks.join(" "))
+    .data("venue", venue);
+  if (areas.size != 0) {
+    span.attr("data-area", [...areas].join(" "));
+  }
+  if (venue.satellite !== undefined && rankInfo.venues.length == 1) {
+    span.text(venue.name);
+  } else if (ranks.length == 1) {
+    span.text(ccf.getRankText(ranks[0]));
   } else {
-    span.text("CCF " + rankInfo.ranks.join("/"));
+    span.text("CCF " + ranks.join("/"));
+  }
+  if (venue.trend == "up") {
+    span.append(" ↑");
+  } else if (venue.trend == "down") {
+    span.append(" ↓");
   }
   if (rankInfo.info.length != 0) {
     span
       .addClass("ccf-tooltip")
       .append($("<pre>").addClass("ccf-tooltiptext").text(rankInfo.info));
   }
-  return span;
 };
+
+ccf.getRankSpan = function (refine, type, year, source) {
+  return rankService.getRankSpan(
+    "ccf",
+    refine,
+    type,
+    year,
+    ccf.renderRankSpan,
+    source,
+  );
+};
+
+provider.register({
+  id: "ccf",
+  name: "CCF",
+  enabledByDefault: true,
+  dataFile: "data/ccfVenues.json",
+  setData: ccf.setData,
+  getRankInfo: ccf.getRankInfo,
+  getRankSpan: ccf.getRankSpan,
+});
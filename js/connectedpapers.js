@@ -34,7 +34,7 @@ connectedpapers.appendRank = function () {
 
 connectedpapers.appendRanks = function () {
   let elements = $(".list-group-item-mod.minilist-list-entry");
-  elements.each(function (index) {
+  elements.each(function () {
     let nodes = $(this).find(".horizontal-flexbox");
     let titlenode = nodes[0];
     let datanode = $(nodes[1]).find("div");
@@ -42,8 +42,6 @@ connectedpapers.appendRanks = function () {
     let title = titlenode.innerText;
     let author = datanode[0].innerText.split(/[\s.,]+/)[1];
     let year = datanode[1].innerText;
-    setTimeout(function () {
-      fetchRank($(titlenode).find("h5"), title, author, year, connectedpapers);
-    }, 100 * index);
+    fetchRank($(titlenode).find("h5"), title, author, year, connectedpapers);
   });
 };
@@ -0,0 +1,92 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+const core = {};
+
+// venue table, only loaded in the background worker (see js/rankService.js):
+// { venues: [[dblp stream, rank, abbr, full name]], url, abbr }
+// where url and abbr index the venues by dblp stream and upper-case abbreviation
+core.setData = function (data) {
+  core.data = data;
+};
+
+// CORE only ranks conferences, names unknown to CORE are looked up in the CCF tables
+core.getUrl = function (refine, type) {
+  if (type == "url") {
+    return refine;
+  }
+  if ((type == "abbr" || type == "meeting") && refine !== undefined) {
+    let index = core.data.abbr[refine.toUpperCase()];
+    if (index !== undefined) {
+      return core.data.venues[index][0];
+    }
+  }
+  return ccf.lookupVenue(refine, type).key;
+};
+
+core.getRankInfo = function (refine, type) {
+  let rankInfo = {};
+  rankInfo.ranks = [];
+  rankInfo.info = "";
+  let index = core.data.url[core.getUrl(refine, type)];
+  let rank = "none";
+  if (index === undefined) {
+    rankInfo.info += "Not Found in CORE\n";
+  } else {
+    let [, venueRank, abbrname, fullname] = core.data.venues[index];
+    rank = venueRank;
+    rankInfo.info += fullname;
+    if (abbrname != "") {
+      rankInfo.info += " (" + abbrname + ")";
+    }
+    rankInfo.info += ": CORE " + rank + "\n";
+  }
+  rankInfo.ranks.push(rank);
+  return rankInfo;
+};
+
+core.getRankClass = function (ranks) {
+  for (let rank of ["A*", "A", "B", "C"]) {
+    if (ranks.includes(rank)) {
+      return "core-" + rank.replace("*", "star").toLowerCase();
+    }
+  }
+  return "core-none";
+};
+
+// fill a badge of rankService.getRankSpan with the answer of core.getRankInfo
+core.renderRankSpan = function (span, rankInfo) {
+  span.addClass("core-rank").addClass(core.getRankClass(rankInfo.ranks));
+  if (rankInfo.ranks == "none") {
+    span.text("CORE None");
+  } else {
+    span.text("CORE " + rankInfo.ranks.join("/"));
+  }
+  span
+    .addClass("ccf-tooltip")
+    .append($("<pre>").addClass("ccf-tooltiptext").text(rankInfo.info));
+};
+
+core.getRankSpan = function (refine, type, year, source) {
+  return rankService.getRankSpan(
+    "core",
+    refine,
+    type,
+    year,
+    core.renderRankSpan,
+    source,
+  );
+};
+
+provider.register({
+  id: "core",
+  name: "CORE",
+  enabledByDefault: true,
+  dataFile: "data/coreVenues.json",
+  setData: core.setData,
+  getRankInfo: core.getRankInfo,
+  getRankSpan: core.getRankSpan,
+});
@@ -0,0 +1,101 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// "Correct this…" in the tooltip of a badge: search the CCF list and pin the right venue,
+// or "not ranked", for the paper (see js/overrides.js).
+
+const correction = {};
+
+// show the picker below span; done() is called once the choice is stored
+correction.open = function (span, paper, done) {
+  $(".ccf-correction").remove();
+  let rect = span[0].getBoundingClientRect();
+  let box = $("<div>")
+    .addClass("ccf-correction")
+    .css({
+      left: rect.left + window.scrollX,
+      top: rect.bottom + window.scrollY + 4,
+    });
+  let input = $("<input>")
+    .attr("type", "search")
+    .attr("placeholder", "Search the CCF list, e.g. ICSE");
+  let list = $("<ul>");
+  let close = () => box.remove();
+  let choose = function (venue) {
+    rankService
+      .send({ action: "setOverride", paper: paper, venue: venue })
+      .then(function () {
+        close();
+        done();
+      }, correction.showError(list));
+  };
+
+  let timer;
+  input.on("input", function () {
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      rankService
+        .send({ action: "searchVenues", query: input.val() })
+        .then(function (venues) {
+          list.empty();
+          for (let venue of venues) {
+            $("<li>")
+              .text(
+                (venue.abbr ? venue.abbr + " – " : "") +
+                  venue.name +
+                  " (" +
+                  ccf.getRankText(venue.rank) +
+                  ")",
+              )
+              .on("click", () => choose(venue.key))
+              .appendTo(list);
+          }
+        }, correction.showError(list));
+    }, 200);
+  });
+
+  box.append(
+    $("<div>").text(
+      paper.db
+        ? "Venue of the dblp page " + paper.db
+        : 'Venue of "' + (paper.title || paper.doi) + '"',
+    ),
+    input,
+    list,
+    $("<button>")
+      .attr("type", "button")
+      .text("Not ranked")
+      .on("click", () => choose(null)),
+    $("<button>").attr("type", "button").text("Cancel").on("click", close),
+  );
+  box.on("click", (event) => event.stopPropagation());
+  $("body").append(box);
+  input.trigger("focus");
+};
+
+// source of rankService.getRankSpan for a badge added without the resolver, so it can be
+// corrected too; redo() adds the badges again once badges, those it added, are removed.
+// undefined if nothing tells the paper
+correction.getSource = function (paper, badges, redo) {
+  if (!paper.title && !paper.doi && !paper.db) {
+    return undefined;
+  }
+  return {
+    paper: paper,
+    correct: function (span) {
+      correction.open(span, paper, function () {
+        badges.forEach((badge) => badge.remove());
+        redo();
+      });
+    },
+  };
+};
+
+correction.showError = function (list) {
+  return function (err) {
+    list.empty().append($("<li>").addClass("ccf-error").text(err.message));
+  };
+};
@@ -37,27 +37,42 @@ dblp.appendRanks = function () {
     let element = $(this);
     let source = element.attr("href");
     if (source.length != 0 && !element.next().hasClass("ccf-rank")) {
+      let year = element
+        .parent()
+        .find("span[itemprop=datePublished]")
+        .first()
+        .text();
+      // the user may pin another venue for the paper, see js/correction.js
+      let entry = element.closest("li.entry");
+      let paper = {
+        title: entry.find("span.title").first().text(),
+        doi: entry.find("a[href*='doi.org/10.']").first().attr("href"),
+      };
+      let badges = [];
+      let correctable = correction.getSource(paper, badges, dblp.appendRanks);
       for (let getRankSpan of dblp.rankSpanList) {
         let issueName = element.find("span[itemprop=issueNumber]").text();
-        if (issueName.length != 0 && isNaN(issueName)) {
-          var abbrName = ccf.abbrFull[issueName];
-          if (typeof abbrName != "undefined") {
-            element.after(getRankSpan(issueName, "abbr"));
-            continue;
-          }
-        }
-
-        let urls = source.substring(
+        // "ICSE (Companion)", workshop and companion volumes are not ranked
+        let title = element.find("span[itemprop=name]").first().text();
+        let volume = source.substring(
           source.indexOf("/db/") + 3,
           source.lastIndexOf(".html"),
         );
+        let urls = volume;
         var pattern = /[0-9]{1,4}(-[0-9]{1,4})?$/;
         if (pattern.test(urls)) {
           urls = urls.replace(pattern, "");
         } else {
           urls = "";
         }
-        element.after(getRankSpan(urls, "url"));
+        let badge = getRankSpan(
+          { issue: issueName, url: urls, volume: volume, title: title },
+          "dblp",
+          year,
+          correctable,
+        );
+        badges.push(badge);
+        element.after(badge);
       }
     }
   });
@@ -67,13 +82,22 @@ dblp.appendRank = function (selector) {
   let element = $(selector);
   let headline = window.location.pathname;
   if (headline.length != 0) {
+    let badges = [];
     for (let getRankSpan of dblp.rankSpanList) {
       let urls = headline.substring(
         headline.indexOf("/db/") + 3,
         headline.lastIndexOf("/"),
       );
-      url = ccf.rankDb[urls];
-      element.after(getRankSpan(url, "url"));
+      let badge = getRankSpan(
+        urls,
+        "db",
+        undefined,
+        correction.getSource({ db: urls }, badges, function () {
+          dblp.appendRank(selector);
+        }),
+      );
+      badges.push(badge);
+      element.after(badge);
     }
   }
 };
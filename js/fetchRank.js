@@ -4,194 +4,141 @@
  * Copyright (c) 2019-2023 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp), FlyingFog (https://github.com/FlyingFog), mra42 (https://github.com/mra42), dozed (https://github.com/dozed)
  */
 
-// PACM PL conference mapping - centralized configuration
-const PACM_PL_CONFERENCE_MAP = {
-  "oopsla": "/conf/oopsla/oopsla",
-  "oopsla1": "/conf/oopsla/oopsla",
-  "oopsla2": "/conf/oopsla/oopsla",
-  "popl": "/conf/popl/popl",
-  "pldi": "/conf/pldi/pldi",
-  "icfp": "/conf/icfp/icfp"
+// text of the badge of a failed lookup by error kind, see scheduler.error
+const failedLabels = {
+  network: "network error",
+  timeout: "timed out",
+  "rate-limited": "rate limited",
+  parse: "bad answer",
 };
 
-// Helper function to process PACM PL journals
-function processPacmPlJournal(resp, getRankSpan) {
-  let number_raw = resp.hit[0]?.info?.number;
-  let number = number_raw ? number_raw.toString().toLowerCase() : "";
-
-  // Handle missing number - traverse resp.hit array
-  if (number === "") {
-    for (let i = 0; i < resp["@sent"]; i++) {
-      let hit_number = resp.hit[i]?.info?.number;
-      if (hit_number) {
-        number = hit_number.toString().toLowerCase();
-        break;
-      }
-    }
+// resolve the venue of a paper (see js/resolver.js) and add the badges of the site after node;
+// a badge stands in while the venue is looked up and if that fails, click it to try again;
+// venue and doi are what the site shows, if anything. The user may correct the venue found,
+// the badges are then replaced. Nothing is looked up if every provider is turned off.
+function fetchRank(node, title, authorA, year, site, venue, doi) {
+  if (site.rankSpanList.length == 0) {
+    return;
   }
-
-  // Map to conference URL using centralized config
-  return PACM_PL_CONFERENCE_MAP[number] || "/journals/pacmpl/pacmpl";
+  let paper = {
+    title: title,
+    author: authorA,
+    year: year,
+    venue: venue,
+    doi: doi,
+    distance: getViewportDistance($(node)[0]),
+  };
+  let status = $("<span>")
+    .addClass("ccf-rank")
+    .addClass("ccf-loading")
+    .attr("title", "Looking up the venue on dblp")
+    .text("dblp …");
+  $(node).after(status);
+  rankService.resolve(paper).then(
+    function (result) {
+      console.debug(
+        'venue by %s: %s (%s) "%s"',
+        result.strategy,
+        authorA,
+        year,
+        title || doi,
+      );
+      status.remove();
+      let badges;
+      result.correct = function (span) {
+        correction.open(span, { title: title, doi: doi }, function () {
+          badges.forEach((badge) => badge.remove());
+          fetchRank(node, title, authorA, year, site, venue, doi);
+        });
+      };
+      badges = appendRankSpans(node, result, year, site);
+    },
+    function (err) {
+      console.warn('no venue for "%s": %s', title || doi, err.message);
+      status.replaceWith(
+        getFailedSpan(err, function () {
+          fetchRank(node, title, authorA, year, site, venue, doi);
+        }),
+      );
+      updateRetryButton();
+    },
+  );
 }
 
-function fetchRank(node, title, authorA, year, site) {
-  const manifest = chrome.runtime.getManifest();
-  const version = manifest.version;
-
-  let query_url =
-    "https://dblp.org/search/publ/api?q=" +
-    encodeURIComponent(title + "  author:" + authorA) +
-    "&format=json&app=CCFrank4dblp_" +
-    version;
-
-  let cached = apiCache.getItem(query_url);
-  // console.log("cached: ", cached);
-  if (cached) fetchFromCache(cached, node, title, authorA, year, site);
-  else fetchFromDblpApi(query_url, node, title, authorA, year, site);
+// the badges added after node, the last one of site.rankSpanList first as before
+function appendRankSpans(node, result, year, site) {
+  let badges = [];
+  if (result.preprint) {
+    badges.push(getPreprintLink(result.preprint));
+  }
+  for (let getRankSpan of site.rankSpanList) {
+    badges.unshift(getRankSpan(result.refine, result.type, year, result));
+  }
+  $(node).after(badges);
+  return badges;
 }
 
-function fetchFromCache(cached, node, title, authorA, year, site) {
-  console.debug('fetch from cache: %s (%s) "%s"', authorA, year, title);
-
-  let dblp_url = cached.dblp_url;
-  let resp = cached.resp;
-  let resp_flag = cached.flag;
-  // console.log("dblp_url: ", dblp_url);
-
-  //Find a new vul: rankDB lacks of `tacas` etc., but it does occur in file `dataGen`.
-  if (typeof dblp_url == "undefined" && resp_flag != false) {
-    dblp_abbr = resp.hit[0].info.number;
-    if (typeof dblp_abbr != "undefined" && isNaN(dblp_abbr)) {
-      // console.log("dblp_abbr: ", dblp_abbr);
-    } else {
-      dblp_abbr = resp.hit[0].info.venue;
-    }
-
-    for (let getRankSpan of site.rankSpanList) {
-      // console.log("with abbr");
-      $(node).after(getRankSpan(dblp_abbr, "abbr"));
-    }
-  } else if (dblp_url == "/journals/pacmpl/pacmpl") {
-    // Process PACM PL conferences using helper function
-    dblp_url = processPacmPlJournal(resp);
+// secondary mark of a paper published at a venue that is also on arXiv
+function getPreprintLink(info) {
+  return $("<a>")
+    .addClass("ccf-arxiv")
+    .attr("href", info.url)
+    .attr("target", "_blank")
+    .attr("title", 'Also on arXiv: "' + info.title + '"')
+    .text("also on arXiv");
+}
 
-    for (let getRankSpan of site.rankSpanList) {
-      $(node).after(getRankSpan(dblp_url, "url"));
-    }
-  } else {
-    // console.log("dblp_url is not empty");
-    for (let getRankSpan of site.rankSpanList) {
-      // console.log("with url");
-      $(node).after(getRankSpan(dblp_url, "url"));
-    }
+// distance of a node to the viewport in pixels, 0 if it is visible; lookups of rows close to
+// it go first, see scheduler.fetchJson
+function getViewportDistance(node) {
+  if (!node || !node.getBoundingClientRect) {
+    return Infinity;
+  }
+  let rect = node.getBoundingClientRect();
+  if (rect.width == 0 && rect.height == 0) {
+    // not displayed
+    return Infinity;
+  } else if (rect.bottom < 0) {
+    return -rect.bottom;
+  } else if (rect.top > window.innerHeight) {
+    return rect.top - window.innerHeight;
   }
+  return 0;
 }
 
-function fetchFromDblpApi(query_url, node, title, authorA, year, site) {
-  console.debug('fetch from API: %s (%s) "%s"', authorA, year, title);
-  console.debug("query url: %s", query_url);
-
-  var xhr = new XMLHttpRequest();
-  xhr.open("GET", query_url, true);
-  var resp_flag = true;
-  xhr.onreadystatechange = function () {
-    if (xhr.readyState == 4) {
-      var dblp_url = "";
-      var resp = JSON.parse(xhr.responseText).result.hits;
-      if (resp["@total"] == 0) {
-        dblp_url == "";
-        resp_flag = false;
-      } else if (resp["@total"] == 1) {
-        url = resp.hit[0].info.url;
-        dblp_url = url.substring(
-          url.indexOf("/rec/") + 4,
-          url.lastIndexOf("/"),
-        );
-      } else {
-        for (var h = 0; h < resp["@sent"]; h++) {
-          info = resp.hit[h].info;
-
-          var cur_venue = info.type;
-          if (cur_venue == "Informal Publications") continue;
-
-          if (Array.isArray(info.authors.author)) {
-            author_1st = info.authors.author[0].text;
-          } else {
-            author_1st = info.authors.author.text;
-          }
-          year_fuzzy = info.year;
-          year_last_check = 0;
-          if (
-            Math.abs(Number(year) - year_fuzzy) <= 1 &&
-            // && author_1st.toLowerCase().split(" ").indexOf(authorA.toLowerCase()) != -1
-            author_1st.toLowerCase().split(" ") &&
-            year_fuzzy != year_last_check
-          ) {
-            year_last_check = year_fuzzy;
-            url = resp.hit[h].info.url;
-            dblp_url_last_check = url.substring(
-              url.indexOf("/rec/") + 4,
-              url.lastIndexOf("/"),
-            );
-            if (year_fuzzy == year + 1) {
-              dblp_url = dblp_url_last_check;
-            } else if (year_fuzzy == year) {
-              dblp_url = dblp_url_last_check;
-              break;
-            } else {
-              if (dblp_url == "") {
-                dblp_url = dblp_url_last_check;
-              }
-            }
-          }
-        }
-      }
-      dblp_url = ccf.rankDb[dblp_url];
-      apiCache.setItem(query_url, {
-        dblp_url: dblp_url,
-        resp: resp,
-        flag: resp_flag,
-      });
-
-      //Find a new vul: rankDB lacks of `tacas` etc., but it does occur in file `dataGen`.
-      if (typeof dblp_url == "undefined" && resp_flag != false) {
-        dblp_abbr = resp.hit[0].info.number;
-        if (typeof dblp_abbr != "undefined" && isNaN(dblp_abbr)) {
-        } else {
-          dblp_abbr = resp.hit[0].info.venue;
-        }
-        for (let getRankSpan of site.rankSpanList) {
-          // console.log("with abbr");
-          $(node).after(getRankSpan(dblp_abbr, "abbr"));
-        }
-      }
-      // @kaixuan: Here, we need to process the four PL confs (oopsla, popl, pldi, and icfp) in two branches.
-      // They are wrongly recognized as journals in the dblp api since they are published in PACMPL.
-      // So, we need to parse the number info from the response and determine the dblp_url accordingly.
-      // Process PACM PL conferences using centralized logic
-      else if (dblp_url == "/journals/pacmpl/pacmpl") {
-        dblp_url = processPacmPlJournal(resp);
+function getFailedSpan(err, retry) {
+  let span = $("<span>")
+    .addClass("ccf-rank")
+    .addClass("ccf-failed")
+    .attr("data-error", err.kind || "unknown")
+    .attr("title", err.message + "\nClick to retry")
+    .text("dblp: " + (failedLabels[err.kind] || "failed") + " ↻");
+  span.on("click", function (event) {
+    event.preventDefault();
+    event.stopPropagation();
+    span.remove();
+    updateRetryButton();
+    retry();
+  });
+  return span;
+}
 
-        for (let getRankSpan of site.rankSpanList) {
-          $(node).after(getRankSpan(dblp_url, "url"));
-        }
-      } else {
-        for (let getRankSpan of site.rankSpanList) {
-          // console.log("with url");
-          $(node).after(getRankSpan(dblp_url, "url"));
-        }
-      }
-    }
-    // for (let getRankSpan of site.rankSpanList) {
-    //   // console.log("with abbr");
-    //   $(node).after(getRankSpan(dblp_abbr, "abbr"));
-    // }
-    else {
-      for (let getRankSpan of site.rankSpanList) {
-        // console.log("with abbr");
-        $(node).after(getRankSpan(dblp_abbr, "abbr")); // I am not sure the difference between "abbr" and "url"
-      }
-    }
-  };
-  xhr.send();
+// "retry all failed" button of the page, shown while a lookup has failed
+function updateRetryButton() {
+  let failed = $(".ccf-failed").length;
+  let button = $("#ccf-retry-failed");
+  if (failed == 0) {
+    button.remove();
+    return;
+  }
+  if (button.length == 0) {
+    button = $("<button>")
+      .attr("id", "ccf-retry-failed")
+      .attr("type", "button")
+      .on("click", function () {
+        $(".ccf-failed").trigger("click");
+      })
+      .appendTo("body");
+  }
+  button.text("Retry all failed (" + failed + ")");
 }
@@ -6,6 +6,7 @@
 
 const filter = {
   currentFilter: "ALL",
+  currentArea: "ALL",
   processedEntries: new Set(),
 
   init() {
@@ -16,6 +17,19 @@ const filter = {
     this.createFilterButtons();
     this.bindEvents();
     this.setupInfiniteScrollHandler();
+    this.setupRankReadyHandler();
+  },
+
+  // badges are filled in after the entries are listed, see rankService.getRankSpan
+  setupRankReadyHandler() {
+    document.addEventListener(
+      "ccf-rank-ready",
+      this.debounce(() => {
+        if (this.currentFilter !== "ALL" || this.currentArea !== "ALL") {
+          this.applyFilter(false);
+        }
+      }, 200),
+    );
   },
 
   createFilterButtons() {
@@ -26,7 +40,17 @@ const filter = {
       <button data-rank="A">CCF A</button>
       <button data-rank="B">CCF B</button>
       <button data-rank="C">CCF C</button>
+      <select class="ccf-filter-area">
+        <option value="ALL">All areas</option>
+      </select>
     `;
+    const areaSelect = filterDiv.querySelector(".ccf-filter-area");
+    for (const [area, name] of Object.entries(ccf.areaNames)) {
+      const option = document.createElement("option");
+      option.value = area;
+      option.textContent = name;
+      areaSelect.appendChild(option);
+    }
     document.body.appendChild(filterDiv);
   },
 
@@ -64,22 +88,18 @@ const filter = {
 
       this.processedEntries.add(entryId);
 
-      const hasCCFC = entry.textContent.includes("CCF C");
-      const hasCCFB = entry.textContent.includes("CCF B");
-      const hasCCFA = entry.textContent.includes("CCF A");
-
-      let shouldShow = false;
-
-      if (this.currentFilter === "ALL") {
-        shouldShow = true;
-      } else if (this.currentFilter === "C" && hasCCFC) {
-        shouldShow = true;
-      } else if (this.currentFilter === "B" && hasCCFB) {
-        shouldShow = true;
-      } else if (this.currentFilter === "A" && hasCCFA) {
-        shouldShow = true;
+      // the CCF badge carries its rank and areas, see ccf.getRankSpan
+      let selector = ".ccf-rank";
+      if (this.currentFilter !== "ALL") {
+        selector += `[data-rank~="${this.currentFilter}"]`;
+      }
+      if (this.currentArea !== "ALL") {
+        selector += `[data-area~="${this.currentArea}"]`;
       }
 
+      const shouldShow =
+        selector === ".ccf-rank" || entry.querySelector(selector) !== null;
+
       const currentlyVisible = entry.style.display !== "none";
       if (currentlyVisible !== shouldShow || !preserveExisting) {
         entry.style.display = shouldShow ? "" : "none";
@@ -111,5 +131,11 @@ const filter = {
         this.applyFilter(false);
       }
     });
+    document
+      .querySelector(".ccf-filter-area")
+      .addEventListener("change", (e) => {
+        this.currentArea = e.target.value;
+        this.applyFilter(false);
+      });
   },
 };
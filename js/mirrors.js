@@ -0,0 +1,187 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// dblp is served from several hosts. Queries are written against https://dblp.org (that url
+// is also their cache key) and sent to the mirror the user chose first, then to the others
+// if it fails or is too slow. A mirror failing again and again is skipped for a while, the
+// worker keeps that in chrome.storage.session as it may be stopped in the meantime.
+
+const mirrors = {};
+
+mirrors.list = [
+  { host: "https://dblp.org", name: "dblp.org" },
+  { host: "https://dblp.uni-trier.de", name: "Universität Trier" },
+  { host: "https://dblp.dagstuhl.de", name: "Schloss Dagstuhl" },
+];
+
+// host tried first, chosen on the options page
+mirrors.primary = mirrors.list[0].host;
+// never query dblp, papers are only found in the offline index (see js/titleIndex.js) and
+// by the venue names and DOIs the sites show
+mirrors.offline = false;
+// give up on a mirror that has not answered after this long and try the next one
+mirrors.timeout = 8000;
+// failures in a row before a mirror is skipped, and for how long
+mirrors.maxFailures = 3;
+mirrors.skipDuration = 5 * 60 * 1000;
+
+// { host: { failures, skipUntil } }, skipUntil is a time so it also holds after a restart
+mirrors.health = {};
+mirrors.healthKey = "mirrorHealth";
+
+// storage.session is cleared with the browser, storage.local where there is none
+mirrors.getHealthStorage = function () {
+  return chrome.storage.session || chrome.storage.local;
+};
+
+// read the user choice from the extension storage, once, and follow its changes
+mirrors.load = function () {
+  if (mirrors.loading === undefined) {
+    chrome.storage.onChanged.addListener(function (changes, area) {
+      if (area == "sync" && changes.mirror) {
+        mirrors.primary = changes.mirror.newValue;
+      }
+      if (area == "sync" && changes.offline) {
+        mirrors.offline = changes.offline.newValue;
+      }
+    });
+    let choice = new Promise(function (resolve) {
+      chrome.storage.sync.get(
+        { mirror: mirrors.primary, offline: mirrors.offline },
+        function (items) {
+          if (mirrors.list.some((mirror) => mirror.host == items.mirror)) {
+            mirrors.primary = items.mirror;
+          }
+          mirrors.offline = items.offline;
+          resolve();
+        },
+      );
+    });
+    let health = mirrors
+      .getHealthStorage()
+      .get(mirrors.healthKey)
+      .then(function (items) {
+        // failures reported before it was read are kept
+        mirrors.health = { ...items[mirrors.healthKey], ...mirrors.health };
+      })
+      .catch(function (err) {
+        console.warn("cannot read the dblp mirror health: %s", err.message);
+      });
+    mirrors.loading = Promise.all([choice, health]);
+  }
+  return mirrors.loading;
+};
+
+mirrors.save = function (host, callback) {
+  mirrors.primary = host;
+  chrome.storage.sync.set({ mirror: host }, callback);
+};
+
+mirrors.setOffline = function (offline, callback) {
+  mirrors.offline = offline;
+  chrome.storage.sync.set({ offline: offline }, callback);
+};
+
+// hosts in the order they are tried: the primary one first, skipped ones last
+mirrors.getHosts = function () {
+  let hosts = mirrors.list.map((mirror) => mirror.host);
+  hosts.sort((a, b) => (b == mirrors.primary) - (a == mirrors.primary));
+  let now = Date.now();
+  let skipped = (host) =>
+    mirrors.health[host] !== undefined && mirrors.health[host].skipUntil > now;
+  return [...hosts.filter((host) => !skipped(host)), ...hosts.filter(skipped)];
+};
+
+// "https://dblp.org/search/publ/api?q=..." on another host
+mirrors.getUrl = function (url, host) {
+  return host + url.substring(url.indexOf("/", url.indexOf("//") + 2));
+};
+
+mirrors.saveHealth = function () {
+  mirrors
+    .getHealthStorage()
+    .set({ [mirrors.healthKey]: mirrors.health })
+    .catch(function (err) {
+      console.warn("cannot save the dblp mirror health: %s", err.message);
+    });
+};
+
+mirrors.reportSuccess = function (host) {
+  let health = mirrors.health[host];
+  if (health === undefined || health.failures != 0 || health.skipUntil != 0) {
+    mirrors.health[host] = { failures: 0, skipUntil: 0 };
+    mirrors.saveHealth();
+  }
+};
+
+mirrors.reportFailure = function (host) {
+  let health = mirrors.health[host] || { failures: 0, skipUntil: 0 };
+  health.failures++;
+  if (health.failures >= mirrors.maxFailures) {
+    console.warn("dblp mirror %s keeps failing, skipping it", host);
+    health.failures = 0;
+    health.skipUntil = Date.now() + mirrors.skipDuration;
+  }
+  mirrors.health[host] = health;
+  mirrors.saveHealth();
+};
+
+// 429, and 503 with a Retry-After: dblp asks to slow down, the caller waits and retries. A
+// 503 without one is a mirror down for maintenance, the next one is tried.
+mirrors.isThrottled = function (response) {
+  return (
+    response.status == 429 ||
+    (response.status == 503 && response.headers.has("Retry-After"))
+  );
+};
+
+// fetch a dblp url from the first mirror that answers; an unreachable or slow mirror and a
+// server error move on to the next one, throttling (see mirrors.isThrottled) is left to the
+// caller.
+// Aborting signal stops the whole attempt.
+mirrors.fetch = function (url, signal) {
+  let hosts;
+  let attempt = function (i) {
+    let host = hosts[i];
+    let last = i == hosts.length - 1;
+    let controller = new AbortController();
+    let abort = () => controller.abort();
+    let timer = setTimeout(abort, mirrors.timeout);
+    // the caller may still abort reading the body of the answer
+    signal.addEventListener("abort", abort);
+    let failed = function () {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", abort);
+      mirrors.reportFailure(host);
+    };
+    return fetch(mirrors.getUrl(url, host), { signal: controller.signal }).then(
+      function (response) {
+        if (response.status >= 500 && !mirrors.isThrottled(response)) {
+          failed();
+          return last ? response : attempt(i + 1);
+        }
+        clearTimeout(timer);
+        mirrors.reportSuccess(host);
+        return response;
+      },
+      function (err) {
+        if (signal.aborted) {
+          throw err;
+        }
+        failed();
+        if (last) {
+          throw err;
+        }
+        console.debug("dblp mirror %s failed, trying the next one", host);
+        return attempt(i + 1);
+      },
+    );
+  };
+  return mirrors.load().then(function () {
+    hosts = mirrors.getHosts();
+    return attempt(0);
+  });
+};
@@ -0,0 +1,142 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+const options = {};
+
+options.showStatus = function (text) {
+  const status = document.getElementById("status");
+  status.textContent = text;
+  setTimeout(function () {
+    status.textContent = "";
+  }, 1500);
+};
+
+// one row per provider, one checkbox per site
+options.renderProviders = function () {
+  const table = document.getElementById("providers");
+  const header = table.insertRow();
+  header.appendChild(document.createElement("th"));
+  for (let site in provider.sites) {
+    const th = document.createElement("th");
+    th.textContent = provider.sites[site];
+    header.appendChild(th);
+  }
+
+  for (let rankProvider of provider.list) {
+    const row = table.insertRow();
+    row.insertCell().textContent = rankProvider.name;
+    for (let site in provider.sites) {
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = provider.isEnabled(rankProvider.id, site);
+      checkbox.addEventListener("change", function () {
+        provider.setEnabled(rankProvider.id, site, checkbox.checked);
+        provider.save(function () {
+          options.showStatus("Saved. Reload the page to apply.");
+        });
+      });
+      row.insertCell().appendChild(checkbox);
+    }
+  }
+};
+
+// the dblp mirror tried first and offline mode, see js/mirrors.js
+options.renderMirrors = function () {
+  const select = document.getElementById("mirror");
+  for (let mirror of mirrors.list) {
+    const option = document.createElement("option");
+    option.value = mirror.host;
+    option.textContent = mirror.name + " (" + mirror.host + ")";
+    option.selected = mirror.host == mirrors.primary;
+    select.appendChild(option);
+  }
+  select.addEventListener("change", function () {
+    mirrors.save(select.value, function () {
+      options.showStatus("Saved.");
+    });
+  });
+
+  const offline = document.getElementById("offline");
+  offline.checked = mirrors.offline;
+  offline.addEventListener("change", function () {
+    mirrors.setOffline(offline.checked, function () {
+      options.showStatus("Saved.");
+    });
+  });
+};
+
+options.changeSections = {
+  added: "Added",
+  removed: "Removed",
+  promoted: "Promoted",
+  demoted: "Demoted",
+  renamed: "Renamed",
+  moved: "Moved to another dblp path",
+};
+
+options.describeChange = function (section, venue) {
+  const title = (abbr, name) => (abbr == "" ? name : abbr + " (" + name + ")");
+  const streams = (list) =>
+    list.length == 0 ? "not in dblp" : list.join(", ");
+  let text = title(venue.abbr, venue.name);
+  if (section == "added") {
+    text += ": " + ccf.getRankText(venue.rank);
+  } else if (section == "removed") {
+    text += ": was " + ccf.getRankText(venue.rank);
+  } else if (section == "promoted" || section == "demoted") {
+    text +=
+      ": " + ccf.getRankText(venue.from) + " → " + ccf.getRankText(venue.rank);
+  } else if (section == "renamed") {
+    text = title(venue.fromAbbr, venue.fromName) + " → " + text;
+  } else if (section == "moved") {
+    text += ": " + streams(venue.from) + " → " + streams(venue.dblp_streams);
+  }
+  return text;
+};
+
+// changes of the bundled CCF data since the previous release, see data/dataGen.js
+options.renderChanges = function () {
+  const container = document.getElementById("changes");
+  const changes = ccf.rankChanges;
+  if (changes === undefined) {
+    container.textContent = "No changes recorded.";
+    return;
+  }
+  const intro = document.createElement("p");
+  intro.textContent =
+    "Since version " + changes.since + " (updated " + changes.date + "):";
+  container.appendChild(intro);
+
+  let empty = true;
+  for (let section in options.changeSections) {
+    if (changes[section].length == 0) {
+      continue;
+    }
+    empty = false;
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent =
+      options.changeSections[section] + " (" + changes[section].length + ")";
+    details.appendChild(summary);
+    const list = document.createElement("ul");
+    for (let venue of changes[section]) {
+      const item = document.createElement("li");
+      item.textContent = options.describeChange(section, venue);
+      list.appendChild(item);
+    }
+    details.appendChild(list);
+    container.appendChild(details);
+  }
+  if (empty) {
+    intro.textContent += " no changes.";
+  }
+};
+
+document.addEventListener("DOMContentLoaded", function () {
+  provider.load(options.renderProviders);
+  mirrors.load().then(options.renderMirrors);
+  options.renderChanges();
+});
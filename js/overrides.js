@@ -0,0 +1,50 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// Venues users pinned for a paper the automatic match got wrong (see js/correction.js), kept
+// in chrome.storage.local by DOI and by title so the paper is recognized on every site.
+// Used by the background worker only.
+
+const overrides = {};
+
+// not under the prefix of the cache, evicting it keeps them (see js/apiCache.js)
+overrides.keyPrefix = "CCFrankOverride_";
+
+// storage keys of a paper, its DOI first; paper may also be { db } of a dblp venue page
+overrides.getKeys = function (paper) {
+  let keys = [];
+  if (paper.db) {
+    keys.push(overrides.keyPrefix + "db:" + paper.db);
+  }
+  let doi = resolver.normalizeDoi(paper.doi);
+  if (doi) {
+    keys.push(overrides.keyPrefix + "doi:" + doi);
+  }
+  if (paper.title) {
+    keys.push(
+      overrides.keyPrefix + "title:" + resolver.normalizeTitle(paper.title),
+    );
+  }
+  return keys;
+};
+
+// { venue } of a paper, venue is a dblp stream or null for "not ranked"; undefined if the
+// user did not correct it
+overrides.get = function (paper) {
+  let keys = overrides.getKeys(paper);
+  return chrome.storage.local.get(keys).then(function (items) {
+    let key = keys.find((key) => items[key] !== undefined);
+    return key === undefined ? undefined : items[key];
+  });
+};
+
+overrides.set = function (paper, venue) {
+  let items = {};
+  for (let key of overrides.getKeys(paper)) {
+    items[key] = { venue: venue, date: Date.now() };
+  }
+  return chrome.storage.local.set(items);
+};
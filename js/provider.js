@@ -0,0 +1,83 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+const provider = {};
+
+// every ranking system (CCF, CORE, ...) registers itself here
+provider.list = [];
+
+// sites the providers can be switched on or off for, see script.js
+provider.sites = {
+  dblp: "dblp",
+  scholar: "Google Scholar",
+  connectedpapers: "Connected Papers",
+  semanticscholar: "Semantic Scholar",
+  wos: "Web of Science",
+};
+
+// user choices, { site: { providerId: true | false } }
+provider.settings = {};
+
+// register a ranking system:
+// {
+//   id: "ccf", name: "CCF", enabledByDefault: true,
+//   dataFile: "data/ccfVenues.json",     venue table loaded by the background worker
+//   setData: function (data),            called with it there
+//   getRankInfo: function (refine, type, year, versions),
+//                                        runs in the worker, see rankService.listen;
+//                                        versions of the paper at other venues, if any,
+//                                        see resolver.fromHits
+//   getRankSpan: function (refine, type, year, source)
+//                                        runs in the page, see rankService.getRankSpan
+// }
+provider.register = function (rankProvider) {
+  if (provider.get(rankProvider.id)) {
+    console.warn("ranking provider %s is already registered", rankProvider.id);
+    return;
+  }
+  provider.list.push(rankProvider);
+};
+
+provider.get = function (id) {
+  return provider.list.find((p) => p.id == id);
+};
+
+provider.isEnabled = function (id, site) {
+  let choices = provider.settings[site] || {};
+  if (typeof choices[id] == "boolean") {
+    return choices[id];
+  }
+  let rankProvider = provider.get(id);
+  return rankProvider ? rankProvider.enabledByDefault !== false : false;
+};
+
+// read the user choices from the extension storage
+provider.load = function (callback) {
+  chrome.storage.sync.get({ providers: {} }, function (items) {
+    provider.settings = items.providers || {};
+    callback();
+  });
+};
+
+provider.save = function (callback) {
+  chrome.storage.sync.set({ providers: provider.settings }, callback);
+};
+
+provider.setEnabled = function (id, site, enabled) {
+  if (!provider.settings[site]) {
+    provider.settings[site] = {};
+  }
+  provider.settings[site][id] = enabled;
+};
+
+// add the badge renderer of every enabled provider to the site's rankSpanList
+provider.attach = function (site, siteName) {
+  for (let rankProvider of provider.list) {
+    if (provider.isEnabled(rankProvider.id, siteName)) {
+      site.rankSpanList.push(rankProvider.getRankSpan);
+    }
+  }
+};
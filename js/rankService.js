@@ -0,0 +1,269 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// The background worker (background.js) loads the venue tables once and looks up paper venues
+// on dblp for all sites, with one cache and one request queue (see js/resolver.js). Content
+// scripts ask it with chrome.runtime.sendMessage.
+
+const rankService = {};
+
+// background: fetch the venue table of every provider the first time a page asks for a rank
+rankService.load = function () {
+  if (rankService.loading === undefined) {
+    rankService.loading = Promise.all(
+      provider.list.map(function (rankProvider) {
+        return fetch(chrome.runtime.getURL(rankProvider.dataFile))
+          .then((response) => response.json())
+          .then(rankProvider.setData);
+      }),
+    );
+    // try again on the next request if a table could not be read
+    rankService.loading.catch(function () {
+      rankService.loading = undefined;
+    });
+  }
+  return rankService.loading;
+};
+
+// background: rank info of a provider, see ccf.getRankInfo
+rankService.lookup = function (id, refine, type, year, versions) {
+  return rankService.load().then(function () {
+    return provider.get(id).getRankInfo(refine, type, year, versions);
+  });
+};
+
+// background: what the worker answers, by message action
+rankService.handlers = {
+  // { provider, refine, type, year, versions, paper }; paper is set for badges the resolver
+  // did not find, the venue the user pinned for it wins (see js/overrides.js)
+  getRankInfo: function (message) {
+    let pinned = message.paper
+      ? overrides.get(message.paper)
+      : Promise.resolve(undefined);
+    return pinned.then(function (pinned) {
+      if (pinned !== undefined) {
+        return rankService.lookup(
+          message.provider,
+          pinned.venue,
+          "pinned",
+          message.year,
+        );
+      }
+      return rankService.lookup(
+        message.provider,
+        message.refine,
+        message.type,
+        message.year,
+        message.versions,
+      );
+    });
+  },
+  // { paper }, see resolver.resolve
+  resolve: function (message) {
+    return resolver.resolve(message.paper);
+  },
+  // { query }, see ccf.searchVenues
+  searchVenues: function (message) {
+    return rankService.load().then(function () {
+      return ccf.searchVenues(message.query, 20);
+    });
+  },
+  // { paper, venue }, see overrides.set
+  setOverride: function (message) {
+    return overrides.set(message.paper, message.venue).then(() => ({}));
+  },
+};
+
+rankService.listen = function () {
+  chrome.runtime.onMessage.addListener(
+    function (message, sender, sendResponse) {
+      let handler = rankService.handlers[message.action];
+      if (handler === undefined) {
+        return false;
+      }
+      handler(message).then(sendResponse, function (err) {
+        console.error("%s failed", message.action, err);
+        sendResponse({ error: err.message, kind: err.kind });
+      });
+      // the response is sent asynchronously
+      return true;
+    },
+  );
+};
+
+// content script: send a message to the worker, rejects with the error it answered,
+// see scheduler.error for its kind
+rankService.send = function (message) {
+  return new Promise(function (resolve, reject) {
+    chrome.runtime.sendMessage(message, function (response) {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response === undefined || response.error) {
+        let err = new Error(response ? response.error : "no response");
+        err.kind = response && response.kind;
+        reject(err);
+      } else {
+        resolve(response);
+      }
+    });
+  });
+};
+
+// content script: rank info of a provider, see ccf.getRankInfo
+rankService.getRankInfo = function (id, refine, type, year, versions, paper) {
+  return rankService.send({
+    action: "getRankInfo",
+    provider: id,
+    refine: refine,
+    type: type,
+    year: year,
+    versions: versions,
+    paper: paper,
+  });
+};
+
+// content script: venue of a paper, see resolver.resolve
+rankService.resolve = function (paper) {
+  return rankService.send({ action: "resolve", paper: paper });
+};
+
+// content script: a badge shown right away and filled by render(span, rankInfo)
+// once the worker answers; "ccf-rank-ready" lets the filter re-check the entry.
+// source is the resolver result the venue came from, if any (see js/resolver.js), with
+// correct(span) to let the user pin another venue for the paper; the badge also ranks
+// the other versions it found. Badges added without the resolver pass { paper, correct },
+// see correction.getSource
+rankService.getRankSpan = function (id, refine, type, year, render, source) {
+  let span = $("<span>")
+    .addClass("ccf-rank")
+    .addClass("ccf-loading")
+    .text(provider.get(id).name + " …");
+  rankService
+    .getRankInfo(
+      id,
+      refine,
+      type,
+      year,
+      source && source.versions,
+      source && source.paper,
+    )
+    .then(
+      function (rankInfo) {
+        span.removeClass("ccf-loading");
+        render(span, rankInfo);
+        if (source) {
+          rankService.describeSource(span, source, rankInfo);
+          if (source.uncertain) {
+            rankService.markUncertain(span, source);
+          }
+        }
+      },
+      function (err) {
+        span
+          .removeClass("ccf-loading")
+          .addClass("ccf-none")
+          .attr("title", err.message)
+          .text(provider.get(id).name + " ?");
+      },
+    )
+    .then(function () {
+      span[0].dispatchEvent(
+        new CustomEvent("ccf-rank-ready", { bubbles: true }),
+      );
+    });
+  return span;
+};
+
+// the tooltip of a badge, added if the provider did not give it one
+rankService.getTooltip = function (span) {
+  let tooltip = span.find(".ccf-tooltiptext");
+  if (tooltip.length == 0) {
+    tooltip = $("<pre>").addClass("ccf-tooltiptext");
+    span.addClass("ccf-tooltip").append(tooltip);
+  }
+  return tooltip;
+};
+
+// how the resolver found the venue, see resolver.finders
+rankService.strategyNames = {
+  override: "your correction",
+  offline: "offline title index",
+  cache: "earlier dblp lookup",
+  local: "venue shown on the page",
+  doi: "DOI",
+  dblp: "dblp title search",
+  none: "nothing",
+};
+
+// how the venue table matched it, see ccf.lookupVenue
+rankService.matchNames = {
+  url: "exact dblp URL",
+  abbr: "abbreviation",
+  meeting: "abbreviation in the meeting name",
+  name: "full name",
+  alias: "alias",
+  fuzzy: "fuzzy name match",
+  issue: "journal issue of the proceedings",
+  satellite: "workshop or companion volume",
+  pinned: "your correction",
+};
+
+// the dblp record a badge was taken from and how, so users can judge it
+rankService.describeSource = function (span, source, rankInfo) {
+  let tooltip = rankService.getTooltip(span);
+  let hit = source.hit;
+  if (hit) {
+    let authors = hit.authors ? [].concat(hit.authors.author) : [];
+    let record = "\nMatched dblp record:\n" + hit.title + "\n";
+    if (authors.length != 0) {
+      record += authors.map((author) => author.text).join(", ") + "\n";
+    }
+    record += [].concat(hit.venue).join(", ") + " " + hit.year + "\n";
+    tooltip.append(
+      document.createTextNode(record),
+      $("<a>").attr("href", hit.url).attr("target", "_blank").text(hit.url),
+      document.createTextNode("\n"),
+    );
+  }
+  let how = [];
+  if (source.strategy) {
+    how.push(rankService.strategyNames[source.strategy] || source.strategy);
+  }
+  let venue = rankInfo.venues && rankInfo.venues[0];
+  if (venue && venue.key !== undefined) {
+    how.push("venue by " + rankService.matchNames[venue.matchedBy]);
+  }
+  if (how.length != 0) {
+    tooltip.append(
+      document.createTextNode("Found by: " + how.join(", ") + "\n"),
+    );
+  }
+  if (source.correct) {
+    tooltip.append(
+      $("<a>")
+        .addClass("ccf-correct")
+        .attr("href", "#")
+        .text("Correct this…")
+        .on("click", function (event) {
+          event.preventDefault();
+          event.stopPropagation();
+          source.correct(span);
+        }),
+    );
+  }
+};
+
+// the dblp hit the venue was taken from may be another paper
+rankService.markUncertain = function (span, source) {
+  let tooltip = rankService.getTooltip(span);
+  span.addClass("ccf-uncertain");
+  tooltip.before(" ?");
+  tooltip.append(
+    document.createTextNode(
+      "Uncertain match (score " + source.score + "), check the record above\n",
+    ),
+  );
+};
@@ -0,0 +1,398 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp), FlyingFog (https://github.com/FlyingFog), mra42 (https://github.com/mra42), dozed (https://github.com/dozed)
+ */
+
+// Finds the venue of a paper listed on Scholar, Connected Papers, Semantic Scholar or WoS,
+// runs in the background worker (see js/rankService.js).
+//
+// resolver.resolve(paper) takes { title, author, year, venue, doi, distance } (venue is the
+// free-text venue and doi the DOI or DOI link shown by the site, if any, distance how far the
+// row is from the viewport, see scheduler.fetchJson) and resolves to
+// {
+//   refine, type   what to look the venue up by, see ccf.lookupVenue
+//   strategy       id of the finder that found it, "none" if none did
+//   hit            dblp search hit it was taken from, if any, see resolver.getHitSummary
+//   score          how well that hit matches the paper, see resolver.scoreHit
+//   uncertain      true if even the best hit did not match well enough
+//   preprint       dblp hit of the arXiv (CoRR) version, if the paper was also published
+//   versions       other published versions at another venue, the conference paper of a
+//                  journal article or the other way round, [{ refine, type, year }]
+// }
+// Finders are tried in order until one returns a result.
+// In offline mode (see mirrors.offline) no finder queries dblp.
+
+const resolver = {};
+
+// dblp search query of a paper, also its cache key
+resolver.getQueryUrl = function (paper) {
+  const version = chrome.runtime.getManifest().version;
+  return (
+    "https://dblp.org/search/publ/api?q=" +
+    encodeURIComponent(
+      paper.title + (paper.author ? "  author:" + paper.author : ""),
+    ) +
+    "&format=json&app=CCFrank4dblp_" +
+    version
+  );
+};
+
+// dblp search query of a DOI, also its cache key
+resolver.getDoiQueryUrl = function (doi) {
+  const version = chrome.runtime.getManifest().version;
+  return (
+    "https://dblp.org/search/publ/api?q=" +
+    encodeURIComponent(doi) +
+    "&format=json&app=CCFrank4dblp_" +
+    version
+  );
+};
+
+// DOI in a link or text, "https://doi.org/10.1145/3368089.3409747" -> "10.1145/3368089.3409747",
+// undefined if there is none
+resolver.normalizeDoi = function (text) {
+  let match = /10\.\d{4,9}\/[^\s"<>]+/.exec(
+    String(text || "").replace(/%2F/gi, "/"),
+  );
+  return match ? match[0].replace(/[.,;)\]]+$/, "").toLowerCase() : undefined;
+};
+
+// whether a dblp hit links the DOI ("ee" holds one or more electronic editions)
+resolver.hitHasDoi = function (info, doi) {
+  let ee = info.ee === undefined ? [] : [].concat(info.ee);
+  return ee.some((url) => resolver.normalizeDoi(url) == doi);
+};
+
+// venue path of a dblp record url, "https://dblp.org/rec/conf/icse/X20" -> "/conf/icse"
+resolver.getVenuePath = function (url) {
+  return url.substring(url.indexOf("/rec/") + 4, url.lastIndexOf("/"));
+};
+
+// abbreviation of a hit: its issue ("number") unless that is numeric, else its venue
+resolver.getHitAbbr = function (info) {
+  if (typeof info.number != "undefined" && isNaN(info.number)) {
+    return info.number;
+  }
+  return info.venue;
+};
+
+// what the badges show of a hit (see rankService.describeSource), all the cache keeps of it
+resolver.getHitSummary = function (info) {
+  let authors = info.authors ? [].concat(info.authors.author) : [];
+  return {
+    title: info.title,
+    authors: { author: authors.map((author) => ({ text: author.text })) },
+    venue: info.venue,
+    year: info.year,
+    url: info.url,
+  };
+};
+
+// a hit describes the paper if its title is at least this similar and its score,
+// see resolver.scoreHit, reaches the threshold
+resolver.minTitleSimilarity = 0.8;
+resolver.threshold = 0.75;
+
+// title as compared: lower case, without LaTeX markup, diacritics and punctuation; shared
+// with the offline index so its keys match
+resolver.normalizeTitle = titleIndex.normalizeTitle;
+
+// Dice coefficient of the words of both titles, 1 if they are the same
+resolver.getTitleSimilarity = function (a, b) {
+  let wordsA = new Set(resolver.normalizeTitle(a).split(" "));
+  let wordsB = new Set(resolver.normalizeTitle(b).split(" "));
+  wordsA.delete("");
+  wordsB.delete("");
+  if (wordsA.size + wordsB.size == 0) {
+    return 0;
+  }
+  let common = [...wordsA].filter((word) => wordsB.has(word)).length;
+  return (2 * common) / (wordsA.size + wordsB.size);
+};
+
+// 1 if the author the site shows is the first author of the hit, 0.5 for a co-author
+resolver.getAuthorScore = function (author, info) {
+  let name = resolver.normalizeTitle(author || "");
+  if (name == "") {
+    return 0.5;
+  }
+  let authors = info.authors ? info.authors.author : [];
+  if (!Array.isArray(authors)) {
+    authors = [authors];
+  }
+  for (let i = 0; i < authors.length; i++) {
+    // dblp tells namesakes apart by a number, "Wei Wang 0001"
+    let words = resolver.normalizeTitle(authors[i].text).split(" ");
+    if (words.includes(name)) {
+      return i == 0 ? 1 : 0.5;
+    }
+  }
+  return 0;
+};
+
+// 1 for the same year, 0.5 for an adjacent one (preprints, late proceedings)
+resolver.getYearScore = function (year, info) {
+  if (!Number(year)) {
+    return 0.5;
+  }
+  let diff = Math.abs(Number(year) - Number(info.year));
+  return diff == 0 ? 1 : diff == 1 ? 0.5 : 0;
+};
+
+// how well a hit describes the paper, between 0 and 1; informal publications (CoRR)
+// lose a little so the peer-reviewed version wins over its preprint
+resolver.scoreHit = function (paper, info) {
+  let title = resolver.getTitleSimilarity(paper.title, info.title);
+  let score =
+    0.6 * title +
+    0.25 * resolver.getAuthorScore(paper.author, info) +
+    0.15 * resolver.getYearScore(paper.year, info);
+  if (info.type == "Informal Publications") {
+    score -= 0.1;
+  }
+  return { title: title, score: Math.max(0, score) };
+};
+
+// an arXiv version dblp lists under CoRR
+resolver.isPreprint = function (info) {
+  return (
+    info.type == "Informal Publications" ||
+    resolver.getVenuePath(info.url) == "/journals/corr"
+  );
+};
+
+// result of a dblp search, looked up by venue path and by abbreviation if that is not
+// listed; uncertain if even the best hit is not good enough, without a venue if no hit is a
+// version of the paper (similar enough title). Of the versions a published one that matches
+// well enough wins over its preprint, the other published ones that do are kept as versions.
+resolver.fromHits = function (hits, paper) {
+  if (hits["@total"] == 0 || !hits.hit) {
+    return { refine: undefined, type: "url" };
+  }
+  let best;
+  let published;
+  let preprint;
+  let others = [];
+  for (let hit of hits.hit) {
+    let match = { info: hit.info, ...resolver.scoreHit(paper, hit.info) };
+    if (best === undefined || match.score > best.score) {
+      best = match;
+    }
+    if (match.title < resolver.minTitleSimilarity) {
+      continue;
+    }
+    if (!resolver.isPreprint(hit.info)) {
+      if (match.score >= resolver.threshold) {
+        others.push(match);
+      }
+      if (published === undefined || match.score > published.score) {
+        published = match;
+      }
+    } else if (preprint === undefined || match.score > preprint.score) {
+      preprint = match;
+    }
+  }
+  // no hit is the paper, its venue would be another paper's
+  if (published === undefined && preprint === undefined) {
+    return {
+      refine: undefined,
+      type: "url",
+      hit: resolver.getHitSummary(best.info),
+      score: Math.round(best.score * 100) / 100,
+      uncertain: true,
+    };
+  }
+  // a published hit that does not match well enough may be another paper of the same title
+  if (published !== undefined && published.score >= resolver.threshold) {
+    best = published;
+  } else if (published === undefined) {
+    best = preprint;
+  } else {
+    best =
+      preprint === undefined || published.score >= preprint.score
+        ? published
+        : preprint;
+  }
+  let result = {
+    refine: {
+      db: resolver.getVenuePath(best.info.url),
+      abbr: resolver.getHitAbbr(best.info),
+    },
+    type: "record",
+    hit: resolver.getHitSummary(best.info),
+    score: Math.round(best.score * 100) / 100,
+  };
+  if (best.score < resolver.threshold) {
+    result.uncertain = true;
+  }
+  if (best === published && preprint !== undefined) {
+    result.preprint = resolver.getHitSummary(preprint.info);
+  }
+  // a workshop paper and its full version may share the venue path, not the abbreviation
+  let venues = [result.refine.db + "\t" + result.refine.abbr];
+  let versions = [];
+  for (let match of others.sort((a, b) => b.score - a.score)) {
+    let refine = {
+      db: resolver.getVenuePath(match.info.url),
+      abbr: resolver.getHitAbbr(match.info),
+    };
+    if (!venues.includes(refine.db + "\t" + refine.abbr)) {
+      venues.push(refine.db + "\t" + refine.abbr);
+      versions.push({ refine: refine, type: "record", year: match.info.year });
+    }
+  }
+  if (versions.length != 0) {
+    result.versions = versions;
+  }
+  return result;
+};
+
+resolver.finders = [
+  {
+    id: "override",
+    // the venue the user pinned for the paper, see js/overrides.js
+    resolve: function (paper) {
+      return overrides.get(paper).then(function (pinned) {
+        return pinned && { refine: pinned.venue, type: "pinned" };
+      });
+    },
+  },
+  {
+    id: "offline",
+    // the optional index built from the dblp dump, see js/titleIndex.js
+    resolve: function (paper) {
+      return titleIndex.find(paper);
+    },
+  },
+  {
+    id: "cache",
+    resolve: function (paper) {
+      let queryUrls = [resolver.getQueryUrl(paper)];
+      if (paper.doi) {
+        queryUrls.unshift(resolver.getDoiQueryUrl(paper.doi));
+      }
+      return Promise.all(queryUrls.map(apiCache.getItem)).then((items) =>
+        items.find((cached) => cached),
+      );
+    },
+  },
+  {
+    id: "local",
+    // a venue name the site shows and the CCF list knows for sure, no search needed
+    resolve: function (paper) {
+      // a workshop or companion volume is easily taken for the main conference
+      if (
+        !paper.venue ||
+        ccf.satelliteKinds.some((kind) => kind.words.test(paper.venue))
+      ) {
+        return Promise.resolve(undefined);
+      }
+      return rankService
+        .lookup("ccf", paper.venue, "publication")
+        .then(function (rankInfo) {
+          let venue = rankInfo.venues[0];
+          // only exact names, a fuzzy match may be another venue; a journal publishing
+          // proceedings needs the issue of a dblp hit to tell the conference, see
+          // ccf.getIssueUrl
+          if (
+            venue.confidence != "high" ||
+            !["name", "abbr", "alias"].includes(venue.matchedBy) ||
+            ccf.data.issues[venue.stream] !== undefined
+          ) {
+            return undefined;
+          }
+          return { refine: venue.key, type: "url" };
+        });
+    },
+  },
+  {
+    id: "doi",
+    // the dblp record linking the DOI, else the proceedings series its prefix belongs to
+    resolve: function (paper) {
+      if (!paper.doi) {
+        return Promise.resolve(undefined);
+      }
+      let queryUrl = resolver.getDoiQueryUrl(paper.doi);
+      let found = mirrors.offline
+        ? Promise.resolve(undefined)
+        : scheduler.fetchJson(queryUrl, paper.distance).then(function (json) {
+            let hits = json.result && json.result.hits;
+            let hit = ((hits && hits.hit) || []).find((hit) =>
+              resolver.hitHasDoi(hit.info, paper.doi),
+            );
+            return (
+              hit && {
+                refine: {
+                  db: resolver.getVenuePath(hit.info.url),
+                  abbr: resolver.getHitAbbr(hit.info),
+                },
+                type: "record",
+                hit: resolver.getHitSummary(hit.info),
+                score: 1,
+              }
+            );
+          });
+      // dblp unreachable or throttled: the prefix table and the title search still run
+      found = found.catch(function (err) {
+        console.warn("dblp DOI query failed: %s", err.message);
+      });
+      return found.then(function (result) {
+        if (result !== undefined) {
+          apiCache.setItem(queryUrl, result);
+          return result;
+        }
+        return rankService
+          .lookup("ccf", paper.doi, "doi")
+          .then(function (rankInfo) {
+            let venue = rankInfo.venues[0];
+            return venue.key && { refine: venue.key, type: "url" };
+          });
+      });
+    },
+  },
+  {
+    id: "dblp",
+    resolve: function (paper) {
+      if (!paper.title || mirrors.offline) {
+        return Promise.resolve(undefined);
+      }
+      let queryUrl = resolver.getQueryUrl(paper);
+      console.debug("query url: %s", queryUrl);
+      return scheduler
+        .fetchJson(queryUrl, paper.distance)
+        .then(function (json) {
+          if (!json.result || !json.result.hits) {
+            throw scheduler.error("parse", "dblp answered without search hits");
+          }
+          let result = resolver.fromHits(json.result.hits, paper);
+          apiCache.setItem(queryUrl, result);
+          return result;
+        });
+    },
+  },
+];
+
+resolver.resolve = function (paper) {
+  paper = { ...paper, doi: resolver.normalizeDoi(paper.doi) };
+  let found = resolver.finders.reduce(
+    function (previous, finder) {
+      return previous.then(function (result) {
+        if (result !== undefined) {
+          return result;
+        }
+        return finder.resolve(paper).then(function (result) {
+          return result && { ...result, strategy: finder.id };
+        });
+      });
+    },
+    mirrors.load().then(() => undefined),
+  );
+
+  return found.then(function (result) {
+    if (result === undefined) {
+      result = { refine: undefined, type: "url", strategy: "none" };
+    }
+    return result;
+  });
+};
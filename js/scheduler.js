@@ -0,0 +1,161 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// Queue shared by the dblp API requests of all pages, run by the background worker: a few at
+// a time, rows in the viewport first, one request for the same query however many rows ask
+// for it, and a pause when dblp answers 429 Too Many Requests.
+
+const scheduler = {};
+
+// requests running at the same time
+scheduler.maxConcurrent = 2;
+// wait after a 429 without Retry-After, doubled on every further retry
+scheduler.backoffDelay = 2000;
+scheduler.maxBackoffDelay = 64000;
+scheduler.maxRetries = 5;
+// give up on a request no dblp mirror has answered after this long, see js/mirrors.js
+scheduler.timeout = 30000;
+
+scheduler.queue = [];
+scheduler.running = 0;
+// promise of every queued or running request by url
+scheduler.pending = new Map();
+// no request starts before this time after dblp throttled us
+scheduler.pausedUntil = 0;
+scheduler.timer = undefined;
+
+// GET url and parse the JSON answer; distance is how far the row the answer is for was from
+// the viewport in pixels when it asked, 0 if it was visible
+scheduler.fetchJson = function (url, distance) {
+  if (typeof distance != "number") {
+    distance = Infinity;
+  }
+  if (scheduler.pending.has(url)) {
+    // still queued: it goes ahead as soon as one of the rows asking for it is visible
+    let queued = scheduler.queue.find((request) => request.url == url);
+    if (queued && distance < queued.distance) {
+      queued.distance = distance;
+    }
+    return scheduler.pending.get(url);
+  }
+  let promise = new Promise(function (resolve, reject) {
+    scheduler.queue.push({
+      url: url,
+      distance: distance,
+      attempt: 0,
+      resolve: resolve,
+      reject: reject,
+    });
+  });
+  let done = () => scheduler.pending.delete(url);
+  promise.then(done, done);
+  scheduler.pending.set(url, promise);
+  // let the rows of the same page queue up first so the visible ones can go ahead
+  setTimeout(scheduler.next, 0);
+  return promise;
+};
+
+// start queued requests, the ones closest to the viewport first
+scheduler.next = function () {
+  clearTimeout(scheduler.timer);
+  let wait = scheduler.pausedUntil - Date.now();
+  if (wait > 0) {
+    scheduler.timer = setTimeout(scheduler.next, wait);
+    return;
+  }
+  while (
+    scheduler.running < scheduler.maxConcurrent &&
+    scheduler.queue.length > 0
+  ) {
+    let best = 0;
+    let bestDistance = scheduler.queue[0].distance;
+    for (let i = 1; i < scheduler.queue.length && bestDistance > 0; i++) {
+      let distance = scheduler.queue[i].distance;
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+    scheduler.run(scheduler.queue.splice(best, 1)[0]);
+  }
+};
+
+// error of a failed request, kind is "network", "timeout", "rate-limited" or "parse"
+scheduler.error = function (kind, message) {
+  let err = new Error(message);
+  err.kind = kind;
+  return err;
+};
+
+scheduler.run = function (request) {
+  scheduler.running++;
+  let controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), scheduler.timeout);
+  mirrors
+    .fetch(request.url, controller.signal)
+    .then(function (response) {
+      if (mirrors.isThrottled(response)) {
+        if (request.attempt < scheduler.maxRetries) {
+          scheduler.pause(scheduler.getRetryDelay(response, request.attempt));
+          request.attempt++;
+          scheduler.queue.unshift(request);
+          return;
+        }
+        throw scheduler.error(
+          "rate-limited",
+          "dblp is rate limiting requests (" + response.status + ")",
+        );
+      } else if (!response.ok) {
+        throw scheduler.error(
+          "network",
+          "dblp search failed: " + response.status,
+        );
+      }
+      return response.json().then(request.resolve, function (err) {
+        if (err.name == "AbortError") {
+          throw err;
+        }
+        throw scheduler.error("parse", "dblp did not answer with JSON");
+      });
+    })
+    .catch(function (err) {
+      if (err.name == "AbortError") {
+        err = scheduler.error("timeout", "dblp did not answer in time");
+      } else if (err.kind === undefined) {
+        err = scheduler.error("network", "dblp unreachable: " + err.message);
+      }
+      request.reject(err);
+    })
+    .finally(function () {
+      clearTimeout(timer);
+      scheduler.running--;
+      scheduler.next();
+    });
+};
+
+// wait before retrying a throttled request: Retry-After in seconds or as a date,
+// else exponential backoff
+scheduler.getRetryDelay = function (response, attempt) {
+  let retryAfter = response.headers.get("Retry-After");
+  if (retryAfter) {
+    if (!isNaN(retryAfter)) {
+      return Number(retryAfter) * 1000;
+    }
+    let date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  return Math.min(
+    scheduler.backoffDelay * Math.pow(2, attempt),
+    scheduler.maxBackoffDelay,
+  );
+};
+
+scheduler.pause = function (delay) {
+  console.debug("dblp throttled, waiting %d ms", delay);
+  scheduler.pausedUntil = Math.max(scheduler.pausedUntil, Date.now() + delay);
+};
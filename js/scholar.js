@@ -20,20 +20,16 @@ scholar.run = function () {
 
 scholar.appendRank = function () {
   let elements = $("#gs_res_ccl_mid > div > div.gs_ri");
-  elements.each(function (index) {
+  elements.each(function () {
     let node = $(this).find("h3 > a");
     if (!node.next().hasClass("ccf-rank")) {
       let title = node.text();
-      let data = $(this)
-        .find("div.gs_a")
-        .text()
-        .replace(/[\,\-\…]/g, "")
-        .split(" ");
+      let source = $(this).find("div.gs_a").text();
+      let data = source.replace(/[\,\-\…]/g, "").split(" ");
       let author = data[1];
       let year = data.slice(-3)[0];
-      setTimeout(function () {
-        fetchRank(node, title, author, year, scholar);
-      }, 100 * index);
+      let venue = scholar.getVenue(source.split(" - ")[1]);
+      fetchRank(node, title, author, year, scholar, venue);
     }
   });
 };
@@ -58,7 +54,7 @@ scholar.observeCitations = function () {
 
 scholar.appendRanks = function () {
   let elements = $("tr.gsc_a_tr");
-  elements.each(function (index) {
+  elements.each(function () {
     let node = $(this).find("td.gsc_a_t > a").first();
     if (!node.next().hasClass("ccf-rank") && !$(this).hasClass("ccf-ranked")) {
       let title = node.text();
@@ -67,10 +63,22 @@ scholar.appendRanks = function () {
         .innerText.replace(/[\,\…]/g, "")
         .split(" ")[1];
       let year = $(this).find("td.gsc_a_y").text();
+      let venue = scholar.getVenue($(this).find("div.gs_gray")[1]?.innerText);
       $(this).addClass("ccf-ranked");
-      setTimeout(function () {
-        fetchRank(node, title, author, year, scholar);
-      }, 100 * index);
+      fetchRank(node, title, author, year, scholar, venue);
     }
   });
 };
+
+// venue shown under a result, "ICSE, 2020" or "IEEE Transactions on ... 46 (5), 1-20, 2020";
+// shortened names ending in "…" are left to the dblp search
+scholar.getVenue = function (text) {
+  if (text === undefined || text.includes("…")) {
+    return undefined;
+  }
+  let venue = text
+    .replace(/,\s*\d{4}\s*$/, "")
+    .replace(/\s+\d+\s*(\(\d+\))?(,\s*[\d\-]+)?\s*$/, "")
+    .trim();
+  return /^\d{4}$/.test(venue) || venue == "" ? undefined : venue;
+};
@@ -24,22 +24,54 @@ semanticscholar.appendRanks = function () {
     let element = $(this);
     let source = element[0].innerText;
     if (source.length != 0 && !element.next().hasClass("ccf-rank")) {
+      if (source.includes("(")) {
+        source = source.substring(source.indexOf("(") + 1, source.indexOf(")"));
+      }
+      if (source.includes("'")) {
+        source = source.substring(0, source.indexOf("'")).trim();
+      }
+      // with a DOI the worker also finds the paper if its venue name is unknown
+      let doi = semanticscholar.getDoi(element);
+      if (doi !== undefined) {
+        let title = element.closest(".cl-paper-row").find(".cl-paper-title");
+        fetchRank(
+          element,
+          title.text(),
+          undefined,
+          undefined,
+          semanticscholar,
+          source,
+          doi,
+        );
+        return;
+      }
+      let title = element.closest(".cl-paper-row").find(".cl-paper-title");
+      let badges = [];
+      let correctable = correction.getSource(
+        { title: title.text() },
+        badges,
+        semanticscholar.appendRanks,
+      );
       for (let getRankSpan of semanticscholar.rankSpanList) {
-        if (source.includes("(")) {
-          source = source.substring(
-            source.indexOf("(") + 1,
-            source.indexOf(")"),
-          );
-        }
-        if (source.includes("'")) {
-          source = source.substring(0, source.indexOf("'")).trim();
-        }
-        element.after(getRankSpan(source, "abbr"));
+        let badge = getRankSpan(source, "abbr", undefined, correctable);
+        badges.push(badge);
+        element.after(badge);
       }
     }
   });
 };
 
+// DOI link of the paper a venue belongs to, linked from its search result; the worker reads
+// the DOI from it (see resolver.normalizeDoi). undefined outside a result, the page may list
+// other papers
+semanticscholar.getDoi = function (element) {
+  let row = element.closest(".cl-paper-row");
+  let link = row
+    .find("a[href*='doi.org/10.'], [data-test-id='paper-doi'] a")
+    .first();
+  return link.length == 0 ? undefined : link.attr("href") || link.text();
+};
+
 semanticscholar.appendRank = function (selector) {
   let element = $(selector);
   let headline = window.location.pathname;
@@ -49,8 +81,7 @@ semanticscholar.appendRank = function (selector) {
         headline.indexOf("/db/") + 3,
         headline.lastIndexOf("/"),
       );
-      url = ccf.rankDb[urls];
-      element.after(getRankSpan(url, "url"));
+      element.after(getRankSpan(urls, "db"));
     }
   }
 };
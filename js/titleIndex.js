@@ -0,0 +1,107 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+// Optional offline index of the papers of CCF-listed venues, built from the dblp XML dump by
+// data/titleIndexGen.js. Without data/titleIndex.json every paper is looked up on dblp.
+// {
+//   version: 2,                                   see titleIndex.version
+//   venues: [[dblp venue path, abbreviation]],   as resolver.fromHits takes them from a hit
+//   titles: { key of a normalized title: venue }, -1 if papers of several venues share it
+//   dois: { key of a DOI: venue }
+// }
+// Keys are 53-bit hashes: with a million titles indexed, a title of another venue collides
+// with one of them about once in nine billion lookups.
+// Also loaded by data/titleIndexGen.js so both normalize titles the same way.
+
+const titleIndex = {};
+
+titleIndex.dataFile = "data/titleIndex.json";
+
+// format of the keys, an index built with other keys is ignored
+titleIndex.version = 2;
+
+// title as compared: lower case, without LaTeX markup, diacritics and punctuation
+titleIndex.normalizeTitle = function (title) {
+  return String(title)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\\[a-zA-Z]+/g, " ")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+};
+
+// 53-bit hash of a string in base 36 (cyrb53, two 32-bit halves mixed together)
+titleIndex.hash = function (text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (h2 & 0x1fffff) + (h1 >>> 0)).toString(36);
+};
+
+titleIndex.getTitleKey = function (title) {
+  return titleIndex.hash(titleIndex.normalizeTitle(title));
+};
+
+// doi is lower case, see resolver.normalizeDoi
+titleIndex.getDoiKey = function (doi) {
+  return titleIndex.hash(doi);
+};
+
+// background: read the index once, resolves to undefined if it was not built
+titleIndex.load = function () {
+  if (titleIndex.loading === undefined) {
+    titleIndex.loading = fetch(chrome.runtime.getURL(titleIndex.dataFile))
+      .then((response) => response.json())
+      .then(function (data) {
+        if (data.version != titleIndex.version) {
+          console.warn(
+            "outdated offline title index, run data/titleIndexGen.js",
+          );
+          return undefined;
+        }
+        return data;
+      })
+      .catch(function () {
+        console.debug("no offline title index, see data/titleIndexGen.js");
+        return undefined;
+      });
+  }
+  return titleIndex.loading;
+};
+
+// { refine, type } of a paper found by DOI or title, undefined if it is not in the index
+titleIndex.find = function (paper) {
+  return titleIndex.load().then(function (data) {
+    if (data === undefined) {
+      return undefined;
+    }
+    let venue;
+    if (paper.doi) {
+      venue = data.dois[titleIndex.getDoiKey(paper.doi)];
+    }
+    if (venue === undefined && paper.title) {
+      venue = data.titles[titleIndex.getTitleKey(paper.title)];
+    }
+    if (venue === undefined || venue < 0) {
+      return undefined;
+    }
+    let [db, abbr] = data.venues[venue];
+    return { refine: { db: db, abbr: abbr }, type: "record" };
+  });
+};
+
+if (typeof module == "object") {
+  module.exports = titleIndex;
+}
@@ -0,0 +1,141 @@
+/**
+ * MIT License
+ *
+ * Copyright (c) 2019-2024 WenyanLiu (https://github.com/WenyanLiu/CCFrank4dblp)
+ */
+
+const venueMatcher = {};
+
+// candidates scoring below this are not accepted
+venueMatcher.threshold = 0.85;
+
+venueMatcher.stopWords = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "by",
+  "for",
+  "in",
+  "of",
+  "on",
+  "the",
+  "to",
+  "with",
+  // ordinal words, e.g. "Twenty-Third International Conference on ..."
+  "first",
+  "second",
+  "third",
+  "fourth",
+  "fifth",
+  "sixth",
+  "seventh",
+  "eighth",
+  "ninth",
+  "tenth",
+  "eleventh",
+  "twelfth",
+  "thirteenth",
+  "fourteenth",
+  "fifteenth",
+  "sixteenth",
+  "seventeenth",
+  "eighteenth",
+  "nineteenth",
+  "twentieth",
+  "thirtieth",
+  "fortieth",
+  "fiftieth",
+  "twenty",
+  "thirty",
+  "forty",
+  "fifty",
+]);
+
+// publishers and "Proceedings of the ...", they count little: "IEEE/ACM International
+// Conference on ..." still matches, "Proceedings of the ACM on Human-Computer Interaction"
+// is not "Human-Computer Interaction"
+venueMatcher.minorWords = new Set(["acm", "ieee", "proceedings"]);
+
+// words every other venue name contains, they count half
+venueMatcher.genericWords = new Set([
+  "annual",
+  "conference",
+  "forum",
+  "international",
+  "joint",
+  "meeting",
+  "symposium",
+  "workshop",
+]);
+
+venueMatcher.tokens = function (name) {
+  return String(name)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(function (token) {
+      return (
+        token != "" &&
+        !venueMatcher.stopWords.has(token) &&
+        // years, volume numbers and ordinals like 1st, 23rd, 2019, '19
+        !/^\d+(st|nd|rd|th)?$/.test(token)
+      );
+    });
+};
+
+venueMatcher.normalize = function (name) {
+  return venueMatcher.tokens(name).join(" ");
+};
+
+venueMatcher.weight = function (tokens) {
+  let weight = 0;
+  for (let token of tokens) {
+    weight += venueMatcher.minorWords.has(token)
+      ? 0.1
+      : venueMatcher.genericWords.has(token)
+        ? 0.5
+        : 1;
+  }
+  return weight;
+};
+
+// weighted Dice coefficient of the two token sets, 1 for identical names
+venueMatcher.score = function (tokensA, tokensB) {
+  let setA = new Set(tokensA);
+  let setB = new Set(tokensB);
+  let common = [...setA].filter((token) => setB.has(token));
+  let total = venueMatcher.weight(setA) + venueMatcher.weight(setB);
+  if (total == 0) {
+    return 0;
+  }
+  return (2 * venueMatcher.weight(common)) / total;
+};
+
+// tokenize the candidate names once, see venueMatcher.bestMatch
+venueMatcher.index = function (names) {
+  return names.map(function (name) {
+    return { name: name, tokens: venueMatcher.tokens(name) };
+  });
+};
+
+// best scoring candidate of an index, { name, score, count } or undefined below the
+// threshold; count is the number of candidates reaching that score
+venueMatcher.bestMatch = function (name, index, threshold) {
+  if (threshold === undefined) {
+    threshold = venueMatcher.threshold;
+  }
+  let tokens = venueMatcher.tokens(name);
+  let best;
+  for (let candidate of index) {
+    let score = venueMatcher.score(tokens, candidate.tokens);
+    if (score < threshold) {
+      continue;
+    }
+    if (best === undefined || score > best.score) {
+      best = { name: candidate.name, score: score, count: 1 };
+    } else if (score == best.score) {
+      best.count++;
+    }
+  }
+  return best;
+};
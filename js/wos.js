@@ -18,27 +18,46 @@ wos.run = function () {
 };
 
 wos.appendRanks = function () {
-  $(".summary-source-title-link[lang='en']").each(function () {
+  $(
+    ".summary-source-title-link[lang='en'], .summary-source-title[lang='en']",
+  ).each(function () {
     let node = $(this);
     if (!node.next().hasClass("ccf-rank")) {
-      for (let getRankSpan of wos.rankSpanList) {
-        let publication = node.text();
-        node.after(getRankSpan(publication, "publication"));
+      let publication = node.text();
+      // with a DOI the worker also finds the paper if its source title is unknown
+      let doi = wos.getDoi(node);
+      let title = wos.getTitle(node);
+      if (doi !== undefined) {
+        fetchRank(node, title, undefined, undefined, wos, publication, doi);
+        return;
       }
-    }
-  });
-  $(".summary-source-title[lang='en']").each(function () {
-    let node = $(this);
-    if (!node.next().hasClass("ccf-rank")) {
+      let badges = [];
+      let correctable = correction.getSource(
+        { title: title },
+        badges,
+        wos.appendRanks,
+      );
       for (let getRankSpan of wos.rankSpanList) {
-        let publication = node.text();
-        node.after(getRankSpan(publication, "publication"));
+        let badge = getRankSpan(
+          publication,
+          "publication",
+          undefined,
+          correctable,
+        );
+        badges.push(badge);
+        node.after(badge);
       }
     }
   });
   $("[name='conf_title']").each(function () {
     let node = $(this);
     if (!node.next().hasClass("ccf-rank")) {
+      let badges = [];
+      let correctable = correction.getSource(
+        { title: wos.getTitle(node) },
+        badges,
+        wos.appendRanks,
+      );
       for (let getRankSpan of wos.rankSpanList) {
         let meeting = "";
         let options = node.text().match(/\((.+?)\)/g);
@@ -55,15 +74,37 @@ wos.appendRanks = function () {
               }
             }
             meeting = tmp_name.join(" ");
-            items.push(getRankSpan(meeting, "meeting"));
+            items.push(getRankSpan(meeting, "meeting", undefined, correctable));
           }
         }
 
+        // no abbreviation given, match the full conference title instead
         if (meeting == "") {
-          items.push(getRankSpan(meeting, "meeting"));
+          items.push(
+            getRankSpan(node.text(), "meeting", undefined, correctable),
+          );
         }
+        badges.push(...items);
         node.after(items);
       }
     }
   });
 };
+
+// title of the record a source or conference title belongs to, "" outside a record
+wos.getTitle = function (node) {
+  return node
+    .closest("app-record, app-full-record")
+    .find("[data-ta='summary-record-title-link'], #FullRTa-fullRecordtitle-0")
+    .first()
+    .text();
+};
+
+// DOI of the record a source title belongs to, shown on the full record and linked from
+// some summaries; the worker reads the DOI from it (see resolver.normalizeDoi). undefined
+// outside a record, the page may list other papers
+wos.getDoi = function (node) {
+  let record = node.closest("app-record, app-full-record");
+  let doi = record.find("#FullRTa-DOI, a[href*='doi.org/10.']").first();
+  return doi.length == 0 ? undefined : doi.attr("href") || doi.text();
+};
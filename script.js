@@ -1,19 +1,40 @@
-dblp.rankSpanList.push(ccf.getRankSpan);
-scholar.rankSpanList.push(ccf.getRankSpan);
-connectedpapers.rankSpanList.push(ccf.getRankSpan);
-semanticscholar.rankSpanList.push(ccf.getRankSpan);
-wos.rankSpanList.push(ccf.getRankSpan);
-
-if (window.location.hostname.startsWith("dblp")) {
-  dblp.run();
-} else if (window.location.hostname.startsWith("scholar.google")) {
-  scholar.run();
-} else if (window.location.hostname.includes("connectedpaper")) {
-  connectedpapers.run();
-} else if (window.location.hostname.includes("semanticscholar")) {
-  semanticscholar.run();
-} else if (window.location.hostname.includes("webofscience")) {
-  wos.run();
+// before the background worker cached lookups, each site kept whole dblp answers in its
+// localStorage; remove what is left of them, collecting the keys first as removing a key
+// shifts the others
+function clearLegacyCache() {
+  try {
+    let keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      if (localStorage.key(i).startsWith("CCFrank4dblp_")) {
+        keys.push(localStorage.key(i));
+      }
+    }
+    keys.forEach((key) => localStorage.removeItem(key));
+  } catch (err) {
+    console.debug("cannot clear the old cache: %s", err.message);
+  }
 }
 
-filter.init();
+clearLegacyCache();
+
+provider.load(function () {
+  provider.attach(dblp, "dblp");
+  provider.attach(scholar, "scholar");
+  provider.attach(connectedpapers, "connectedpapers");
+  provider.attach(semanticscholar, "semanticscholar");
+  provider.attach(wos, "wos");
+
+  if (window.location.hostname.startsWith("dblp")) {
+    dblp.run();
+  } else if (window.location.hostname.startsWith("scholar.google")) {
+    scholar.run();
+  } else if (window.location.hostname.includes("connectedpaper")) {
+    connectedpapers.run();
+  } else if (window.location.hostname.includes("semanticscholar")) {
+    semanticscholar.run();
+  } else if (window.location.hostname.includes("webofscience")) {
+    wos.run();
+  }
+
+  filter.init();
+});